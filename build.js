@@ -93,6 +93,7 @@ const optionalEnvVars = [
   "CACHE_REFRESH_INTERVAL_HOURS",
   "FRONTEND_B_REVALIDATE_URL",
   "REVALIDATE_SECRET",
+  "CURSOR_SECRET",
 ];
 
 requiredEnvVars.forEach((envVar) => {
@@ -213,7 +214,25 @@ try {
 }
 
 // ============================================
-// 7. Check for Common Issues
+// 7. Check Entity Config
+// ============================================
+log("\n🧩 Checking Entity Config...", "cyan");
+
+try {
+  const {
+    loadEntityConfig,
+    getEntityConfigFile,
+  } = require("./utils/entityConfig");
+  const entityConfig = loadEntityConfig();
+  checkPass(
+    `Entity config valid: ${Object.keys(entityConfig.entities).length} entities (${getEntityConfigFile()})`,
+  );
+} catch (error) {
+  checkFail(error.message);
+}
+
+// ============================================
+// 8. Check for Common Issues
 // ============================================
 log("\n🔧 Checking for Common Issues...", "cyan");
 
@@ -249,7 +268,7 @@ if (fs.existsSync("README.md")) {
 }
 
 // ============================================
-// 8. Build Summary
+// 9. Build Summary
 // ============================================
 log("\n" + "=".repeat(60), "blue");
 log("📊 BUILD SUMMARY", "blue");
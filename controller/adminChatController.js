@@ -1,6 +1,7 @@
 // controller/adminChatController.js
-const ExcelJS = require("exceljs");
 const { espoRequest } = require("./espoClient");
+const { XLSX_MIME, buildXlsxBuffer } = require("../utils/excelExport");
+const { cleanStr } = require("../utils/text");
 
 /* ------------------------------ constants (NO extra .env) ------------------------------ */
 const PAGE_SIZE = 200; // Espo paging
@@ -16,10 +17,6 @@ const PREVIEW_ROWS = 35;
 function nowIso() {
   return new Date().toISOString();
 }
-function cleanStr(v) {
-  if (v === null || v === undefined) return "";
-  return String(v).trim();
-}
 function norm(v) {
   return cleanStr(v).toLowerCase();
 }
@@ -143,40 +140,12 @@ function toMarkdownTable(columns, rows) {
 
 /* ------------------------------ Excel export (INLINE: base64) ------------------------------ */
 async function makeExcelBase64({ filename, sheets }) {
-  const wb = new ExcelJS.Workbook();
-  wb.created = new Date();
-
-  for (const sh of sheets || []) {
-    const ws = wb.addWorksheet(sh.name || "Sheet");
-    ws.columns = (sh.columns || []).map((c) => ({
-      header: c,
-      key: c,
-      width: Math.min(70, Math.max(12, String(c).length + 6)),
-    }));
-
-    for (const row of sh.rows || []) ws.addRow(row);
-
-    ws.getRow(1).font = { bold: true };
-    ws.views = [{ state: "frozen", ySplit: 1 }];
-
-    // nicer filters
-    try {
-      ws.autoFilter = {
-        from: { row: 1, column: 1 },
-        to: { row: 1, column: (sh.columns || []).length || 1 },
-      };
-    } catch {
-      // Ignore autoFilter errors
-    }
-  }
-
-  const arr = await wb.xlsx.writeBuffer();
-  const buffer = Buffer.from(arr);
+  const buffer = await buildXlsxBuffer({ sheets });
 
   return {
     kind: "xlsx", // ✅ IMPORTANT: your frontend checks download.kind === "xlsx"
     filename,
-    mime: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    mime: XLSX_MIME,
     base64: buffer.toString("base64"),
   };
 }
@@ -1,6 +1,13 @@
 // controller/chatController.js
 const { createHmac, timingSafeEqual } = require("crypto");
 const { espoRequest } = require("./espoClient");
+const { createLimiter } = require("../utils/limiter");
+const { getFrontendUrlForEntity } = require("../utils/frontendUrls");
+const {
+  ensureSearchDictionary,
+  expandSearchTerms,
+} = require("../utils/searchDictionary");
+const { cleanStr, pickFirstNonEmpty } = require("../utils/text");
 
 /**
  * In-memory conversation state (optional).
@@ -17,11 +24,6 @@ function nowIso() {
   return new Date().toISOString();
 }
 
-function cleanStr(v) {
-  if (v === null || v === undefined) return "";
-  return String(v).trim();
-}
-
 function norm(v) {
   return cleanStr(v).toLowerCase();
 }
@@ -40,14 +42,6 @@ function toArr(v) {
   return [v];
 }
 
-function pickFirstNonEmpty(...vals) {
-  for (const v of vals) {
-    const s = cleanStr(v);
-    if (s) return s;
-  }
-  return "";
-}
-
 function stripHtml(html) {
   const s = String(html || "");
   return s
@@ -350,36 +344,6 @@ function getChatEntities() {
   return ["CProduct"];
 }
 
-/** simple concurrency limiter (no deps) */
-function createLimiter(max) {
-  const limit = Number(max);
-  const n = Number.isFinite(limit) && limit > 0 ? Math.floor(limit) : 3;
-
-  let active = 0;
-  const queue = [];
-
-  const next = () => {
-    if (active >= n) return;
-    const job = queue.shift();
-    if (!job) return;
-
-    active++;
-    Promise.resolve()
-      .then(job.fn)
-      .then(job.resolve, job.reject)
-      .finally(() => {
-        active--;
-        next();
-      });
-  };
-
-  return (fn) =>
-    new Promise((resolve, reject) => {
-      queue.push({ fn, resolve, reject });
-      next();
-    });
-}
-
 /* ------------------------------ env-driven reply instructions ------------------------------ */
 function getChatExtraInstructions() {
   const raw = String(process.env.CHAT_EXTRA_INSTRUCTIONS || "");
@@ -394,50 +358,9 @@ function getChatExtraInstructions() {
 }
 
 /* ------------------------------ FRONTEND URL helpers ------------------------------ */
-function joinUrl(base, slug) {
-  const b = cleanStr(base);
-  const s = cleanStr(slug);
-  if (!b || !s) return "";
-  const bb = b.endsWith("/") ? b.slice(0, -1) : b;
-  const ss = s.startsWith("/") ? s.slice(1) : s;
-  return `${bb}/${ss}`;
-}
-
+// Base URLs and slug fields per entity live in utils/frontendUrls.js
 function getFrontendUrlForProduct(p) {
-  const base = cleanStr(process.env.AGE_FRONTEND_URL);
-  const slug = cleanStr(p?.productslug);
-  if (!base || !slug) return "";
-  return joinUrl(base, slug);
-}
-
-function getFrontendUrlForEntity(entity, rec) {
-  const e = cleanStr(entity);
-
-  if (e === "CProduct") return getFrontendUrlForProduct(rec);
-
-  if (e === "CCollection") {
-    const base = cleanStr(process.env.AGE_COLLECTION_URL);
-    const slug = pickFirstNonEmpty(
-      rec?.collectionslug,
-      rec?.slug,
-      rec?.productslug,
-    );
-    return base && slug ? joinUrl(base, slug) : "";
-  }
-
-  if (e === "CBlog") {
-    const base = cleanStr(process.env.AGE_BLOG_URL);
-    const slug = pickFirstNonEmpty(rec?.slug, rec?.blogslug);
-    return base && slug ? joinUrl(base, slug) : "";
-  }
-
-  if (e === "CAuthor") {
-    const base = cleanStr(process.env.AGE_AUTHOR_URL);
-    const slug = pickFirstNonEmpty(rec?.slug, rec?.authorslug);
-    return base && slug ? joinUrl(base, slug) : "";
-  }
-
-  return "";
+  return getFrontendUrlForEntity("CProduct", p);
 }
 
 function getFabricCode(p) {
@@ -1143,7 +1066,10 @@ function scoreProduct(p, query) {
   if (query?.structure) tokens.push(query.structure);
   if (Array.isArray(query?.content)) tokens.push(...query.content);
 
-  const uniq = Array.from(new Set(tokens.map(norm).filter(Boolean)));
+  // Stop-words dropped, synonyms added (see utils/searchDictionary)
+  const uniq = expandSearchTerms(
+    Array.from(new Set(tokens.map(norm).filter(Boolean))),
+  ).map(norm);
 
   for (const t of uniq) {
     if (!t || t.length < 2) continue;
@@ -1305,7 +1231,10 @@ function scoreGeneric(entity, rec, query) {
   if (query?.structure) tokens.push(query.structure);
   if (Array.isArray(query?.content)) tokens.push(...query.content);
 
-  const uniq = Array.from(new Set(tokens.map(norm).filter(Boolean)));
+  // Stop-words dropped, synonyms added (see utils/searchDictionary)
+  const uniq = expandSearchTerms(
+    Array.from(new Set(tokens.map(norm).filter(Boolean))),
+  ).map(norm);
 
   for (const t of uniq) {
     if (!t || t.length < 2) continue;
@@ -1900,6 +1829,12 @@ async function handleChatMessage(req, res) {
 
   const query = action?.query || {};
 
+  try {
+    await ensureSearchDictionary();
+  } catch (e) {
+    console.warn("[chat] search dictionary unavailable:", e?.message);
+  }
+
   const rankedAll = items
     .map((it) => ({ it, score: scoreItem(it, query) }))
     .sort((a, b) => b.score - a.score);
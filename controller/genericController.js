@@ -1,5 +1,5 @@
 const { espoRequest } = require("./espoClient");
-const { attachCollections, attachRelatedEntities } = require("../utils/espo");
+const { attachCollections, fetchByIds } = require("../utils/espo");
 const {
   getCacheKey,
   getCache,
@@ -7,55 +7,109 @@ const {
   deleteCacheByEntity,
 } = require("../utils/cache");
 const { revalidateFrontends } = require("../utils/revalidateFrontends");
-const { applyCloudinaryVariants } = require("../utils/cloudinary");
+const { createLimiter } = require("../utils/limiter");
+const {
+  isSchemaValidationEnabled,
+  getEntityFieldDefs,
+  validateWritePayload,
+  validationError,
+} = require("../utils/entitySchema");
+const {
+  applyCloudinaryVariants,
+  buildCloudinaryUrl,
+} = require("../utils/cloudinary");
+const {
+  parseFilterQuery,
+  toEspoWhere,
+  matchesFilters,
+  describeFilters,
+  collectBracketParams,
+} = require("../utils/filterQuery");
+const { parseBucketSpec, computeFacets } = require("../utils/facets");
+const {
+  rebuildSearchIndex,
+  updateSearchIndex,
+  ensureSearchIndex,
+  querySearchIndex,
+  MAX_QUERY_LENGTH,
+} = require("../utils/searchIndex");
+const {
+  ensureSuggestIndex,
+  querySuggestIndex,
+} = require("../utils/suggestIndex");
+const {
+  rebuildSlugIndex,
+  updateSlugIndex,
+  ensureSlugIndex,
+  lookupSlug,
+  suggestSlugs,
+  MAX_SLUG_LENGTH,
+} = require("../utils/slugIndex");
+const {
+  ensureSearchDictionary,
+  expandQueryUnits,
+} = require("../utils/searchDictionary");
+const {
+  getEntityConfig,
+  getEntityRouteName,
+  getSelectFields,
+  resolveImageFallback,
+} = require("../utils/entityConfig");
+const {
+  isFieldPublic,
+  getPublicRelations,
+  redactRecords,
+  assertPublicFields,
+  assertPublicRelations,
+} = require("../utils/fieldPolicy");
+const {
+  parsePopulateParam,
+  resolvePopulatePaths,
+} = require("../utils/populatePaths");
+const { journalRecords, readChanges } = require("../utils/changeJournal");
+const { publishEvent } = require("../utils/eventStream");
+const { rankSimilar } = require("../utils/similarity");
+const { buildComparison, comparisonSheet } = require("../utils/compare");
+const { XLSX_MIME, buildXlsxBuffer } = require("../utils/excelExport");
+const {
+  rebuildSectionIndex,
+  getSectionIndex,
+  getSectionRule,
+} = require("../utils/sectionIndex");
+const {
+  compileSectionRule,
+  matchesSectionRule,
+  describeSectionRule,
+} = require("../utils/sectionRules");
+const { isAdminRequest } = require("../middleware/requireAdminToken");
+const {
+  cursorScope,
+  encodeCursor,
+  decodeCursor,
+  isCursorRequest,
+  getRequestCursor,
+} = require("../utils/cursor");
+const { cleanStr, normText, pickFirstNonEmpty } = require("../utils/text");
 
 /* ------------------------------ ENV helpers ------------------------------ */
-function cleanStr(v) {
-  if (v === null || v === undefined) return "";
-  return String(v).trim();
-}
-
-function parseCsvEnvList(envKey, fallback = []) {
-  const raw = cleanStr(process.env[envKey]);
-  if (!raw) return fallback;
-
-  const list = raw
-    .split(",")
-    .map((x) => cleanStr(x))
-    .filter(Boolean);
-
-  const seen = new Set();
-  const out = [];
-  for (const x of list) {
-    const k = x.toLowerCase();
-    if (seen.has(k)) continue;
-    seen.add(k);
-    out.push(x);
-  }
-  return out.length ? out : fallback;
+function parseCsvList(value) {
+  const raw = Array.isArray(value) ? value.join(",") : cleanStr(value);
+  return Array.from(
+    new Set(
+      raw
+        .split(",")
+        .map((x) => cleanStr(x))
+        .filter(Boolean),
+    ),
+  );
 }
 
 /* ------------------------------ Text normalization ------------------------------ */
 // fixes: "Nokia-607" vs "Nokia-607" vs "Nokia–607"
-function normText(v) {
-  return cleanStr(v)
-    .normalize("NFKC")
-    .replace(/[\u2010-\u2015\u2212\uFE58\uFE63\uFF0D]/g, "-") // all hyphen-like chars => "-"
-    .replace(/\s+/g, " ")
-    .trim()
-    .toLowerCase();
-}
-
 function eqLoose(a, b) {
   return normText(a) === normText(b);
 }
 
-function includesLoose(hay, needle) {
-  const h = normText(hay);
-  const n = normText(needle);
-  return !!h && !!n && h.includes(n);
-}
-
 /* ------------------------------ Paging helper ------------------------------ */
 // In-flight request tracking to prevent duplicate fetches
 const fetchAllRecordsInflight = new Map();
@@ -166,11 +220,48 @@ const PUBLIC_API_MAX_PAGE = intInRange(
   1,
   1000000,
 );
+const PUBLIC_API_MAX_BATCH_IDS = intInRange(
+  process.env.PUBLIC_API_MAX_BATCH_IDS,
+  200,
+  1,
+  1000,
+);
+const SIMILAR_DEFAULT_LIMIT = intInRange(
+  process.env.SIMILAR_DEFAULT_LIMIT,
+  8,
+  1,
+  PUBLIC_API_MAX_LIMIT,
+);
+
+const COMPARE_MAX_IDS = intInRange(process.env.COMPARE_MAX_IDS, 6, 2, 50);
+
+const BULK_MAX_OPERATIONS = intInRange(
+  process.env.BULK_MAX_OPERATIONS,
+  500,
+  1,
+  5000,
+);
+const BULK_WRITE_CONCURRENCY = intInRange(
+  process.env.BULK_WRITE_CONCURRENCY,
+  5,
+  1,
+  20,
+);
 
-// Helper: Fetch records with pagination
-async function fetchRecordsPaged(entityName, { orderBy, order, select, where } = {}) {
+// Helper: Fetch records with pagination (up to ESPO_LIST_MAX_TOTAL, or
+// `maxTotal`); `total` is EspoCRM's count, so list.length < total means the
+// list was cut off
+async function fetchRecordsPaged(
+  entityName,
+  {
+    orderBy,
+    order,
+    select,
+    where,
+    maxTotal = toPositiveNumber(process.env.ESPO_LIST_MAX_TOTAL, 5000),
+  } = {},
+) {
   const pageSize = toPositiveNumber(process.env.ESPO_LIST_PAGE_SIZE, 200);
-  const maxTotal = toPositiveNumber(process.env.ESPO_LIST_MAX_TOTAL, 5000);
 
   let offset = 0;
   let all = [];
@@ -213,10 +304,14 @@ async function fetchRecordsPaged(entityName, { orderBy, order, select, where } =
   };
 }
 
-async function fetchEntityPage(
-  entityName,
-  { page = 1, limit = PUBLIC_API_DEFAULT_LIMIT, orderBy, order, select, where } = {},
-) {
+function toSearchParams({
+  page = 1,
+  limit = PUBLIC_API_DEFAULT_LIMIT,
+  orderBy,
+  order,
+  select,
+  where,
+} = {}) {
   const searchParams = {
     maxSize: limit,
     offset: (page - 1) * limit,
@@ -229,13 +324,29 @@ async function fetchEntityPage(
     searchParams.where = where;
   }
 
+  return searchParams;
+}
+
+async function fetchEntityPage(entityName, options = {}) {
   return espoRequest(`/${entityName}`, {
     query: {
-      searchParams: JSON.stringify(searchParams),
+      searchParams: JSON.stringify(toSearchParams(options)),
     },
   });
 }
 
+// One page of EspoCRM's relationship API: /{Entity}/{id}/{link}
+async function fetchRelatedPage(entityName, id, link, options = {}) {
+  return espoRequest(
+    `/${entityName}/${encodeURIComponent(id)}/${encodeURIComponent(link)}`,
+    {
+      query: {
+        searchParams: JSON.stringify(toSearchParams(options)),
+      },
+    },
+  );
+}
+
 async function fetchEntityTotal(entityName) {
   const data = await espoRequest(`/${entityName}`, {
     query: {
@@ -249,6 +360,110 @@ async function fetchEntityTotal(entityName) {
   return typeof data?.total === "number" ? data.total : null;
 }
 
+// Helper: Keep only the requested (comma-separated) fields plus id
+function selectFields(records, select, keep = []) {
+  const fields = new Set(["id", ...keep, ...parseCsvList(select)]);
+  return (records || []).map((record) =>
+    Object.fromEntries(
+      Object.entries(record || {}).filter(([key]) => fields.has(key)),
+    ),
+  );
+}
+
+// Helper: computeFacets specs for the requested fields, with ?buckets[field]=
+// on numeric ones (400 on unknown or hidden fields)
+function parseFacetSpecs(entityName, req, fields, param) {
+  const fieldTypes = getEntityFilterFields(entityName);
+
+  const unknown = fields.filter((field) => !fieldTypes[field]);
+  if (unknown.length > 0) {
+    const err = new Error(`Unknown facet field(s): ${unknown.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+
+  if (!isAdminRequest(req)) assertPublicFields(entityName, fields, param);
+
+  const bucketParams = collectBracketParams(req.query, "buckets");
+
+  return fields.map((field) => {
+    const spec = { field, type: fieldTypes[field] };
+    if (bucketParams[field] !== undefined) {
+      if (fieldTypes[field] !== "number") {
+        const err = new Error(
+          `buckets are only supported for numeric fields ("${field}" is ${fieldTypes[field]})`,
+        );
+        err.status = 400;
+        throw err;
+      }
+      spec.buckets = parseBucketSpec(field, bucketParams[field]);
+    }
+    return spec;
+  });
+}
+
+// Cursor mode without ?orderBy=: newest first
+const DEFAULT_CURSOR_ORDER_BY = "createdAt";
+const DEFAULT_CURSOR_ORDER = "desc";
+
+function compareIds(left, right) {
+  const a = String(left);
+  const b = String(right);
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+// Helper: Keyset page over an in-memory list ordered by (orderBy, id).
+// Resumes strictly after the cursor position, so records added, changed or
+// removed by a delta refresh never shift or repeat the remaining pages.
+function paginateByCursor(records, { orderBy, order, limit, cursor, scope }) {
+  const direction = cleanStr(order).toLowerCase() === "desc" ? -1 : 1;
+  const compareKeys = (leftValue, leftId, rightValue, rightId) =>
+    compareFieldValues(leftValue, rightValue) * direction ||
+    compareIds(leftId, rightId);
+
+  const sorted = (records || [])
+    .filter((record) => record?.id)
+    .sort((left, right) =>
+      compareKeys(left[orderBy], left.id, right[orderBy], right.id),
+    );
+
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor, scope);
+    start = sorted.findIndex(
+      (record) => compareKeys(record[orderBy], record.id, after.value, after.id) > 0,
+    );
+    if (start === -1) start = sorted.length;
+  }
+
+  const pageRecords = sorted.slice(start, start + limit);
+  const hasMore = start + limit < sorted.length;
+  const last = pageRecords[pageRecords.length - 1];
+
+  return {
+    records: pageRecords,
+    total: sorted.length,
+    hasMore,
+    nextCursor:
+      hasMore && last
+        ? encodeCursor({
+            orderBy,
+            direction,
+            value: last[orderBy],
+            id: last.id,
+            scope,
+          })
+        : null,
+  };
+}
+
+// Helper: True when a fetchAllRecords list stopped at ESPO_LIST_MAX_TOTAL
+// (EspoCRM counts more records than the cached list holds)
+function isTruncatedList(data) {
+  return (data?.total ?? 0) > (data?.list?.length ?? 0);
+}
+
 // Helper: Merge records by ID (newer records override older ones)
 function mergeRecordsById(oldRecords, changedRecords) {
   const byId = new Map();
@@ -277,6 +492,9 @@ async function fetchAllRecords(entityName, { orderBy, order, select } = {}) {
     return fetchAllRecordsInflight.get(cacheKey);
   }
 
+  // Only the default (full, unselected) list feeds the search index
+  const isIndexedList = !orderBy && !order && !select;
+
   const task = (async () => {
     const cached = getCache(cacheKey, entityName);
 
@@ -323,6 +541,23 @@ async function fetchAllRecords(entityName, { orderBy, order, select } = {}) {
       };
 
       setCache(cacheKey, result, cacheTtlSeconds, entityName);
+      if (isIndexedList) {
+        rebuildSearchIndex(
+          entityName,
+          sortedList,
+          getEntitySearchFields(entityName),
+        );
+        rebuildSlugIndex(entityName, sortedList, getEntitySlugField(entityName));
+        // Record events only when there was a list to compare with (a cold or
+        // write-cleared cache just reports the refresh)
+        publishRefreshEvents(entityName, journalRecords(entityName, sortedList), {
+          list: sortedList,
+          previousList: cached?.list,
+          refreshType: "full",
+          withRecords: !!cached,
+        });
+        refreshDynamicSectionIndex(entityName, sortedList);
+      }
       console.log(
         `[fetchAllRecords] ${entityName} - full refresh complete: ${sortedList?.length || 0} records`,
       );
@@ -398,6 +633,17 @@ async function fetchAllRecords(entityName, { orderBy, order, select } = {}) {
             };
 
             setCache(cacheKey, result, cacheTtlSeconds, entityName);
+            if (isIndexedList) {
+              updateSearchIndex(entityName, deltaData.list || [], mergedList);
+              updateSlugIndex(entityName, deltaData.list || [], mergedList);
+              publishRefreshEvents(entityName, journalRecords(entityName, mergedList), {
+                list: mergedList,
+                previousList: cachedList,
+                refreshType: "delta",
+                withRecords: true,
+              });
+              refreshDynamicSectionIndex(entityName, mergedList);
+            }
             console.log(`[fetchAllRecords] ${entityName} - delta refresh complete: ${deltaData.list?.length || 0} changed, ${mergedList.length} total`);
             return result;
           } catch (error) {
@@ -426,49 +672,59 @@ async function fetchAllRecords(entityName, { orderBy, order, select } = {}) {
   }
 }
 
-/* ------------------------------ Collection fields ------------------------------ */
-const DEFAULT_COLLECTION_SELECT_FIELDS = [
-  "id",
-  "name",
-  "slug",
-  "collectionImage1CloudUrl",
-  "altTextCollectionImage1",
-  "collectionvideoURL",
-  "collectionaltTextVideo",
-];
-
-const COLLECTION_SELECT_FIELDS = parseCsvEnvList(
-  "ESPO_COLLECTION_SELECT_FIELDS",
-  DEFAULT_COLLECTION_SELECT_FIELDS,
-);
-
-/* ------------------------------ Location fields ------------------------------ */
-const DEFAULT_LOCATION_SELECT_FIELDS = ["id", "name", "slug"];
+/* ------------------------------ Records by ID ------------------------------ */
+// Per-record cache hits first, the rest in chunked "in" queries (then cached per record)
+const loadRecordsByIds = async (entityName, ids) => {
+  const byId = new Map();
+  const toFetch = [];
+  for (const id of ids) {
+    const cached = getCache(
+      getCacheKey(entityName, { type: "single", id }),
+      entityName,
+    );
+    if (cached) byId.set(id, cached);
+    else toFetch.push(id);
+  }
 
-const LOCATION_SELECT_FIELDS = parseCsvEnvList(
-  "ESPO_LOCATION_SELECT_FIELDS",
-  DEFAULT_LOCATION_SELECT_FIELDS,
-);
+  if (toFetch.length > 0) {
+    const fetched = await fetchByIds(entityName, toFetch);
+    for (const id of toFetch) {
+      if (!fetched[id]) continue;
+      byId.set(id, fetched[id]);
+      setCache(
+        getCacheKey(entityName, { type: "single", id }),
+        fetched[id],
+        null,
+        entityName,
+      );
+    }
+  }
 
-/* ------------------------------ Product fields ------------------------------ */
-const DEFAULT_PRODUCT_SELECT_FIELDS = [
-  "id",
-  "name",
-  "slug",
-  "productImage1CloudUrl",
-  "altTextProductImage1",
-  "price",
-  "salePrice",
-  "stockQuantity",
-  "sku",
-];
-
-const PRODUCT_SELECT_FIELDS = parseCsvEnvList(
-  "ESPO_PRODUCT_SELECT_FIELDS",
-  DEFAULT_PRODUCT_SELECT_FIELDS,
-);
+  return { byId, fromCache: ids.length - toFetch.length };
+};
 
 /* ------------------------------ Bulk populate ------------------------------ */
+// Fields fetched for a populated relation unless the relation sets `select`
+// (config `selectFields`, see utils/entityConfig)
+const getEntitySelectFields = (relation) =>
+  Array.isArray(relation.select)
+    ? relation.select
+    : getSelectFields(relation.entity);
+
+// Id fields the relations are populated from (collection => collectionId);
+// ?select= keeps them so selecting before populating doesn't null the relations
+const getRelationIdFields = (relations) =>
+  (relations || []).map((relation) => relation.idField || `${relation.field}Id`);
+
+// Plus the id fields its nested relations need (product.collection => product.collectionId)
+const getRelationSelectFields = (relation) =>
+  Array.from(
+    new Set([
+      ...getEntitySelectFields(relation),
+      ...getRelationIdFields(relation.populate),
+    ]),
+  );
+
 const populateRelatedDataBulk = async (
   records,
   entityName,
@@ -486,230 +742,190 @@ const populateRelatedDataBulk = async (
     return records;
   }
 
-  const collectionConfig = populateFields.find(
-    (f) => f.fieldName === "collection",
-  );
-  const productConfig = populateFields.find((f) => f.fieldName === "product");
-  const locationConfig = populateFields.find((f) => f.fieldName === "location");
-  const otherConfigs = populateFields.filter(
-    (f) =>
-      f.fieldName !== "collection" &&
-      f.fieldName !== "product" &&
-      f.fieldName !== "location",
-  );
-
   let result = [...records];
 
-  if (collectionConfig) {
-    result = await attachCollections(result, {
-      idField: collectionConfig.idField || "collectionId",
-      targetField: "collection",
-      collectionEntity: collectionConfig.relatedEntity || "CCollection",
-      select: COLLECTION_SELECT_FIELDS,
-    });
-  }
-
-  if (productConfig) {
+  for (const relation of populateFields) {
     result = await attachCollections(result, {
-      idField: productConfig.idField || "productId",
-      targetField: "product",
-      collectionEntity: productConfig.relatedEntity || "CProduct",
-      select: PRODUCT_SELECT_FIELDS,
+      idField: relation.idField || `${relation.field}Id`,
+      targetField: relation.field,
+      collectionEntity: relation.entity,
+      select: getRelationSelectFields(relation),
     });
 
-    // For CProductLocation: also populate collection inside each nested product
-    if (entityName === "CProductLocation") {
-      const nestedProducts = result.map((r) => r.product).filter(Boolean);
-      if (nestedProducts.length > 0) {
-        const withCollections = await attachCollections(nestedProducts, {
-          idField: "collectionId",
-          targetField: "collection",
-          collectionEntity: "CCollection",
-          select: COLLECTION_SELECT_FIELDS,
-        });
-        const collectionByProductId = Object.fromEntries(
-          withCollections.map((p) => [p.id, p.collection]),
+    // Nested relations (e.g. CProductLocation.product.collection)
+    if (Array.isArray(relation.populate) && relation.populate.length > 0) {
+      const nested = result.map((r) => r[relation.field]).filter(Boolean);
+      if (nested.length > 0) {
+        const populatedNested = await populateRelatedDataBulk(
+          nested,
+          relation.entity,
+          relation.populate,
         );
+        const byId = new Map(populatedNested.map((n) => [n.id, n]));
         result = result.map((r) =>
-          r.product
-            ? { ...r, product: { ...r.product, collection: collectionByProductId[r.product.id] || null } }
+          r[relation.field]
+            ? { ...r, [relation.field]: byId.get(r[relation.field].id) || r[relation.field] }
             : r,
         );
       }
     }
   }
 
-  if (locationConfig) {
-    result = await attachCollections(result, {
-      idField: locationConfig.idField || "locationId",
-      targetField: "location",
-      collectionEntity: locationConfig.relatedEntity || "CLocation",
-      select: LOCATION_SELECT_FIELDS,
-    });
-  }
-
-  if (otherConfigs.length > 0) {
-    const entityConfigs = otherConfigs.map((config) => ({
-      idField: config.idField || `${config.fieldName}Id`,
-      targetField: config.fieldName,
-      entityType: config.relatedEntity,
-      select:
-        config.relatedEntity === "User"
-          ? ["id", "name", "userName", "emailAddress"]
-          : ["id", "name"],
-    }));
-
-    result = await attachRelatedEntities(result, entityConfigs);
-  }
-
   console.log(
     `[populateRelatedDataBulk] Successfully populated ${records.length} records`,
   );
   return result;
 };
 
-/* ------------------------------ Populate config ------------------------------ */
-const getEntityPopulateConfig = (entityName) => {
-  const configs = {
-    CProduct: [
-      {
-        fieldName: "collection",
-        relatedEntity: "CCollection",
-        idField: "collectionId",
-      },
-      { fieldName: "account", relatedEntity: "Account", idField: "accountId" },
-      { fieldName: "createdBy", relatedEntity: "User", idField: "createdById" },
-      {
-        fieldName: "modifiedBy",
-        relatedEntity: "User",
-        idField: "modifiedById",
-      },
-    ],
-    CWishlist: [
-      {
-        fieldName: "product",
-        relatedEntity: "CProduct",
-        idField: "productId",
-      },
-    ],
-    CProductLocation: [
-      {
-        fieldName: "product",
-        relatedEntity: "CProduct",
-        idField: "productId",
-      },
-      {
-        fieldName: "location",
-        relatedEntity: "CLocation",
-        idField: "locationId",
-      },
-    ],
-  };
+/* ------------------------------ Entity config ------------------------------ */
+// Per-entity rules live in config/entities.json (see utils/entityConfig.js)
+const getEntityPopulateConfig = (entityName) =>
+  getEntityConfig(entityName).populate;
+
+// Fields indexed for /search/:searchValue with their relevance boost.
+// `code: true` also indexes the value without separators ("NK-607" => "nk607").
+// The index serves public requests, so non-public fields are never indexed.
+const getEntitySearchFields = (entityName) =>
+  getEntityConfig(entityName).searchFields.filter(({ field }) =>
+    isFieldPublic(entityName, field),
+  );
+
+// Attribute resolved by /slug/:slug (productslug, slug, locationslug, ...)
+const getEntitySlugField = (entityName) =>
+  getEntityConfig(entityName).slugField;
 
-  return configs[entityName] || [];
+// Fields allowed in ?filter[field][op]=value, with their type (string | number | date | array | bool)
+const getEntityFilterFields = (entityName) =>
+  getEntityConfig(entityName).filterFields;
+
+
+// Default where clauses with "$now" resolved to the current time
+const getDefaultClauses = (entityName) => {
+  const now = formatEspoDateTime(new Date());
+  return getEntityConfig(entityName).where.map((clause) => ({
+    ...clause,
+    value: clause.value === "$now" ? now : clause.value,
+  }));
 };
 
-/* ------------------------------ Cloudinary image fields config ------------------------------ */
-const getEntityImageFields = (entityName) => {
-  const configs = {
-    // for 6 other type of cloudnary image
-    // ✅ Use EXACT field names from EspoCRM (same as in your database)
-    CProduct: ["image1CloudUrl", "image2CloudUrl", "image3CloudUrl"],
-    CCollection: ["collectionImage1CloudUrl"],
-    CBlog: ["blogimage1CloudURL", "blogimage2CloudURL"],
-    CAuthor: ["authorimage"], // ✅ Exact field name from EspoCRM
-    CCompanyInformation: ["companyLogoCloudUrl", "companyImageCloudUrl"],
-    CSiteSettings: ["siteLogoCloudUrl", "siteImageCloudUrl"],
-    CTopicPage: [
-      "topicImageCloudUrl",
-      "image1CloudUrl",
-      "image2CloudUrl",
-      "image3CloudUrl",
-      "image4CloudUrl",
-    ],
-    CLocation:["image1CloudUrl"],
-    CProductLocation:["image1CloudUrl"],
-    // Add your new entity here with EXACT field names:
-    // CUser: ["profileImageCloudUrl", "coverImageCloudUrl"],
-  };
+/* ------------------------------ Public fields ------------------------------ */
+// Admin-token requests get full records; everyone else gets the entity's
+// public field policy (publicFields / hiddenFields, see utils/fieldPolicy.js)
+const toPublicRecords = (records, entityName, req, options) =>
+  isAdminRequest(req) ? records : redactRecords(records, entityName, options);
+
+// Relation tree to populate for this request ([] = none), from ?populate=
+// (true / false / dotted paths, see utils/populatePaths.js) or populateByDefault.
+// Hidden relations (e.g. CProduct.account) are not fetched for public requests,
+// and naming one in a path is a 400.
+const getRequestPopulateConfig = (
+  entityName,
+  req,
+  { byDefault = getEntityConfig(entityName).populateByDefault } = {},
+) => {
+  const { mode, paths } = parsePopulateParam(req.query.populate);
+
+  if (mode === "paths") {
+    const relations = resolvePopulatePaths(entityName, paths);
+    if (!isAdminRequest(req)) assertPublicRelations(entityName, relations);
+    return relations;
+  }
+
+  if (mode === "none" || (mode === "unset" && !byDefault)) return [];
 
-  return configs[entityName] || [];
+  const relations = getEntityPopulateConfig(entityName);
+  return isAdminRequest(req)
+    ? relations
+    : getPublicRelations(entityName, relations);
 };
 
-/* ------------------------------ Apply Cloudinary variants to records ------------------------------ */
-const applyCloudinaryToRecords = (records, entityName) => {
-  const imageFields = getEntityImageFields(entityName);
+// ?select= and ?orderBy= may only name public fields (400 otherwise)
+const assertPublicQuery = (entityName, req) => {
+  if (isAdminRequest(req)) return;
+  assertPublicFields(entityName, parseCsvList(req.query.select), "select");
+  assertPublicFields(entityName, [cleanStr(req.query.orderBy)], "orderBy");
+};
 
-  if (imageFields.length === 0 && entityName !== "CProduct") {
-    return records;
+/* ------------------------------ Public visibility (in-memory) ------------------------------ */
+// Same restrictions getAllRecords applies through EspoCRM where, for cached lists
+const filterPublicRecords = (records, entityName) => {
+  const list = Array.isArray(records) ? records : [];
+  const clauses = getDefaultClauses(entityName);
+  if (clauses.length === 0) return list;
+
+  return list.filter((record) => matchesFilters(record, clauses));
+};
+
+/* ------------------------------ Suggestion docs ------------------------------ */
+// Lightweight type-ahead doc: title, slug, code (config `suggest`), card image + completion phrases.
+// Suggestions are public, so only public fields are read.
+const toSuggestionDocs = (records, entityName) => {
+  const { imageFields, imageFallbacks, suggest } = getEntityConfig(entityName);
+  const isPublic = (field) => isFieldPublic(entityName, field);
+  const imageField = imageFields.find(isPublic);
+  const fallbackImage = imageField
+    ? resolveImageFallback(imageFallbacks[imageField])
+    : "";
+
+  return filterPublicRecords(records, entityName).map((record) => {
+    const value = (field) => (isPublic(field) ? record[field] : undefined);
+    const firstValue = (fields) => pickFirstNonEmpty(...fields.map(value));
+    const imageUrl = (imageField && record[imageField]) || fallbackImage;
+    const keywords = Array.isArray(value("keywords")) ? value("keywords") : [];
+    const collectionName = cleanStr(value("collectionName"));
+
+    return {
+      id: record.id,
+      title: firstValue(suggest.title),
+      slug: firstValue(suggest.slug),
+      code: firstValue(suggest.code),
+      image: imageUrl ? buildCloudinaryUrl(imageUrl, "card") : null,
+      completions: [
+        ...keywords.map((text) => ({ text, kind: "keyword" })),
+        ...(collectionName ? [{ text: collectionName, kind: "collection" }] : []),
+      ],
+    };
+  });
+};
+
+/* ------------------------------ Apply Cloudinary variants to records ------------------------------ */
+// Image variants + configured fallbacks for one record, then for its populated relations
+const applyCloudinaryToRecord = (record, entityName, relations) => {
+  if (!record || typeof record !== "object") {
+    return record;
   }
 
-  const PRODUCT_IMAGE1_FALLBACK = process.env.productfallbackimage1;
-  const BLOG_IMAGE1_FALLBACK = process.env.blogfallbackimage1;
+  const { imageFields, imageFallbacks } = getEntityConfig(entityName);
 
-  const processRecord = (record) => {
-    if (!record || typeof record !== "object") {
-      return record;
-    }
+  // Inject fallbacks for missing images (e.g. CProduct image1CloudUrl)
+  let processed = { ...record };
+  for (const [field, fallback] of Object.entries(imageFallbacks)) {
+    if (!processed[field]) processed[field] = resolveImageFallback(fallback);
+  }
 
-    // For CProduct, inject fallback for image1CloudUrl if missing
-    let recordToProcess = record;
-    if (entityName === "CProduct" && !record.image1CloudUrl) {
-      recordToProcess = { ...record, image1CloudUrl: PRODUCT_IMAGE1_FALLBACK };
-    }
-    // For CBlog, inject fallback for blogimage1CloudURL if missing
-    if (entityName === "CBlog" && !record.blogimage1CloudURL) {
-      recordToProcess = {
-        ...recordToProcess,
-        blogimage1CloudURL: BLOG_IMAGE1_FALLBACK,
-      };
-    }
+  if (imageFields.length > 0) {
+    processed = applyCloudinaryVariants(processed, imageFields);
+  }
 
-    // Apply Cloudinary to main record
-    let processed =
-      imageFields.length > 0
-        ? applyCloudinaryVariants(recordToProcess, imageFields)
-        : { ...recordToProcess };
-
-    // Handle nested collection object for CProduct
-    if (entityName === "CProduct" && processed.collection) {
-      const collectionImageFields = getEntityImageFields("CCollection");
-      processed.collection = applyCloudinaryVariants(
-        processed.collection,
-        collectionImageFields,
-      );
-    }
+  for (const relation of relations || []) {
+    if (relation.images === false || !processed[relation.field]) continue;
+    processed[relation.field] = applyCloudinaryToRecord(
+      processed[relation.field],
+      relation.entity,
+      relation.populate,
+    );
+  }
 
-    // Handle nested product + location for CProductLocation
-    if (entityName === "CProductLocation") {
-      if (processed.product) {
-        const productImageFields = getEntityImageFields("CProduct");
-        let nestedProduct = processed.product;
-        if (!nestedProduct.image1CloudUrl) {
-          nestedProduct = { ...nestedProduct, image1CloudUrl: PRODUCT_IMAGE1_FALLBACK };
-        }
-        nestedProduct = applyCloudinaryVariants(nestedProduct, productImageFields);
-        // Also apply collection images inside the nested product
-        if (nestedProduct.collection) {
-          const collectionImageFields = getEntityImageFields("CCollection");
-          nestedProduct.collection = applyCloudinaryVariants(
-            nestedProduct.collection,
-            collectionImageFields,
-          );
-        }
-        processed.product = nestedProduct;
-      }
-      if (processed.location) {
-        const locationImageFields = getEntityImageFields("CLocation");
-        processed.location = applyCloudinaryVariants(
-          processed.location,
-          locationImageFields,
-        );
-      }
-    }
+  return processed;
+};
 
-    return processed;
-  };
+const applyCloudinaryToRecords = (
+  records,
+  entityName,
+  relations = getEntityPopulateConfig(entityName),
+) => {
+  const processRecord = (record) =>
+    applyCloudinaryToRecord(record, entityName, relations);
 
   if (Array.isArray(records)) {
     return records.map(processRecord);
@@ -718,6 +934,205 @@ const applyCloudinaryToRecords = (records, entityName) => {
   }
 };
 
+/* ------------------------------ Write validation ------------------------------ */
+// EspoCRM field definitions for write checks, or null when ESPO_SCHEMA_VALIDATION=off
+const getWriteFieldDefs = async (entityName) =>
+  isSchemaValidationEnabled() ? getEntityFieldDefs(entityName) : null;
+
+// CTopicPage product rules are checked even without EspoCRM metadata, so a
+// malformed rule is rejected instead of silently dropping the section
+const sectionRuleErrors = (entityName, body) => {
+  const field = DYNAMIC_SECTION_RULES_FIELD;
+  if (entityName !== "CTopicPage" || !body || body[field] === undefined) {
+    return [];
+  }
+
+  const { errors } = compileSectionRule(
+    body[field],
+    getEntityFilterFields("CProduct"),
+  );
+  return errors.map((message) => ({ field, code: "invalid_rule", message }));
+};
+
+// Throws 422 with per-field `errors` when the body doesn't match the entity's fields
+const assertValidWrite = async (entityName, body, mode) => {
+  const fieldDefs = await getWriteFieldDefs(entityName);
+
+  const errors = [
+    ...(fieldDefs ? validateWritePayload(fieldDefs, body, { mode }) : []),
+    ...sectionRuleErrors(entityName, body),
+  ];
+  if (errors.length > 0) throw validationError(entityName, errors);
+};
+
+/* ------------------------------ Optimistic concurrency ------------------------------ */
+// A record's version token is its modifiedAt ("2024-05-01 10:00:00"). ETags
+// can't contain spaces, so the header form uses "T" instead.
+const getRecordVersion = (record) => cleanStr(record?.modifiedAt) || null;
+
+const toETag = (version) => `"${version.replace(" ", "T")}"`;
+
+// Comparable form of an If-Match entry / expectedModifiedAt / version token
+const normalizeVersion = (value) =>
+  cleanStr(value)
+    .replace(/^W\//, "")
+    .replace(/^"|"$/g, "")
+    .replace("T", " ");
+
+// Versions the client expects from If-Match or body.expectedModifiedAt (null when neither is sent)
+const getExpectedVersions = (req) => {
+  const header = cleanStr(req.headers?.["if-match"]);
+  if (header) {
+    return header.split(",").map(normalizeVersion).filter(Boolean);
+  }
+
+  const fromBody = normalizeVersion(req.body?.expectedModifiedAt);
+  return fromBody ? [fromBody] : null;
+};
+
+/**
+ * Re-read the record from EspoCRM (never the cache) and throw 409 carrying
+ * the current version and record when it no longer matches `expected`.
+ * If-Match: * only requires the record to exist.
+ */
+const assertRecordVersion = async (entityName, id, expected) => {
+  const current = await espoRequest(
+    `/${entityName}/${encodeURIComponent(id)}`,
+  );
+  if (expected.includes("*")) return current;
+
+  const version = getRecordVersion(current);
+  if (version && expected.includes(normalizeVersion(version))) return current;
+
+  const err = new Error(
+    `${entityName} ${id} has been modified since it was read`,
+  );
+  err.status = 409;
+  err.version = version;
+  err.current = current;
+  throw err;
+};
+
+// Extra fields for a failed write response (validation errors, conflict details)
+const writeErrorDetails = (e) => ({
+  ...(e.errors && { errors: e.errors }),
+  ...(e.status === 409 && { version: e.version, current: e.current }),
+});
+
+/* ------------------------------ Events (/api/events) ------------------------------ */
+// Records outside the entity's public set (config `where`) only reach admin
+// subscribers; pass isPublic when the record itself isn't known (deletes of
+// records never fetched stay admin-only: isPublic false)
+const publishRecordEvent = (type, entityName, record, { source, isPublic } = {}) => {
+  const id = cleanStr(record?.id);
+  if (!id) return;
+
+  publishEvent(
+    type,
+    {
+      entity: entityName,
+      route: getEntityRouteName(entityName),
+      id,
+      slug: cleanStr(record[getEntitySlugField(entityName)]) || null,
+      source,
+    },
+    {
+      isPublic:
+        isPublic ?? filterPublicRecords([record], entityName).length > 0,
+    },
+  );
+};
+
+// Changes found by a fetchAllRecords refresh (journalRecords result) + cache.refreshed
+const publishRefreshEvents = (
+  entityName,
+  changes,
+  { list, previousList, refreshType, withRecords },
+) => {
+  if (withRecords) {
+    const byId = new Map((list || []).map((record) => [record.id, record]));
+    const previousById = new Map(
+      (previousList || []).map((record) => [record.id, record]),
+    );
+    const source = "refresh";
+
+    for (const id of changes.created) {
+      publishRecordEvent("record.created", entityName, byId.get(id), { source });
+    }
+    for (const id of changes.updated) {
+      publishRecordEvent("record.updated", entityName, byId.get(id), { source });
+    }
+    for (const id of changes.deleted) {
+      const previous = previousById.get(id);
+      publishRecordEvent("record.deleted", entityName, previous || { id }, {
+        source,
+        isPublic: previous ? undefined : false,
+      });
+    }
+  }
+
+  publishEvent("cache.refreshed", {
+    entity: entityName,
+    route: getEntityRouteName(entityName),
+    refreshType,
+    total: list?.length || 0,
+    changed: changes.created.length + changes.updated.length,
+    deleted: changes.deleted.length,
+  });
+};
+
+// Record as last seen in the cache (per-record entry, then the default list), for delete events
+const findCachedRecord = (entityName, id) =>
+  getCache(getCacheKey(entityName, { type: "single", id }), entityName) ||
+  getCache(
+    getCacheKey(entityName, { type: "all", orderBy: "", order: "", select: "" }),
+    entityName,
+  )?.list?.find((record) => record?.id === id) ||
+  null;
+
+/* ------------------------------ Bulk writes ------------------------------ */
+const BULK_OPERATIONS = ["create", "update", "delete"];
+
+// Problem with one { op, id?, data? } item, or null when it is well-formed
+const validateBulkOperation = (item) => {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return "Operation must be an object { op, id?, data? }";
+  }
+
+  const op = cleanStr(item.op).toLowerCase();
+  if (!BULK_OPERATIONS.includes(op)) {
+    return `op must be one of ${BULK_OPERATIONS.join(", ")}`;
+  }
+  if (op !== "create" && !cleanStr(item.id)) {
+    return `id is required for ${op}`;
+  }
+  if (op === "create" && item.id !== undefined) {
+    return "id is not allowed for create";
+  }
+  if (
+    op !== "delete" &&
+    (!item.data || typeof item.data !== "object" || Array.isArray(item.data))
+  ) {
+    return `data object is required for ${op}`;
+  }
+  return null;
+};
+
+const runBulkOperation = (entityName, op, id, data) => {
+  if (op === "create") {
+    return espoRequest(`/${entityName}`, { method: "POST", body: data });
+  }
+  if (op === "update") {
+    return espoRequest(`/${entityName}/${encodeURIComponent(id)}`, {
+      method: "PUT",
+      body: data,
+    });
+  }
+  return espoRequest(`/${entityName}/${encodeURIComponent(id)}`, {
+    method: "DELETE",
+  });
+};
+
 /* ------------------------------ Controller factory ------------------------------ */
 const createEntityController = (entityName) => {
   // Get all records
@@ -731,93 +1146,51 @@ const createEntityController = (entityName) => {
         PUBLIC_API_MAX_LIMIT,
       );
 
-      const populate =
-        entityName === "CProduct" ||
-        entityName === "CWishlist" ||
-        entityName === "CProductLocation" ||
-        req.query.populate === "true" ||
-        req.query.populate === "1";
+      const populateConfig = getRequestPopulateConfig(entityName, req);
 
-      // ✅ Product special filter: merchTags contains "ecatalogue"
-      if (
-        entityName.toLowerCase() === "product" ||
-        entityName.toLowerCase() === "cproduct"
-      ) {
-        const data = await fetchEntityPage(entityName, {
-          page,
-          limit,
-          orderBy: req.query.orderBy,
-          order: req.query.order,
-          select: req.query.select,
-          where: [
-            {
-              type: "arrayAnyOf",
-              attribute: "merchTags",
-              value: ["ecatalogue"],
-            },
-          ],
-        });
+      // ✅ Structured filters: ?filter[field][op]=value (400 on unknown field/operator)
+      const filters = parseFilterQuery(
+        req.query,
+        getEntityFilterFields(entityName),
+      );
+      const filterWhere = toEspoWhere(filters);
+      const filterSummary = describeFilters(filters);
 
-        let paginatedRecords = data?.list ?? [];
+      // ✅ Public requests can't select, sort or filter on hidden fields
+      assertPublicQuery(entityName, req);
+      if (!isAdminRequest(req)) {
+        assertPublicFields(entityName, filters.map((c) => c.field), "filter");
+      }
 
-        if (populate) {
-          const populateConfig = getEntityPopulateConfig(entityName);
-          paginatedRecords = await populateRelatedDataBulk(
-            paginatedRecords,
-            entityName,
-            populateConfig,
-          );
-        }
+      // ✅ Cursor mode (?cursor=): keyset pages over the cached full list
+      if (isCursorRequest(req.query)) {
+        const orderBy = cleanStr(req.query.orderBy) || DEFAULT_CURSOR_ORDER_BY;
+        const order = req.query.orderBy ? req.query.order : DEFAULT_CURSOR_ORDER;
 
-        // ✅ Apply Cloudinary variants
-        paginatedRecords = applyCloudinaryToRecords(
-          paginatedRecords,
-          entityName,
+        const data = await fetchAllRecords(entityName);
+        const records = filterPublicRecords(data?.list ?? [], entityName).filter(
+          (record) => matchesFilters(record, filters),
         );
 
-        return res.json({
-          success: true,
-          data: paginatedRecords,
-          total: Math.max(0, data?.total ?? 0),
-          entity: entityName,
-          filtered: "merchTags arrayAnyOf ecatalogue",
-          pagination: {
-            page,
-            limit,
-            totalPages: Math.ceil((data?.total ?? 0) / limit),
-          },
-        });
-      }
-
-      // ✅ Blog filter: status=Approved AND publishedAt<=now
-      if (
-        entityName.toLowerCase() === "blog" ||
-        entityName.toLowerCase() === "cblog"
-      ) {
-        const data = await fetchEntityPage(entityName, {
-          page,
+        const cursorPage = paginateByCursor(records, {
+          orderBy,
+          order,
           limit,
-          orderBy: req.query.orderBy,
-          order: req.query.order,
-          select: req.query.select,
-          where: [
-            {
-              type: "equals",
-              attribute: "status",
-              value: "Approved",
-            },
-            {
-              type: "lessThanOrEquals",
-              attribute: "publishedAt",
-              value: formatEspoDateTime(new Date()),
-            },
-          ],
+          cursor: getRequestCursor(req.query),
+          scope: cursorScope(["list", entityName, filterSummary, orderBy, order]),
         });
 
-        let paginatedRecords = data?.list ?? [];
+        let paginatedRecords = cursorPage.records;
 
-        if (populate) {
-          const populateConfig = getEntityPopulateConfig(entityName);
+        if (req.query.select) {
+          paginatedRecords = selectFields(
+            paginatedRecords,
+            req.query.select,
+            getRelationIdFields(populateConfig),
+          );
+        }
+
+        if (populateConfig.length > 0) {
           paginatedRecords = await populateRelatedDataBulk(
             paginatedRecords,
             entityName,
@@ -829,35 +1202,45 @@ const createEntityController = (entityName) => {
         paginatedRecords = applyCloudinaryToRecords(
           paginatedRecords,
           entityName,
+          populateConfig,
         );
+        paginatedRecords = toPublicRecords(paginatedRecords, entityName, req, {
+          relations: populateConfig,
+        });
 
         return res.json({
           success: true,
           data: paginatedRecords,
-          total: Math.max(0, data?.total ?? 0),
+          total: cursorPage.total,
           entity: entityName,
-          filtered: "status=Approved AND publishedAt<=now (EspoCRM where)",
+          ...(filters.length > 0 && { filters: filterSummary }),
+          nextCursor: cursorPage.nextCursor,
           pagination: {
-            page,
+            mode: "cursor",
             limit,
-            totalPages: Math.ceil((data?.total ?? 0) / limit),
+            orderBy,
+            order: cleanStr(order).toLowerCase() === "desc" ? "desc" : "asc",
+            hasMore: cursorPage.hasMore,
+            truncated: isTruncatedList(data),
           },
         });
       }
 
-      // Default behavior (Espo paginated)
+      // ✅ Default where from config (CProduct: merchTags any ecatalogue, CBlog: Approved + published)
+      const defaultClauses = getDefaultClauses(entityName);
+
       const data = await fetchEntityPage(entityName, {
         page,
         limit,
         orderBy: req.query.orderBy,
         order: req.query.order,
         select: req.query.select,
+        where: [...toEspoWhere(defaultClauses), ...filterWhere],
       });
 
       let records = data?.list ?? [];
 
-      if (populate) {
-        const populateConfig = getEntityPopulateConfig(entityName);
+      if (populateConfig.length > 0) {
         records = await populateRelatedDataBulk(
           records,
           entityName,
@@ -866,13 +1249,20 @@ const createEntityController = (entityName) => {
       }
 
       // ✅ Apply Cloudinary variants
-      records = applyCloudinaryToRecords(records, entityName);
+      records = applyCloudinaryToRecords(records, entityName, populateConfig);
+      records = toPublicRecords(records, entityName, req, {
+        relations: populateConfig,
+      });
 
       res.json({
         success: true,
         data: records,
         total: Math.max(0, data?.total ?? 0),
         entity: entityName,
+        ...(defaultClauses.length > 0 && {
+          filtered: describeFilters(getEntityConfig(entityName).where),
+        }),
+        ...(filters.length > 0 && { filters: filterSummary }),
         pagination: {
           page,
           limit,
@@ -889,12 +1279,7 @@ const createEntityController = (entityName) => {
   // Get single record by ID
   const getRecordById = async (req, res) => {
     try {
-      const populate =
-        entityName === "CProduct" ||
-        entityName === "CWishlist" ||
-        entityName === "CProductLocation" ||
-        req.query.populate === "true" ||
-        req.query.populate === "1";
+      const populateConfig = getRequestPopulateConfig(entityName, req);
 
       // Check cache first (only if entity should be cached)
       const cacheKey = getCacheKey(entityName, {
@@ -909,10 +1294,502 @@ const createEntityController = (entityName) => {
         setCache(cacheKey, data, null, entityName);
       }
 
+      // ✅ Version token for If-Match on PUT / DELETE
+      const version = getRecordVersion(data);
+      if (version) res.set("ETag", toETag(version));
+
       let record = data;
 
-      if (populate && record) {
-        const populateConfig = getEntityPopulateConfig(entityName);
+      if (populateConfig.length > 0 && record) {
+        const populatedRecords = await populateRelatedDataBulk(
+          [record],
+          entityName,
+          populateConfig,
+        );
+        record = populatedRecords[0];
+      }
+
+      // ✅ Apply Cloudinary variants
+      record = applyCloudinaryToRecords(record, entityName, populateConfig);
+      record = toPublicRecords(record, entityName, req, {
+        relations: populateConfig,
+      });
+
+      res.json({ success: true, data: record, entity: entityName, version });
+    } catch (e) {
+      res
+        .status(e.status || 500)
+        .json({ success: false, error: e.data || e.message });
+    }
+  };
+
+  // ✅ Related records through a whitelisted EspoCRM link: GET /:id/related/:link
+  const getRelatedRecords = async (req, res) => {
+    try {
+      const { id, link } = req.params;
+      const { links } = getEntityConfig(entityName);
+      const linkConfig = Object.hasOwn(links, link) ? links[link] : null;
+
+      if (!linkConfig) {
+        return res.status(404).json({
+          success: false,
+          error: `Link "${link}" is not available for ${entityName}`,
+          links: Object.keys(links),
+        });
+      }
+
+      const relatedEntity = linkConfig.entity;
+      const page = intInRange(req.query.page, 1, 1, PUBLIC_API_MAX_PAGE);
+      const limit = intInRange(
+        req.query.limit,
+        PUBLIC_API_DEFAULT_LIMIT,
+        1,
+        PUBLIC_API_MAX_LIMIT,
+      );
+      const orderBy = cleanStr(req.query.orderBy);
+      const order = cleanStr(req.query.order);
+      const select = req.query.select
+        ? parseCsvList(req.query.select).join(",")
+        : (linkConfig.select || []).join(",");
+
+      // ✅ Select / orderBy are checked against the related entity's public fields
+      assertPublicQuery(relatedEntity, req);
+
+      // ✅ A hidden source record 404s like a missing one (its links stay private too)
+      const { byId } = await loadRecordsByIds(entityName, [id]);
+      const source = byId.get(id);
+      if (
+        !source ||
+        (!isAdminRequest(req) &&
+          filterPublicRecords([source], entityName).length === 0)
+      ) {
+        return res.status(404).json({
+          success: false,
+          error: `${entityName} ${id} not found`,
+        });
+      }
+
+      const cacheKey = getCacheKey(relatedEntity, {
+        type: "related",
+        source: entityName,
+        id,
+        link,
+        page,
+        limit,
+        orderBy,
+        order,
+        select,
+      });
+
+      let data = getCache(cacheKey, relatedEntity);
+
+      if (!data) {
+        // The related entity's default where still applies (e.g. only ecatalogue products)
+        data = await fetchRelatedPage(entityName, id, link, {
+          page,
+          limit,
+          orderBy,
+          order,
+          select,
+          where: toEspoWhere(getDefaultClauses(relatedEntity)),
+        });
+        setCache(cacheKey, data, null, relatedEntity);
+      }
+
+      let records = data?.list ?? [];
+
+      const populateConfig = getRequestPopulateConfig(relatedEntity, req);
+      if (populateConfig.length > 0) {
+        records = await populateRelatedDataBulk(
+          records,
+          relatedEntity,
+          populateConfig,
+        );
+      }
+
+      // ✅ Apply Cloudinary variants
+      records = applyCloudinaryToRecords(records, relatedEntity, populateConfig);
+      records = toPublicRecords(records, relatedEntity, req, {
+        relations: populateConfig,
+      });
+
+      res.json({
+        success: true,
+        data: records,
+        total: Math.max(0, data?.total ?? 0),
+        entity: relatedEntity,
+        source: { entity: entityName, id, link },
+        pagination: {
+          page,
+          limit,
+          totalPages: Math.ceil((data?.total ?? 0) / limit),
+        },
+      });
+    } catch (e) {
+      res
+        .status(e.status || 500)
+        .json({ success: false, error: e.data || e.message });
+    }
+  };
+
+  // ✅ Batch fetch by IDs: GET /batch?ids=a,b,c or POST /batch { ids: [...] }
+  // Serves per-record cache hits, fetches the rest with chunked "in" queries, keeps the requested order
+  const getRecordsByIds = async (req, res) => {
+    try {
+      const ids = parseCsvList(
+        req.method === "POST" ? req.body?.ids : req.query.ids,
+      );
+
+      if (ids.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "ids are required (?ids=a,b,c or POST { \"ids\": [...] })",
+        });
+      }
+
+      if (ids.length > PUBLIC_API_MAX_BATCH_IDS) {
+        return res.status(400).json({
+          success: false,
+          error: `Too many ids (max ${PUBLIC_API_MAX_BATCH_IDS})`,
+        });
+      }
+
+      const { byId, fromCache } = await loadRecordsByIds(entityName, ids);
+
+      const missing = ids.filter((id) => !byId.has(id));
+      let records = ids.filter((id) => byId.has(id)).map((id) => byId.get(id));
+
+      const populateConfig = getRequestPopulateConfig(entityName, req);
+      if (populateConfig.length > 0 && records.length > 0) {
+        records = await populateRelatedDataBulk(
+          records,
+          entityName,
+          populateConfig,
+        );
+      }
+
+      // ✅ Apply Cloudinary variants
+      records = applyCloudinaryToRecords(records, entityName, populateConfig);
+      records = toPublicRecords(records, entityName, req, {
+        relations: populateConfig,
+      });
+
+      res.json({
+        success: true,
+        data: records,
+        missing,
+        entity: entityName,
+        counts: {
+          requested: ids.length,
+          found: records.length,
+          fromCache,
+        },
+      });
+    } catch (e) {
+      res
+        .status(e.status || 500)
+        .json({ success: false, error: e.data || e.message });
+    }
+  };
+
+  // ✅ "You may also like": GET /:id/similar ranks the other public records of
+  // the cached list by weighted overlap (entity config `similar`, see
+  // utils/similarity.js); each item carries `similarity: { score, why }`
+  const getSimilarRecords = async (req, res) => {
+    try {
+      const { similar } = getEntityConfig(entityName);
+      if (similar.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: `Similar records are not configured for ${entityName}`,
+        });
+      }
+
+      const limit = intInRange(
+        req.query.limit,
+        SIMILAR_DEFAULT_LIMIT,
+        1,
+        PUBLIC_API_MAX_LIMIT,
+      );
+      assertPublicQuery(entityName, req);
+      const populateConfig = getRequestPopulateConfig(entityName, req);
+      const isAdmin = isAdminRequest(req);
+
+      const data = await fetchAllRecords(entityName);
+      const candidates = filterPublicRecords(data?.list ?? [], entityName);
+      const source = (isAdmin ? data?.list ?? [] : candidates).find(
+        (record) => record?.id === req.params.id,
+      );
+
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          error: `${entityName} ${req.params.id} not found`,
+        });
+      }
+
+      const ranked = rankSimilar(source, candidates, similar, {
+        limit,
+        showValues: (field) => isAdmin || isFieldPublic(entityName, field),
+      });
+
+      let records = ranked.map((item) => item.record);
+
+      if (req.query.select) {
+        records = selectFields(
+          records,
+          req.query.select,
+          getRelationIdFields(populateConfig),
+        );
+      }
+
+      if (populateConfig.length > 0 && records.length > 0) {
+        records = await populateRelatedDataBulk(
+          records,
+          entityName,
+          populateConfig,
+        );
+      }
+
+      // ✅ Apply Cloudinary variants
+      records = applyCloudinaryToRecords(records, entityName, populateConfig);
+      records = toPublicRecords(records, entityName, req, {
+        relations: populateConfig,
+      });
+
+      const rankById = new Map(ranked.map((item) => [item.record.id, item]));
+      res.json({
+        success: true,
+        data: records.map((record) => ({
+          ...record,
+          similarity: {
+            score: rankById.get(record.id)?.score ?? 0,
+            why: rankById.get(record.id)?.why ?? [],
+          },
+        })),
+        entity: entityName,
+        source: req.params.id,
+        total: records.length,
+      });
+    } catch (e) {
+      res
+        .status(e.status || 500)
+        .json({ success: false, error: e.data || e.message });
+    }
+  };
+
+  // ✅ Side-by-side comparison: GET /compare?ids=a,b,c — one row per attribute
+  // of the entity's `compare` config, one column per record, differing rows
+  // flagged (utils/compare.js); ?format=xlsx downloads the same matrix
+  const compareRecords = async (req, res) => {
+    try {
+      const { compare, imageFields, slugField } = getEntityConfig(entityName);
+      if (compare.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: `Comparison is not configured for ${entityName}`,
+        });
+      }
+
+      const format = cleanStr(req.query.format).toLowerCase() || "json";
+      if (!["json", "xlsx"].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: "format must be json or xlsx",
+        });
+      }
+
+      const ids = parseCsvList(req.query.ids);
+      if (ids.length < 2 || ids.length > COMPARE_MAX_IDS) {
+        return res.status(400).json({
+          success: false,
+          error: `ids must list 2 to ${COMPARE_MAX_IDS} records (?ids=a,b,c)`,
+        });
+      }
+
+      const { byId } = await loadRecordsByIds(entityName, ids);
+      const isVisible = (record) =>
+        isAdminRequest(req) ||
+        filterPublicRecords([record], entityName).length > 0;
+
+      let records = ids
+        .map((id) => byId.get(id))
+        .filter((record) => record && isVisible(record));
+      const found = new Set(records.map((record) => record.id));
+      const missing = ids.filter((id) => !found.has(id));
+
+      // Rows may read populated relations (e.g. collection.name)
+      const populateConfig = getRequestPopulateConfig(entityName, req, {
+        byDefault: true,
+      });
+      if (populateConfig.length > 0 && records.length > 0) {
+        records = await populateRelatedDataBulk(
+          records,
+          entityName,
+          populateConfig,
+        );
+      }
+
+      // ✅ Apply Cloudinary variants (column headers use the card variant)
+      records = applyCloudinaryToRecords(records, entityName, populateConfig);
+      records = toPublicRecords(records, entityName, req, {
+        relations: populateConfig,
+      });
+
+      const comparison = buildComparison(records, compare, {
+        slugField,
+        imageField: imageFields[0],
+      });
+
+      if (format === "xlsx") {
+        const buffer = await buildXlsxBuffer({
+          sheets: [comparisonSheet(comparison)],
+        });
+        res.set("Content-Type", XLSX_MIME);
+        res.set(
+          "Content-Disposition",
+          `attachment; filename="${getEntityRouteName(entityName)}-comparison.xlsx"`,
+        );
+        return res.send(buffer);
+      }
+
+      res.json({
+        success: true,
+        entity: entityName,
+        columns: comparison.columns,
+        rows: comparison.rows,
+        missing,
+      });
+    } catch (e) {
+      res
+        .status(e.status || 500)
+        .json({ success: false, error: e.data || e.message });
+    }
+  };
+
+  // ✅ Incremental sync: GET /changes?since=<token|timestamp> returns records
+  // created or modified since then, IDs deleted since then and the next token
+  // (see utils/changeJournal.js). Without a usable `since` it answers with
+  // reset: true and every public record.
+  const getChanges = async (req, res) => {
+    try {
+      assertPublicQuery(entityName, req);
+      const populateConfig = getRequestPopulateConfig(entityName, req);
+
+      const data = await fetchAllRecords(entityName);
+      const list = data?.list ?? [];
+      const changes = readChanges(entityName, req.query.since, list);
+
+      const visible = filterPublicRecords(list, entityName);
+      let records = visible;
+      let deleted = changes.deletedIds;
+
+      if (!changes.reset) {
+        const visibleById = new Map(visible.map((record) => [record.id, record]));
+        records = changes.upsertedIds
+          .filter((id) => visibleById.has(id))
+          .map((id) => visibleById.get(id));
+        // Changed records that left the public set (e.g. lost the ecatalogue tag) are deletes for the client
+        deleted = [
+          ...deleted,
+          ...changes.upsertedIds.filter((id) => !visibleById.has(id)),
+        ];
+      }
+
+      if (req.query.select) {
+        records = selectFields(
+          records,
+          req.query.select,
+          getRelationIdFields(populateConfig),
+        );
+      }
+
+      if (populateConfig.length > 0 && records.length > 0) {
+        records = await populateRelatedDataBulk(
+          records,
+          entityName,
+          populateConfig,
+        );
+      }
+
+      // ✅ Apply Cloudinary variants
+      records = applyCloudinaryToRecords(records, entityName, populateConfig);
+      records = toPublicRecords(records, entityName, req, {
+        relations: populateConfig,
+      });
+
+      // Tokens belong to this instance's journal; never share responses via the CDN
+      res.set("Cache-Control", "no-store");
+
+      res.json({
+        success: true,
+        data: records,
+        deleted,
+        token: changes.token,
+        reset: changes.reset,
+        ...(changes.reset && { resetReason: changes.reason }),
+        entity: entityName,
+        counts: { changed: records.length, deleted: deleted.length },
+      });
+    } catch (e) {
+      res
+        .status(e.status || 500)
+        .json({ success: false, error: e.data || e.message });
+    }
+  };
+
+  // ✅ Resolve a record by its slug through the in-memory slug index (404 with near-miss suggestions)
+  const getRecordBySlug = async (req, res) => {
+    try {
+      const slug = cleanStr(req.params.slug);
+      const slugField = getEntitySlugField(entityName);
+
+      if (!slug) {
+        return res.status(400).json({
+          success: false,
+          error: "slug parameter is required",
+        });
+      }
+
+      if (slug.length > MAX_SLUG_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `slug must be at most ${MAX_SLUG_LENGTH} characters`,
+        });
+      }
+
+      const data = await fetchAllRecords(entityName);
+      const index = ensureSlugIndex(entityName, data?.list ?? [], slugField);
+      const isPublic = (record) =>
+        filterPublicRecords([record], entityName).length > 0;
+
+      // Duplicate slugs resolve to the first public record
+      const match = lookupSlug(index, slug, { accept: isPublic });
+
+      if (!match) {
+        const suggestions = suggestSlugs(index, slug, { accept: isPublic }).map(
+          ({ slug: suggestion, record }) => ({
+            slug: suggestion,
+            id: record.id,
+            name: record.name || record.productTitle || record.title || null,
+          }),
+        );
+
+        return res.status(404).json({
+          success: false,
+          error: `No ${entityName} with ${slugField} "${slug}"`,
+          entity: entityName,
+          slugField,
+          suggestions,
+        });
+      }
+
+      let record = match;
+
+      const populateConfig = getRequestPopulateConfig(entityName, req, {
+        byDefault: true,
+      });
+      if (populateConfig.length > 0) {
         const populatedRecords = await populateRelatedDataBulk(
           [record],
           entityName,
@@ -922,9 +1799,12 @@ const createEntityController = (entityName) => {
       }
 
       // ✅ Apply Cloudinary variants
-      record = applyCloudinaryToRecords(record, entityName);
+      record = applyCloudinaryToRecords(record, entityName, populateConfig);
+      record = toPublicRecords(record, entityName, req, {
+        relations: populateConfig,
+      });
 
-      res.json({ success: true, data: record, entity: entityName });
+      res.json({ success: true, data: record, entity: entityName, slugField });
     } catch (e) {
       res
         .status(e.status || 500)
@@ -934,50 +1814,239 @@ const createEntityController = (entityName) => {
 
   const createRecord = async (req, res) => {
     try {
+      await assertValidWrite(entityName, req.body, "create");
+
       const data = await espoRequest(`/${entityName}`, {
         method: "POST",
         body: req.body,
       });
 
       deleteCacheByEntity(entityName);
+      publishRecordEvent("record.created", entityName, data, { source: "admin" });
       await revalidateFrontends();
 
       res.json({ success: true, data, entity: entityName });
     } catch (e) {
-      res
-        .status(e.status || 500)
-        .json({ success: false, error: e.data || e.message });
+      res.status(e.status || 500).json({
+        success: false,
+        error: e.data || e.message,
+        ...writeErrorDetails(e),
+      });
     }
   };
 
+  // ✅ If-Match / expectedModifiedAt: 409 with the current record when it changed meanwhile
   const updateRecord = async (req, res) => {
     try {
+      const { expectedModifiedAt: _expected, ...body } = req.body || {};
+      await assertValidWrite(entityName, body, "update");
+
+      const expected = getExpectedVersions(req);
+      if (expected) {
+        await assertRecordVersion(entityName, req.params.id, expected);
+      }
+
       const data = await espoRequest(`/${entityName}/${req.params.id}`, {
         method: "PUT",
-        body: req.body,
+        body,
       });
 
       deleteCacheByEntity(entityName);
+      publishRecordEvent("record.updated", entityName, data, { source: "admin" });
       await revalidateFrontends();
 
-      res.json({ success: true, data, entity: entityName });
+      const version = getRecordVersion(data);
+      if (version) res.set("ETag", toETag(version));
+
+      res.json({ success: true, data, entity: entityName, version });
     } catch (e) {
-      res
-        .status(e.status || 500)
-        .json({ success: false, error: e.data || e.message });
+      res.status(e.status || 500).json({
+        success: false,
+        error: e.data || e.message,
+        ...writeErrorDetails(e),
+      });
     }
   };
 
   const deleteRecord = async (req, res) => {
     try {
+      const expected = getExpectedVersions(req);
+      if (expected) {
+        await assertRecordVersion(entityName, req.params.id, expected);
+      }
+
+      const cachedRecord = findCachedRecord(entityName, req.params.id);
+
       await espoRequest(`/${entityName}/${req.params.id}`, {
         method: "DELETE",
       });
 
       deleteCacheByEntity(entityName);
+      publishRecordEvent(
+        "record.deleted",
+        entityName,
+        cachedRecord || { id: req.params.id },
+        { source: "admin", isPublic: cachedRecord ? undefined : false },
+      );
       await revalidateFrontends();
 
       res.json({ success: true, entity: entityName });
+    } catch (e) {
+      res.status(e.status || 500).json({
+        success: false,
+        error: e.data || e.message,
+        ...writeErrorDetails(e),
+      });
+    }
+  };
+
+  // ✅ Bulk writes: POST /bulk { operations: [{ op, id?, data? }], dryRun? }
+  // Runs with bounded concurrency and reports each item; the entity cache is
+  // cleared and frontends revalidated once at the end (not per record)
+  const bulkWrite = async (req, res) => {
+    try {
+      const operations = req.body?.operations;
+      const dryRun = req.body?.dryRun === true || req.query.dryRun === "true";
+
+      if (!Array.isArray(operations) || operations.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "operations must be a non-empty array of { op, id?, data? }",
+        });
+      }
+
+      if (operations.length > BULK_MAX_OPERATIONS) {
+        return res.status(400).json({
+          success: false,
+          error: `Too many operations (max ${BULK_MAX_OPERATIONS})`,
+        });
+      }
+
+      // Field definitions for create/update items (loaded once for the whole batch)
+      const fieldDefs = operations.some(
+        (item) => cleanStr(item?.op).toLowerCase() !== "delete",
+      )
+        ? await getWriteFieldDefs(entityName)
+        : null;
+
+      // Dry run: also check that update/delete targets exist (one chunked "in" query)
+      let existing = null;
+      if (dryRun) {
+        const targetIds = parseCsvList(
+          operations
+            .filter(
+              (item) =>
+                !validateBulkOperation(item) &&
+                cleanStr(item.op).toLowerCase() !== "create",
+            )
+            .map((item) => cleanStr(item.id)),
+        );
+        existing = targetIds.length
+          ? await fetchByIds(entityName, targetIds, { select: ["id"] })
+          : {};
+      }
+
+      // Slugs for record.deleted events, read before the deletes clear anything
+      const deletedRecords = new Map();
+      if (!dryRun) {
+        for (const item of operations) {
+          if (cleanStr(item?.op).toLowerCase() !== "delete") continue;
+          const record = findCachedRecord(entityName, cleanStr(item.id));
+          if (record) deletedRecords.set(record.id, record);
+        }
+      }
+
+      const limit = createLimiter(BULK_WRITE_CONCURRENCY);
+      const results = await Promise.all(
+        operations.map((item, index) =>
+          limit(async () => {
+            const op = cleanStr(item?.op).toLowerCase();
+            const id = cleanStr(item?.id);
+            const result = { index, op, ...(id && { id }) };
+
+            const problem = validateBulkOperation(item);
+            if (problem) {
+              return { ...result, success: false, status: 400, error: problem };
+            }
+
+            const fieldErrors =
+              op !== "delete"
+                ? [
+                    ...(fieldDefs
+                      ? validateWritePayload(fieldDefs, item.data, { mode: op })
+                      : []),
+                    ...sectionRuleErrors(entityName, item.data),
+                  ]
+                : [];
+            if (fieldErrors.length > 0) {
+              return {
+                ...result,
+                success: false,
+                status: 422,
+                error: `Validation failed for ${entityName}`,
+                errors: fieldErrors,
+              };
+            }
+
+            if (dryRun) {
+              if (op !== "create" && !existing[id]) {
+                return {
+                  ...result,
+                  success: false,
+                  status: 404,
+                  error: "Record not found",
+                };
+              }
+              return { ...result, success: true, dryRun: true };
+            }
+
+            try {
+              const data = await runBulkOperation(entityName, op, id, item.data);
+              return op === "delete"
+                ? { ...result, success: true }
+                : { ...result, id: data?.id || id, success: true, data };
+            } catch (e) {
+              return {
+                ...result,
+                success: false,
+                status: e.status || 500,
+                error: e.data || e.message,
+              };
+            }
+          }),
+        ),
+      );
+
+      const succeeded = results.filter((r) => r.success).length;
+
+      if (!dryRun && succeeded > 0) {
+        deleteCacheByEntity(entityName);
+        for (const result of results) {
+          if (!result.success) continue;
+          const record = result.data || deletedRecords.get(result.id);
+          // record.created / record.updated / record.deleted
+          publishRecordEvent(
+            `record.${result.op}d`,
+            entityName,
+            record || { id: result.id },
+            { source: "admin", isPublic: record ? undefined : false },
+          );
+        }
+        await revalidateFrontends();
+      }
+
+      // 207 when some items failed; each result carries its own status
+      res.status(succeeded === results.length ? 200 : 207).json({
+        success: succeeded === results.length,
+        entity: entityName,
+        dryRun,
+        counts: {
+          total: results.length,
+          succeeded,
+          failed: results.length - succeeded,
+        },
+        results,
+      });
     } catch (e) {
       res
         .status(e.status || 500)
@@ -997,6 +2066,11 @@ const createEntityController = (entityName) => {
         });
       }
 
+      assertPublicQuery(entityName, req);
+      if (!isAdminRequest(req)) {
+        assertPublicFields(entityName, [fieldName], "fieldName");
+      }
+
       const page = intInRange(req.query.page, 1, 1, PUBLIC_API_MAX_PAGE);
       const limit = intInRange(
         req.query.limit,
@@ -1006,19 +2080,19 @@ const createEntityController = (entityName) => {
       );
       const offset = (page - 1) * limit;
 
-      const populate =
-        entityName === "CProduct" ||
-        entityName === "CWishlist" ||
-        entityName === "CProductLocation" ||
-        req.query.populate === "true" ||
-        req.query.populate === "1";
+      const populateConfig = getRequestPopulateConfig(entityName, req);
+
+      const cursorMode = isCursorRequest(req.query);
 
       // fetch ALL (paged) instead of maxSize:100
-      const data = await fetchAllRecords(entityName, {
-        orderBy: req.query.orderBy,
-        order: req.query.order,
-        select: req.query.select,
-      });
+      // (cursor mode sorts the default cached list itself so the sort field is always present)
+      const data = cursorMode
+        ? await fetchAllRecords(entityName)
+        : await fetchAllRecords(entityName, {
+            orderBy: req.query.orderBy,
+            order: req.query.order,
+            select: req.query.select,
+          });
 
       const filteredRecords = (data?.list ?? []).filter((record) => {
         const v = record[fieldName];
@@ -1032,11 +2106,76 @@ const createEntityController = (entityName) => {
         return eqLoose(v, fieldValue);
       });
 
+      if (cursorMode) {
+        const orderBy = cleanStr(req.query.orderBy) || DEFAULT_CURSOR_ORDER_BY;
+        const order = req.query.orderBy ? req.query.order : DEFAULT_CURSOR_ORDER;
+
+        const cursorPage = paginateByCursor(filteredRecords, {
+          orderBy,
+          order,
+          limit,
+          cursor: getRequestCursor(req.query),
+          scope: cursorScope([
+            "field",
+            entityName,
+            fieldName,
+            normText(fieldValue),
+            orderBy,
+            order,
+          ]),
+        });
+
+        let paginatedRecords = cursorPage.records;
+
+        if (req.query.select) {
+          paginatedRecords = selectFields(
+            paginatedRecords,
+            req.query.select,
+            getRelationIdFields(populateConfig),
+          );
+        }
+
+        if (populateConfig.length > 0) {
+          paginatedRecords = await populateRelatedDataBulk(
+            paginatedRecords,
+            entityName,
+            populateConfig,
+          );
+        }
+
+        // ✅ Apply Cloudinary variants
+        paginatedRecords = applyCloudinaryToRecords(
+          paginatedRecords,
+          entityName,
+          populateConfig,
+        );
+        paginatedRecords = toPublicRecords(paginatedRecords, entityName, req, {
+          relations: populateConfig,
+        });
+
+        return res.json({
+          success: true,
+          data: paginatedRecords,
+          total: cursorPage.total,
+          entity: entityName,
+          field: fieldName,
+          value: fieldValue,
+          nextCursor: cursorPage.nextCursor,
+          pagination: {
+            mode: "cursor",
+            limit,
+            orderBy,
+            order: cleanStr(order).toLowerCase() === "desc" ? "desc" : "asc",
+            hasMore: cursorPage.hasMore,
+            truncated: isTruncatedList(data),
+          },
+        });
+      }
+
       const paginatedRecordsRaw = filteredRecords.slice(offset, offset + limit);
       let paginatedRecords = paginatedRecordsRaw;
 
-      if (populate) {
-        const populateConfig = getEntityPopulateConfig(entityName);
+      if (populateConfig.length > 0) {
         paginatedRecords = await populateRelatedDataBulk(
           paginatedRecords,
           entityName,
@@ -1045,7 +2184,14 @@ const createEntityController = (entityName) => {
       }
 
       // ✅ Apply Cloudinary variants
-      paginatedRecords = applyCloudinaryToRecords(paginatedRecords, entityName);
+      paginatedRecords = applyCloudinaryToRecords(
+        paginatedRecords,
+        entityName,
+        populateConfig,
+      );
+      paginatedRecords = toPublicRecords(paginatedRecords, entityName, req, {
+        relations: populateConfig,
+      });
 
       res.json({
         success: true,
@@ -1085,6 +2231,10 @@ const createEntityController = (entityName) => {
         });
       }
 
+      if (!isAdminRequest(req)) {
+        assertPublicFields(entityName, [fieldName], "fieldName");
+      }
+
       const data = await fetchAllRecords(entityName, {
         select: fieldName,
       });
@@ -1129,7 +2279,112 @@ const createEntityController = (entityName) => {
     }
   };
 
-  // ✅ Search products (NOW scans ALL + loose includes)
+  // ✅ Facets: per-value counts for requested fields over the cached list, narrowed by filter[...]
+  const getFacets = async (req, res) => {
+    try {
+      const fieldTypes = getEntityFilterFields(entityName);
+      const fields = parseCsvList(req.query.fields);
+
+      if (fields.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "fields query parameter is required (e.g. ?fields=color,content)",
+        });
+      }
+
+      const facetSpecs = parseFacetSpecs(entityName, req, fields, "fields");
+
+      const filters = parseFilterQuery(req.query, fieldTypes);
+      if (!isAdminRequest(req)) {
+        assertPublicFields(entityName, filters.map((c) => c.field), "filter");
+      }
+
+      const data = await fetchAllRecords(entityName);
+      const records = filterPublicRecords(data?.list ?? [], entityName);
+      const { total, facets } = computeFacets(records, filters, facetSpecs);
+
+      res.json({
+        success: true,
+        entity: entityName,
+        total,
+        ...(filters.length > 0 && { filters: describeFilters(filters) }),
+        facets,
+      });
+    } catch (e) {
+      res.status(e.status || 500).json({
+        success: false,
+        error: e.data || e.message,
+      });
+    }
+  };
+
+  // ✅ Suggest: type-ahead from the in-memory prefix index (cache only, never calls EspoCRM)
+  const getSuggestions = async (req, res) => {
+    try {
+      const q = cleanStr(req.query.q);
+      const limit = intInRange(req.query.limit, 8, 1, 20);
+
+      if (!q) {
+        return res.status(400).json({
+          success: false,
+          error: "q query parameter is required",
+        });
+      }
+      if (q.length > MAX_QUERY_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `q must be at most ${MAX_QUERY_LENGTH} characters`,
+        });
+      }
+
+      const cacheKey = getCacheKey(entityName, {
+        type: "all",
+        orderBy: "",
+        order: "",
+        select: "",
+      });
+      const cached = getCache(cacheKey, entityName);
+
+      if (!cached) {
+        // Warm the cache in the background; suggestions start working on the next keystroke
+        fetchAllRecords(entityName).catch((error) => {
+          console.warn(
+            `[getSuggestions] Background cache fill failed for ${entityName}:`,
+            error.message,
+          );
+        });
+
+        return res.json({
+          success: true,
+          entity: entityName,
+          q,
+          suggestions: [],
+          completions: [],
+          warming: true,
+        });
+      }
+
+      const index = ensureSuggestIndex(entityName, cached.list, (list) =>
+        toSuggestionDocs(list || [], entityName),
+      );
+      const { records, completions } = querySuggestIndex(index, q, { limit });
+
+      res.json({
+        success: true,
+        entity: entityName,
+        q,
+        suggestions: records,
+        completions,
+      });
+    } catch (e) {
+      res.status(e.status || 500).json({
+        success: false,
+        error: e.data || e.message,
+      });
+    }
+  };
+
+  // ✅ Search (relevance-ranked through the in-memory search index)
   const getBySearchProduct = async (req, res) => {
     try {
       const { searchValue } = req.params;
@@ -1140,6 +2395,14 @@ const createEntityController = (entityName) => {
           error: "searchValue parameter is required",
         });
       }
+      if (searchValue.length > MAX_QUERY_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `searchValue must be at most ${MAX_QUERY_LENGTH} characters`,
+        });
+      }
+
+      assertPublicQuery(entityName, req);
 
       const page = intInRange(req.query.page, 1, 1, PUBLIC_API_MAX_PAGE);
       const limit = intInRange(
@@ -1150,50 +2413,75 @@ const createEntityController = (entityName) => {
       );
       const offset = (page - 1) * limit;
 
-      const searchTerm = normText(searchValue);
-
-      const data = await fetchAllRecords(entityName, {
-        orderBy: req.query.orderBy,
-        order: req.query.order,
-        select: req.query.select,
-      });
-
-      let records = data?.list ?? [];
+      // Index is built from the default (full, unselected) cached list
+      const data = await fetchAllRecords(entityName);
+      const allRecords = data?.list ?? [];
+      const index = ensureSearchIndex(
+        entityName,
+        allRecords,
+        getEntitySearchFields(entityName),
+      );
 
-      // if product: keep your ecatalogue-only logic
-      if (
-        entityName.toLowerCase() === "product" ||
-        entityName.toLowerCase() === "cproduct"
-      ) {
-        records = records.filter((record) => {
-          const merchTags = record.merchTags;
-          if (!merchTags || !Array.isArray(merchTags)) return false;
-          return merchTags.some((tag) => eqLoose(tag, "ecatalogue"));
+      // Same default where as the list route (CProduct: ecatalogue only)
+      const records = filterPublicRecords(allRecords, entityName);
+
+      const byId = new Map(records.map((record) => [record.id, record]));
+      // Synonyms / stop-words from the search dictionary (loaded once)
+      await ensureSearchDictionary();
+      const hits = querySearchIndex(index, searchValue, {
+        expandUnits: expandQueryUnits,
+      }).filter((hit) => byId.has(hit.id));
+
+      let filteredRecords = hits.map((hit) => ({
+        ...byId.get(hit.id),
+        searchScore: hit.score,
+      }));
+
+      // Cursor mode: keyset on (searchScore desc, id) or (?orderBy, id)
+      let cursorPage = null;
+      if (isCursorRequest(req.query)) {
+        const orderBy = cleanStr(req.query.orderBy) || "searchScore";
+        const order = req.query.orderBy ? req.query.order : "desc";
+
+        cursorPage = paginateByCursor(filteredRecords, {
+          orderBy,
+          order,
+          limit,
+          cursor: getRequestCursor(req.query),
+          scope: cursorScope([
+            "search",
+            entityName,
+            normText(searchValue),
+            orderBy,
+            order,
+          ]),
         });
+        filteredRecords = cursorPage.records;
+      } else if (req.query.orderBy) {
+        // Relevance order by default; explicit ?orderBy= overrides it
+        filteredRecords = sortRecords(
+          filteredRecords,
+          req.query.orderBy,
+          req.query.order,
+        );
       }
 
-      const filteredRecords = records.filter((record) => {
-        const keywords = record.keywords;
-        const productTitle = record.productTitle;
-        const name = record.name;
-
-        let keywordsMatch = false;
-        if (keywords && Array.isArray(keywords)) {
-          keywordsMatch = keywords.some((k) => includesLoose(k, searchTerm));
-        }
-
-        const titleMatch = productTitle
-          ? includesLoose(productTitle, searchTerm)
-          : false;
-        const nameMatch = name ? includesLoose(name, searchTerm) : false;
-
-        return keywordsMatch || titleMatch || nameMatch;
+      const populateConfig = getRequestPopulateConfig(entityName, req, {
+        byDefault: true,
       });
 
-      const paginatedRecordsRaw = filteredRecords.slice(offset, offset + limit);
+      if (req.query.select) {
+        filteredRecords = selectFields(filteredRecords, req.query.select, [
+          "searchScore",
+          ...getRelationIdFields(populateConfig),
+        ]);
+      }
+
+      const paginatedRecordsRaw = cursorPage
+        ? filteredRecords
+        : filteredRecords.slice(offset, offset + limit);
       let paginatedRecords = paginatedRecordsRaw;
 
-      const populateConfig = getEntityPopulateConfig(entityName);
       paginatedRecords = await populateRelatedDataBulk(
         paginatedRecords,
         entityName,
@@ -1201,19 +2489,42 @@ const createEntityController = (entityName) => {
       );
 
       // ✅ Apply Cloudinary variants
-      paginatedRecords = applyCloudinaryToRecords(paginatedRecords, entityName);
+      paginatedRecords = applyCloudinaryToRecords(
+        paginatedRecords,
+        entityName,
+        populateConfig,
+      );
+      paginatedRecords = toPublicRecords(paginatedRecords, entityName, req, {
+        keep: ["searchScore"],
+        relations: populateConfig,
+      });
+
+      const total = cursorPage ? cursorPage.total : filteredRecords.length;
 
       return res.json({
         success: true,
         data: paginatedRecords,
-        total: filteredRecords.length,
+        total,
         entity: entityName,
         searchValue,
-        pagination: {
-          page,
-          limit,
-          totalPages: Math.ceil(filteredRecords.length / limit),
-        },
+        sortedBy: req.query.orderBy ? req.query.orderBy : "relevance",
+        ...(cursorPage
+          ? {
+              nextCursor: cursorPage.nextCursor,
+              pagination: {
+                mode: "cursor",
+                limit,
+                hasMore: cursorPage.hasMore,
+                truncated: isTruncatedList(data),
+              },
+            }
+          : {
+              pagination: {
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit),
+              },
+            }),
       });
     } catch (e) {
       console.error(
@@ -1237,106 +2548,193 @@ const createEntityController = (entityName) => {
   return {
     getAllRecords,
     getRecordById,
+    getRecordBySlug,
+    getRecordsByIds,
+    getChanges,
+    getSimilarRecords,
+    compareRecords,
+    getRelatedRecords,
+    bulkWrite,
     createRecord,
     updateRecord,
     deleteRecord,
     getRecordsByFieldValue,
     getUniqueFieldValues,
     getBySearchProduct,
+    getFacets,
+    getSuggestions,
   };
 };
 
 /* ------------------------------ Dynamic Section (Standalone) ------------------------------ */
-// ✅ Dynamic section: search by merchtag in TopicPage.slug and Product.merchTags
+const DYNAMIC_SECTION_MODES = ["any", "all", "exclude"];
+
+// Helper: Does a product satisfy the section tags? A product is in a tag's
+// section when tagged with it or selected by its topic page's rule.
+//   any      at least one tag
+//   all      every tag
+//   exclude  the first tag and none of the others
+function matchesSectionTags(record, normalizedTags, rules, mode) {
+  const own = new Set(
+    (Array.isArray(record?.merchTags) ? record.merchTags : []).map(normText),
+  );
+  const inSection = (tag, i) =>
+    own.has(tag) || (!!rules[i] && matchesSectionRule(rules[i], record));
+
+  if (mode === "all") return normalizedTags.every(inSection);
+  if (mode === "exclude") {
+    return (
+      inSection(normalizedTags[0], 0) &&
+      normalizedTags.slice(1).every((tag, i) => !inSection(tag, i + 1))
+    );
+  }
+  return normalizedTags.some(inSection);
+}
+
+// ✅ Dynamic section: TopicPage (slug) metadata and Product (merchTags) list for
+// one or more tags, served from the cached product and topic page lists
+//   /dynamicsection/:merchtag  or  /dynamicsection?tags=a,b  (&mode=any|all|exclude)
 const getDynamicSection = async (req, res) => {
   try {
-    const { merchtag } = req.params;
+    const tags = Array.from(
+      new Set(parseCsvList(req.params.merchtag ?? req.query.tags)),
+    );
 
-    if (!merchtag) {
+    if (tags.length === 0) {
       return res.status(400).json({
         success: false,
         error: "merchtag parameter is required",
       });
     }
 
-    const merchtagValue = cleanStr(merchtag);
+    const mode = cleanStr(req.query.mode).toLowerCase() || "any";
+    if (!DYNAMIC_SECTION_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `mode must be one of: ${DYNAMIC_SECTION_MODES.join(", ")}`,
+      });
+    }
+    if (mode === "exclude" && tags.length < 2) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "mode=exclude needs at least two tags (products with the first tag and none of the others)",
+      });
+    }
 
-    // Fetch matching TopicPage records directly from EspoCRM
-    const topicPageData = await fetchRecordsPaged("CTopicPage", {
-      orderBy: req.query.orderBy,
-      order: req.query.order,
-      where: [
-        {
-          type: "equals",
-          attribute: "slug",
-          value: merchtagValue,
-        },
-      ],
-    });
+    const page = intInRange(req.query.page, 1, 1, PUBLIC_API_MAX_PAGE);
+    const limit = intInRange(
+      req.query.limit,
+      PUBLIC_API_DEFAULT_LIMIT,
+      1,
+      PUBLIC_API_MAX_LIMIT,
+    );
 
-    // Fetch matching Product records directly from EspoCRM
-    const productData = await fetchRecordsPaged("CProduct", {
-      orderBy: req.query.orderBy,
-      order: req.query.order,
-      where: [
-        {
-          type: "arrayAnyOf",
-          attribute: "merchTags",
-          value: [merchtagValue],
-        },
-      ],
-    });
+    // ✅ Product list query: same rules as /product (filter, select, orderBy)
+    const filters = parseFilterQuery(
+      req.query,
+      getEntityFilterFields("CProduct"),
+    );
+    assertPublicQuery("CProduct", req);
+    if (!isAdminRequest(req)) {
+      assertPublicFields("CProduct", filters.map((c) => c.field), "filter");
+    }
 
-    let matchingTopicPages = topicPageData?.list ?? [];
-    let matchingProducts = productData?.list ?? [];
+    const facetFields = parseCsvList(req.query.facets);
+    const facetSpecs =
+      facetFields.length > 0
+        ? parseFacetSpecs("CProduct", req, facetFields, "facets")
+        : [];
 
-    if (matchingTopicPages.length === 0) {
-      const fallbackTopicPages = await fetchAllRecords("CTopicPage", {
-        orderBy: req.query.orderBy,
-        order: req.query.order,
-      });
+    const [topicPageData, productData] = await Promise.all([
+      fetchAllRecords("CTopicPage"),
+      fetchAllRecords("CProduct"),
+    ]);
 
-      matchingTopicPages = (fallbackTopicPages?.list ?? []).filter((record) =>
-        eqLoose(record?.slug, merchtagValue),
-      );
-    }
+    // ✅ Topic page metadata per tag (TopicPage.slug == tag)
+    const topicPages = filterPublicRecords(
+      topicPageData?.list ?? [],
+      "CTopicPage",
+    );
+    const sectionPages = tags.map(
+      (tag) => topicPages.find((record) => eqLoose(record?.slug, tag)) || null,
+    );
+    const matchedPages = Array.from(new Set(sectionPages.filter(Boolean)));
 
-    if (matchingProducts.length === 0) {
-      const fallbackProducts = await fetchAllRecords("CProduct", {
-        orderBy: req.query.orderBy,
-        order: req.query.order,
-      });
+    // ✅ Rule-based sections: the topic page's product rule (compiled in the index)
+    const sectionIndex = ensureDynamicSectionIndex(
+      topicPageData?.list ?? [],
+      productData?.list ?? [],
+    );
+    const rules = tags.map((tag) => getSectionRule(sectionIndex, tag));
 
-      matchingProducts = (fallbackProducts?.list ?? []).filter((record) =>
-        Array.isArray(record?.merchTags) &&
-        record.merchTags.some((tag) => eqLoose(tag, merchtagValue)),
+    const normalizedTags = tags.map(normText);
+    const tagged = filterPublicRecords(
+      productData?.list ?? [],
+      "CProduct",
+    ).filter((record) =>
+      matchesSectionTags(record, normalizedTags, rules, mode),
+    );
+
+    // Facets count the tagged products, each facet ignoring its own filter
+    const facets =
+      facetSpecs.length > 0
+        ? computeFacets(tagged, filters, facetSpecs).facets
+        : null;
+
+    const matching = sortRecords(
+      tagged.filter((record) => matchesFilters(record, filters)),
+      req.query.orderBy,
+      req.query.order,
+    );
+
+    let products = matching.slice((page - 1) * limit, page * limit);
+
+    const populateConfig = getRequestPopulateConfig("CProduct", req, {
+      byDefault: true,
+    });
+    if (req.query.select) {
+      products = selectFields(
+        products,
+        req.query.select,
+        getRelationIdFields(populateConfig),
       );
     }
-
-    // Populate related data for products
-    if (matchingProducts.length > 0) {
-      const populateConfig = getEntityPopulateConfig("CProduct");
-      matchingProducts = await populateRelatedDataBulk(
-        matchingProducts,
+    if (products.length > 0 && populateConfig.length > 0) {
+      products = await populateRelatedDataBulk(
+        products,
         "CProduct",
         populateConfig,
       );
     }
 
     // Apply Cloudinary variants
-    const processedTopicPages = applyCloudinaryToRecords(
-      matchingTopicPages,
+    const processedTopicPages = toPublicRecords(
+      applyCloudinaryToRecords(matchedPages, "CTopicPage"),
       "CTopicPage",
+      req,
     );
-    const processedProducts = applyCloudinaryToRecords(
-      matchingProducts,
+    const processedProducts = toPublicRecords(
+      applyCloudinaryToRecords(products, "CProduct", populateConfig),
       "CProduct",
+      req,
+      { relations: populateConfig },
+    );
+
+    const processedById = new Map(
+      processedTopicPages.map((record) => [record.id, record]),
     );
 
-    // Return combined results
     res.json({
       success: true,
-      merchtag,
+      merchtag: tags.join(","),
+      tags,
+      mode,
+      sections: tags.map((tag, index) => ({
+        tag,
+        topicPage: processedById.get(sectionPages[index]?.id) || null,
+        hasRule: !!rules[index],
+      })),
       data: {
         topicPages: processedTopicPages,
         products: processedProducts,
@@ -1346,10 +2744,19 @@ const getDynamicSection = async (req, res) => {
         products: processedProducts.length,
         total: processedTopicPages.length + processedProducts.length,
       },
+      total: matching.length,
+      ...(filters.length > 0 && { filters: describeFilters(filters) }),
+      ...(facets && { facets }),
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(matching.length / limit),
+      },
     });
   } catch (e) {
+    const merchtag = req.params.merchtag ?? req.query.tags;
     console.error(
-      `[getDynamicSection] Error searching for merchtag "${req.params.merchtag}":`,
+      `[getDynamicSection] Error searching for merchtag "${merchtag}":`,
       {
         status: e.status,
         message: e.message,
@@ -1359,68 +2766,141 @@ const getDynamicSection = async (req, res) => {
     res.status(e.status || 500).json({
       success: false,
       error: e.data || e.message,
-      merchtag: req.params.merchtag,
+      merchtag,
     });
   }
 };
 
-// ✅ Get all dynamic sections: return only section names where TopicPage.slug matches any Product.merchTags
-const getAllDynamicSections = async (req, res) => {
-  try {
-    // Fetch all TopicPage records
-    const topicPageData = await fetchAllRecords("CTopicPage", {
-      orderBy: req.query.orderBy,
-      order: req.query.order,
-      select: "slug",
-    });
+/* ------------------------------ Dynamic section index ------------------------------ */
+const SECTION_INDEX_ENTITIES = ["CTopicPage", "CProduct"];
 
-    // Fetch all Product records
-    const productData = await fetchAllRecords("CProduct", {
-      orderBy: req.query.orderBy,
-      order: req.query.order,
-      select: "merchTags",
-    });
+// Topic page attribute that orders sections in ?include=meta (unset last)
+const DYNAMIC_SECTION_SORT_FIELD =
+  cleanStr(process.env.DYNAMIC_SECTION_SORT_FIELD) || "sortOrder";
 
-    const allTopicPages = topicPageData?.list ?? [];
-    const allProducts = productData?.list ?? [];
-
-    // Create a set of all TopicPage slugs (normalized)
-    const topicPageSlugs = new Map();
-    allTopicPages.forEach((tp) => {
-      const slug = cleanStr(tp.slug);
-      if (slug) {
-        const normalizedSlug = normText(slug);
-        if (!topicPageSlugs.has(normalizedSlug)) {
-          topicPageSlugs.set(normalizedSlug, slug);
-        }
-      }
-    });
+// Topic page attribute holding the JSON product rule (see utils/sectionRules.js)
+const DYNAMIC_SECTION_RULES_FIELD =
+  cleanStr(process.env.DYNAMIC_SECTION_RULES_FIELD) || "productRules";
 
-    // Find all matching values (slugs that exist in both TopicPage.slug and Product.merchTags)
-    const matchingValues = new Set();
-    allProducts.forEach((product) => {
-      const merchTags = product.merchTags;
-      if (merchTags && Array.isArray(merchTags)) {
-        merchTags.forEach((tag) => {
-          const normalizedTag = normText(tag);
-          const topicSlug = topicPageSlugs.get(normalizedTag);
-          if (topicSlug) {
-            matchingValues.add(topicSlug);
-          }
-        });
-      }
-    });
+// Helper: The default fetchAllRecords list from cache, without fetching
+function getCachedDefaultList(entityName) {
+  const cached = getCache(
+    getCacheKey(entityName, { type: "all", orderBy: "", order: "", select: "" }),
+    entityName,
+  );
+  return Array.isArray(cached?.list) ? cached.list : null;
+}
+
+// ✅ Section index over the cached topic page and product lists: reused while
+// both lists are unchanged, rebuilt as soon as either one is refreshed
+function ensureDynamicSectionIndex(topicPageList, productList) {
+  const sources = [topicPageList, productList];
+  const existing = getSectionIndex(sources);
+  if (existing) return existing;
+
+  // The visibility tag (CProduct where: merchTags any "ecatalogue") is on
+  // every public product and is not a section
+  const visibilityTags = getEntityConfig("CProduct")
+    .where.filter((clause) => clause.field === "merchTags")
+    .flatMap((clause) => [].concat(clause.value));
+
+  // Product rules are compiled once per build; invalid ones are skipped
+  const topicPages = filterPublicRecords(topicPageList, "CTopicPage");
+  const fieldTypes = getEntityFilterFields("CProduct");
+  const rules = new Map();
+  const invalidRules = [];
+  for (const page of topicPages) {
+    const { rule, errors } = compileSectionRule(
+      page?.[DYNAMIC_SECTION_RULES_FIELD],
+      fieldTypes,
+    );
+    if (rule) rules.set(page.id, rule);
+    if (errors.length > 0) {
+      invalidRules.push({ id: page.id, slug: cleanStr(page.slug), errors });
+    }
+  }
+  if (invalidRules.length > 0) {
+    console.warn(
+      `[dynamicSection] ${invalidRules.length} topic page rule(s) ignored: ${invalidRules.map((entry) => entry.slug || entry.id).join(", ")}`,
+    );
+  }
+
+  return rebuildSectionIndex({
+    topicPages,
+    products: filterPublicRecords(productList, "CProduct"),
+    sources,
+    imageFields: getEntityConfig("CTopicPage").imageFields,
+    sortField: DYNAMIC_SECTION_SORT_FIELD,
+    ignoreTags: visibilityTags,
+    rules,
+    invalidRules,
+  });
+}
+
+// fetchAllRecords hook: rebuild after a CTopicPage / CProduct refresh, once
+// both lists are cached
+function refreshDynamicSectionIndex(entityName, list) {
+  if (!SECTION_INDEX_ENTITIES.includes(entityName)) return;
+
+  const [topicPageList, productList] = SECTION_INDEX_ENTITIES.map((name) =>
+    name === entityName ? list : getCachedDefaultList(name),
+  );
+  if (topicPageList && productList) {
+    ensureDynamicSectionIndex(topicPageList, productList);
+  }
+}
+
+// ✅ Get all dynamic sections: section names (TopicPage.slug matching a public
+// Product.merchTags) from the precomputed index; ?include=meta adds counts,
+// titles, hero images and the orphan tags / empty topic pages
+const getAllDynamicSections = async (req, res) => {
+  try {
+    const include = parseCsvList(req.query.include).map((v) => v.toLowerCase());
+    const unknown = include.filter((value) => value !== "meta");
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown include value(s): ${unknown.join(", ")} (allowed: meta)`,
+      });
+    }
 
-    // Convert to array and sort
-    const sectionNames = Array.from(matchingValues).sort((left, right) =>
-      left.localeCompare(right, undefined, { sensitivity: "base" }),
+    const [topicPageData, productData] = await Promise.all([
+      fetchAllRecords("CTopicPage"),
+      fetchAllRecords("CProduct"),
+    ]);
+    const index = ensureDynamicSectionIndex(
+      topicPageData?.list ?? [],
+      productData?.list ?? [],
     );
 
-    // Return only section names
+    if (!include.includes("meta")) {
+      // Return only section names
+      const sectionNames = index.sections
+        .map((section) => section.tag)
+        .sort((left, right) =>
+          left.localeCompare(right, undefined, { sensitivity: "base" }),
+        );
+
+      return res.json({
+        success: true,
+        totalSections: sectionNames.length,
+        sections: sectionNames,
+      });
+    }
+
     res.json({
       success: true,
-      totalSections: sectionNames.length,
-      sections: sectionNames,
+      totalSections: index.sections.length,
+      sections: index.sections,
+      orphanTags: index.orphanTags,
+      emptyTopicPages: index.emptyTopicPages,
+      invalidRules: index.invalidRules,
+      index: {
+        builtAt: index.builtAt,
+        sortField: DYNAMIC_SECTION_SORT_FIELD,
+        topicPages: index.counts.topicPages,
+        products: index.counts.products,
+      },
     });
   } catch (e) {
     console.error("[getAllDynamicSections] Error:", {
@@ -1435,9 +2915,109 @@ const getAllDynamicSections = async (req, res) => {
   }
 };
 
+// ✅ Admin preview: evaluate a product rule (body.rule, or the stored rule of
+// the body.tag topic page) against the cached public product list
+const previewSectionRule = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const tag = cleanStr(body.tag);
+    const limit = intInRange(
+      body.limit ?? req.query.limit,
+      PUBLIC_API_DEFAULT_LIMIT,
+      1,
+      PUBLIC_API_MAX_LIMIT,
+    );
+
+    if (body.rule === undefined && !tag) {
+      return res.status(400).json({
+        success: false,
+        error: "rule (or tag of a topic page with a stored rule) is required",
+      });
+    }
+
+    const [topicPageData, productData] = await Promise.all([
+      fetchAllRecords("CTopicPage"),
+      fetchAllRecords("CProduct"),
+    ]);
+
+    const topicPage = tag
+      ? (topicPageData?.list ?? []).find((record) => eqLoose(record?.slug, tag))
+      : null;
+    if (tag && body.rule === undefined && !topicPage) {
+      return res.status(404).json({
+        success: false,
+        error: `No topic page with slug "${tag}"`,
+      });
+    }
+
+    const { rule, errors } = compileSectionRule(
+      body.rule !== undefined
+        ? body.rule
+        : topicPage[DYNAMIC_SECTION_RULES_FIELD],
+      getEntityFilterFields("CProduct"),
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid rule",
+        errors,
+      });
+    }
+    if (!rule) {
+      return res.status(400).json({ success: false, error: "Rule is empty" });
+    }
+
+    // Same membership as the section: tagged with `tag`, or selected by the rule
+    const normalizedTag = normText(tag);
+    let matchedByRule = 0;
+    let matchedByTag = 0;
+    const matching = filterPublicRecords(
+      productData?.list ?? [],
+      "CProduct",
+    ).filter((record) => {
+      const byRule = matchesSectionRule(rule, record);
+      const byTag =
+        !!tag &&
+        Array.isArray(record?.merchTags) &&
+        record.merchTags.some((value) => normText(value) === normalizedTag);
+      if (byRule) matchedByRule += 1;
+      if (byTag) matchedByTag += 1;
+      return byRule || byTag;
+    });
+
+    let records = matching.slice(0, limit);
+    if (req.query.select) records = selectFields(records, req.query.select);
+
+    res.json({
+      success: true,
+      rule: describeSectionRule(rule),
+      ...(tag && { tag, topicPageId: topicPage?.id || null }),
+      total: matching.length,
+      counts: {
+        byRule: matchedByRule,
+        ...(tag && { byTag: matchedByTag }),
+      },
+      data: applyCloudinaryToRecords(records, "CProduct", []),
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({
+      success: false,
+      error: e.data || e.message,
+    });
+  }
+};
+
 module.exports = {
   createEntityController,
   getDynamicSection,
   getAllDynamicSections,
+  previewSectionRule,
   fetchAllRecords,
+  fetchRecordsPaged,
+  loadRecordsByIds,
+  filterPublicRecords,
+  applyCloudinaryToRecords,
+  sortRecords,
+  PUBLIC_API_DEFAULT_LIMIT,
+  PUBLIC_API_MAX_LIMIT,
 };
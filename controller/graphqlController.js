@@ -0,0 +1,487 @@
+/**
+ * Read-only GraphQL over the public entities: POST/GET /api/graphql
+ *
+ * Types are generated per entity from EspoCRM field metadata
+ * (utils/entitySchema), limited to the public field policy
+ * (utils/fieldPolicy), plus Cloudinary variants of public image fields and
+ * the entity's public populate relations. Each public entity gets three
+ * root fields, named after its route (CProduct => "product"):
+ *
+ *   product(id: ID, slug: String): CProduct
+ *   productList(limit, offset, orderBy, order, filter): [CProduct!]!
+ *   productCount(filter): Int!
+ *
+ * Lists and slugs are served from the fetchAllRecords cache (with the
+ * entity's configured `where` applied in memory); records by ID and
+ * relations go through a per-request loader that reads the per-record
+ * cache and fetches the rest in one chunked "in" query per entity.
+ * Depth and complexity are limited (utils/graphqlLimits).
+ */
+
+const {
+  GraphQLBoolean,
+  GraphQLError,
+  GraphQLFloat,
+  GraphQLID,
+  GraphQLInt,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLObjectType,
+  GraphQLScalarType,
+  GraphQLSchema,
+  GraphQLString,
+  execute,
+  getOperationAST,
+  parse,
+  validate,
+  valueFromASTUntyped,
+} = require("graphql");
+const {
+  fetchAllRecords,
+  loadRecordsByIds,
+  filterPublicRecords,
+  applyCloudinaryToRecords,
+  sortRecords,
+  PUBLIC_API_DEFAULT_LIMIT,
+  PUBLIC_API_MAX_LIMIT,
+} = require("./genericController");
+const { getEntityConfig } = require("../utils/entityConfig");
+const {
+  isFieldPublic,
+  getPublicRelations,
+  assertPublicFields,
+} = require("../utils/fieldPolicy");
+const {
+  getEntityFieldDefs,
+  describeEntitySchemas,
+  fieldDefsToJsonSchema,
+} = require("../utils/entitySchema");
+const { getImageVariantFields } = require("../utils/cloudinary");
+const { parseFilterQuery, matchesFilters } = require("../utils/filterQuery");
+const { ensureSlugIndex, lookupSlug } = require("../utils/slugIndex");
+const { assertQueryLimits } = require("../utils/graphqlLimits");
+const { cleanStr, badRequest } = require("../utils/text");
+
+const NAME_RE = /^[_A-Za-z][_0-9A-Za-z]*$/;
+
+// Route name => root field name ("product", "company-info" => "companyInfo")
+function rootFieldName(route) {
+  const words = cleanStr(route).split(/[^0-9A-Za-z]+/).filter(Boolean);
+  const name = words
+    .map((w, i) => (i === 0 ? w : w.charAt(0).toUpperCase() + w.slice(1)))
+    .join("");
+  return NAME_RE.test(name) ? name : `_${name}`;
+}
+
+const publicRelationsOf = (entityName) =>
+  getPublicRelations(entityName, getEntityConfig(entityName).populate).filter(
+    (relation) => NAME_RE.test(relation.field),
+  );
+
+/* ------------------------------ Scalars ------------------------------ */
+const GraphQLJSON = new GraphQLScalarType({
+  name: "JSON",
+  description: "Any JSON value (filters, EspoCRM object attributes)",
+  serialize: (value) => value,
+  parseValue: (value) => value,
+  parseLiteral: (ast, variables) => valueFromASTUntyped(ast, variables),
+});
+
+// JSON Schema property (from fieldDefsToJsonSchema) => GraphQL output type
+function outputTypeOf(property) {
+  switch (property.type) {
+    case "string":
+      return GraphQLString;
+    case "integer":
+      return GraphQLInt;
+    case "number":
+      return GraphQLFloat;
+    case "boolean":
+      return GraphQLBoolean;
+    case "array":
+      return property.items?.type === "string"
+        ? new GraphQLList(GraphQLString)
+        : GraphQLJSON;
+    default:
+      return GraphQLJSON;
+  }
+}
+
+/* ------------------------------ Record loader ------------------------------ */
+/**
+ * Batches every load() made while a query resolves into one
+ * loadRecordsByIds call per entity (per-record cache first, then one chunked
+ * "in" query), and memoizes results for the request
+ */
+function createRecordLoader() {
+  const results = new Map(); // "Entity:id" => Promise<record|null>
+  const queued = new Map(); // entityName => Map(id => { resolve, reject })
+  let scheduled = false;
+
+  const flush = async () => {
+    scheduled = false;
+    const batches = Array.from(queued.entries());
+    queued.clear();
+
+    await Promise.all(
+      batches.map(async ([entityName, waiting]) => {
+        try {
+          const { byId } = await loadRecordsByIds(
+            entityName,
+            Array.from(waiting.keys()),
+          );
+          for (const [id, { resolve }] of waiting) resolve(byId.get(id) || null);
+        } catch (error) {
+          for (const { reject } of waiting.values()) reject(error);
+        }
+      }),
+    );
+  };
+
+  const load = (entityName, rawId) => {
+    const id = cleanStr(rawId);
+    if (!id) return Promise.resolve(null);
+
+    const key = `${entityName}:${id}`;
+    if (!results.has(key)) {
+      const promise = new Promise((resolve, reject) => {
+        if (!queued.has(entityName)) queued.set(entityName, new Map());
+        queued.get(entityName).set(id, { resolve, reject });
+
+        if (!scheduled) {
+          scheduled = true;
+          setImmediate(flush);
+        }
+      });
+      results.set(key, promise);
+    }
+    return results.get(key);
+  };
+
+  return { load };
+}
+
+/* ------------------------------ Resolvers ------------------------------ */
+const withImages = (record, entityName) =>
+  record ? applyCloudinaryToRecords(record, entityName, []) : null;
+
+const isPublicRecord = (record, entityName) =>
+  !!record && filterPublicRecords([record], entityName).length > 0;
+
+async function resolveOne(entityName, { id, slug }, { loader }) {
+  if (!cleanStr(id) === !cleanStr(slug)) {
+    throw badRequest("Pass exactly one of id or slug");
+  }
+
+  let record;
+  if (cleanStr(id)) {
+    record = await loader.load(entityName, id);
+  } else {
+    const { slugField } = getEntityConfig(entityName);
+    const data = await fetchAllRecords(entityName);
+    const index = ensureSlugIndex(entityName, data?.list ?? [], slugField);
+    record = lookupSlug(index, slug, {
+      accept: (candidate) => isPublicRecord(candidate, entityName),
+    });
+  }
+
+  return isPublicRecord(record, entityName) ? withImages(record, entityName) : null;
+}
+
+// Public, filtered and sorted records from the cached list
+async function resolveRecords(entityName, { filter, orderBy, order }) {
+  const clauses =
+    filter === undefined || filter === null
+      ? []
+      : parseFilterQuery({ filter }, getEntityConfig(entityName).filterFields);
+  assertPublicFields(entityName, clauses.map((c) => c.field), "filter");
+
+  const data = await fetchAllRecords(entityName);
+  let records = filterPublicRecords(data?.list ?? [], entityName).filter(
+    (record) => matchesFilters(record, clauses),
+  );
+
+  if (cleanStr(orderBy)) {
+    assertPublicFields(entityName, [cleanStr(orderBy)], "orderBy");
+    records = sortRecords(records, cleanStr(orderBy), order);
+  }
+  return records;
+}
+
+async function resolveList(entityName, args) {
+  const records = await resolveRecords(entityName, args);
+  const offset = Math.max(0, Math.floor(args.offset ?? 0));
+  const limit = Math.min(
+    Math.max(1, Math.floor(args.limit ?? PUBLIC_API_DEFAULT_LIMIT)),
+    PUBLIC_API_MAX_LIMIT,
+  );
+
+  return records
+    .slice(offset, offset + limit)
+    .map((record) => withImages(record, entityName));
+}
+
+/* ------------------------------ Schema ------------------------------ */
+// Public entities plus every entity reachable through their public relations
+function collectEntities(entityNames) {
+  const seen = [];
+  const queue = [...entityNames];
+
+  while (queue.length > 0) {
+    const entityName = queue.shift();
+    if (seen.includes(entityName)) continue;
+    seen.push(entityName);
+    queue.push(...publicRelationsOf(entityName).map((r) => r.entity));
+  }
+  return seen.filter((entityName) => NAME_RE.test(entityName));
+}
+
+async function buildGraphqlSchema(entityNames) {
+  const entities = collectEntities(entityNames);
+
+  // Without metadata every type is "id and relations only"
+  const hasMetadata = !!describeEntitySchemas().loadedAt;
+  const fieldDefsByEntity = {};
+  for (const entityName of entities) {
+    fieldDefsByEntity[entityName] = hasMetadata
+      ? await getEntityFieldDefs(entityName)
+      : null;
+  }
+
+  const types = {};
+
+  const buildFields = (entityName) => {
+    const include = (attribute) =>
+      NAME_RE.test(attribute) && isFieldPublic(entityName, attribute);
+    const { properties } = fieldDefsToJsonSchema(fieldDefsByEntity[entityName], {
+      include,
+    });
+
+    const fields = { id: { type: new GraphQLNonNull(GraphQLID) } };
+    for (const [attribute, property] of Object.entries(properties)) {
+      if (attribute === "id") continue;
+      fields[attribute] = {
+        type: outputTypeOf(property),
+        ...(property["x-espo-type"] && {
+          description: `EspoCRM ${property["x-espo-type"]}`,
+        }),
+      };
+    }
+
+    // Cloudinary variants added by applyCloudinaryToRecords
+    for (const imageField of getEntityConfig(entityName).imageFields) {
+      for (const attribute of [imageField, ...getImageVariantFields(imageField)]) {
+        if (!fields[attribute] && include(attribute)) {
+          fields[attribute] = { type: GraphQLString };
+        }
+      }
+    }
+
+    for (const relation of publicRelationsOf(entityName)) {
+      if (!types[relation.entity]) continue;
+      const idField = relation.idField || `${relation.field}Id`;
+      fields[relation.field] = {
+        type: types[relation.entity],
+        description: `Populated from ${idField}`,
+        // Same visibility as the related entity's own root field
+        resolve: async (record, _args, { loader }) => {
+          const related = await loader.load(
+            relation.entity,
+            record[idField],
+          );
+          return isPublicRecord(related, relation.entity)
+            ? withImages(related, relation.entity)
+            : null;
+        },
+      };
+    }
+
+    return fields;
+  };
+
+  for (const entityName of entities) {
+    types[entityName] = new GraphQLObjectType({
+      name: entityName,
+      description: fieldDefsByEntity[entityName]
+        ? `EspoCRM entity ${entityName} (public fields)`
+        : `EspoCRM entity ${entityName} (no field metadata, id and relations only)`,
+      fields: () => buildFields(entityName),
+    });
+  }
+
+  const queryFields = {
+    entities: {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(GraphQLString))),
+      description: "Entities available at the root",
+      resolve: () => entityNames,
+    },
+  };
+
+  for (const entityName of entityNames) {
+    if (!types[entityName]) continue;
+    const name = rootFieldName(getEntityConfig(entityName).route);
+    const type = types[entityName];
+
+    queryFields[name] = {
+      type,
+      args: { id: { type: GraphQLID }, slug: { type: GraphQLString } },
+      resolve: (_root, args, context) => resolveOne(entityName, args, context),
+    };
+    queryFields[`${name}List`] = {
+      type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(type))),
+      args: {
+        limit: { type: GraphQLInt },
+        offset: { type: GraphQLInt },
+        orderBy: { type: GraphQLString },
+        order: { type: GraphQLString },
+        filter: {
+          type: GraphQLJSON,
+          description: 'Same as ?filter[field][op]=value, e.g. { gsm: { gte: "120" } }',
+        },
+      },
+      resolve: (_root, args) => resolveList(entityName, args),
+    };
+    queryFields[`${name}Count`] = {
+      type: new GraphQLNonNull(GraphQLInt),
+      args: { filter: { type: GraphQLJSON } },
+      resolve: async (_root, args) =>
+        (await resolveRecords(entityName, args)).length,
+    };
+  }
+
+  return new GraphQLSchema({
+    query: new GraphQLObjectType({ name: "Query", fields: queryFields }),
+  });
+}
+
+// Rebuilt when EspoCRM metadata reloads
+let schemaCache = { key: null, schema: null };
+
+// /Metadata needs admin-level access in EspoCRM; while it is unavailable the
+// schema has id and relation fields only, and loading is retried once a minute
+const METADATA_RETRY_MS = 60 * 1000;
+let metadataRetryAt = 0;
+
+async function refreshMetadata(entityNames) {
+  if (entityNames.length === 0) return;
+  if (!describeEntitySchemas().loadedAt && Date.now() < metadataRetryAt) return;
+
+  try {
+    // Reloads stale metadata (502 when it has never loaded)
+    await getEntityFieldDefs(entityNames[0]);
+  } catch {
+    metadataRetryAt = Date.now() + METADATA_RETRY_MS;
+    console.warn(
+      `[graphql] EspoCRM metadata unavailable (${describeEntitySchemas().error}); serving id and relation fields only`,
+    );
+  }
+}
+
+async function getGraphqlSchema(entityNames) {
+  await refreshMetadata(entityNames);
+
+  const key = `${describeEntitySchemas().loadedAt}|${entityNames.join(",")}`;
+  if (schemaCache.key !== key) {
+    schemaCache = { key, schema: await buildGraphqlSchema(entityNames) };
+  }
+  return schemaCache.schema;
+}
+
+/* ------------------------------ Handler ------------------------------ */
+function toGraphqlError(error) {
+  const graphqlError =
+    error instanceof GraphQLError ? error : new GraphQLError(error.message);
+  return graphqlError.toJSON();
+}
+
+function formatExecutionError(error) {
+  const status = error.originalError?.status;
+  return {
+    ...error.toJSON(),
+    ...(status && { extensions: { ...error.extensions, status } }),
+  };
+}
+
+function readVariables(raw) {
+  if (raw === undefined || raw === null || raw === "") return {};
+  if (typeof raw === "object") return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw badRequest("variables must be a JSON object");
+  }
+}
+
+/**
+ * Express handler for GET (?query=&variables=&operationName=) and POST
+ * ({ query, variables, operationName }) requests
+ *
+ * @param {Array<string>} entityNames - Public entities exposed at the root
+ */
+function createGraphqlHandler(entityNames) {
+  return async (req, res) => {
+    const params = (req.method === "GET" ? req.query : req.body) || {};
+    const query = cleanStr(params.query);
+    const operationName = cleanStr(params.operationName) || undefined;
+
+    let schema;
+    let document;
+    let variables;
+    try {
+      if (!query) throw badRequest("query is required");
+      variables = readVariables(params.variables);
+      schema = await getGraphqlSchema(entityNames);
+      document = parse(query);
+    } catch (error) {
+      return res
+        .status(error instanceof GraphQLError ? 400 : error.status || 500)
+        .json({ errors: [toGraphqlError(error)] });
+    }
+
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length > 0) {
+      return res
+        .status(400)
+        .json({ errors: validationErrors.map((e) => e.toJSON()) });
+    }
+
+    const operation = getOperationAST(document, operationName);
+    if (!operation || operation.operation !== "query") {
+      return res.status(400).json({
+        errors: [toGraphqlError(badRequest("Only query operations are supported"))],
+      });
+    }
+
+    try {
+      assertQueryLimits(schema, document, {
+        operationName,
+        variables,
+        defaultListSize: PUBLIC_API_DEFAULT_LIMIT,
+        maxListSize: PUBLIC_API_MAX_LIMIT,
+      });
+    } catch (error) {
+      return res.status(400).json({ errors: [toGraphqlError(error)] });
+    }
+
+    try {
+      const result = await execute({
+        schema,
+        document,
+        operationName,
+        variableValues: variables,
+        contextValue: { loader: createRecordLoader() },
+      });
+
+      res.json({
+        ...(result.errors && { errors: result.errors.map(formatExecutionError) }),
+        data: result.data ?? null,
+      });
+    } catch (error) {
+      res.status(500).json({ errors: [toGraphqlError(error)] });
+    }
+  };
+}
+
+module.exports = {
+  createGraphqlHandler,
+};
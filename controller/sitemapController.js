@@ -0,0 +1,256 @@
+/**
+ * Server-generated XML sitemaps: GET /sitemap.xml and /sitemaps/<route>.xml
+ *
+ * One sitemap per public entity with frontend pages (products, collections,
+ * blogs, authors, topic pages, locations), listed by a sitemap index. URLs
+ * come from utils/frontendUrls (slug + AGE_*_URL base): entities without a
+ * configured base are left out, as are records without a slug or outside the
+ * entity's public `where`.
+ *
+ * Each <url> has <lastmod> from modifiedAt and an <image:image> per filled
+ * image field (Cloudinary "web" variant). Entities with more URLs than
+ * SITEMAP_MAX_URLS are split into <route>-1.xml, <route>-2.xml, ...
+ *
+ * Records come from the fetchAllRecords cache. That list stops at
+ * ESPO_LIST_MAX_TOTAL, so when it is cut off the entity is read page by page
+ * with only the fields a sitemap needs (up to SITEMAP_MAX_RECORDS, cached for
+ * an hour); a list still cut off after that is logged.
+ */
+
+const {
+  fetchAllRecords,
+  fetchRecordsPaged,
+  filterPublicRecords,
+} = require("./genericController");
+const { getCacheKey, getCache, setCache } = require("../utils/cache");
+const { buildCloudinaryUrl } = require("../utils/cloudinary");
+const {
+  getEntityConfig,
+  getEntityRouteName,
+} = require("../utils/entityConfig");
+const {
+  getFrontendBaseUrl,
+  getFrontendSlugFields,
+  getFrontendUrlForEntity,
+} = require("../utils/frontendUrls");
+const {
+  getMaxUrlsPerSitemap,
+  toLastmod,
+  latestLastmod,
+  buildUrlset,
+  buildSitemapIndex,
+} = require("../utils/sitemap");
+const { cleanStr } = require("../utils/text");
+
+const SITEMAP_ENTITIES = [
+  "CProduct",
+  "CCollection",
+  "CBlog",
+  "CAuthor",
+  "CTopicPage",
+  "CLocation",
+];
+
+const XML_CONTENT_TYPE = "application/xml; charset=utf-8";
+
+const SITEMAP_CACHE_TTL_SECONDS = 3600;
+
+function getMaxSitemapRecords() {
+  const n = parseInt(cleanStr(process.env.SITEMAP_MAX_RECORDS), 10);
+  return Number.isFinite(n) && n > 0 ? n : 100000;
+}
+
+// entityName => in-flight uncapped fetch
+const sitemapFetchInflight = new Map();
+
+// Every record of an entity with the fields a sitemap entry needs
+async function fetchSitemapRecords(entityName, reason) {
+  const cacheKey = getCacheKey(entityName, { type: "sitemap" });
+  const cached = getCache(cacheKey, entityName);
+  if (cached) return cached;
+  if (sitemapFetchInflight.has(entityName)) {
+    return sitemapFetchInflight.get(entityName);
+  }
+
+  console.warn(`[sitemap] ${entityName} - ${reason}; reading all pages`);
+  const { imageFields, where } = getEntityConfig(entityName);
+  const select = new Set([
+    "id",
+    "modifiedAt",
+    "createdAt",
+    ...getFrontendSlugFields(entityName),
+    ...imageFields,
+    ...where.map((clause) => clause.field),
+  ]);
+
+  const task = fetchRecordsPaged(entityName, {
+    orderBy: "createdAt",
+    order: "asc",
+    select: Array.from(select).join(","),
+    maxTotal: getMaxSitemapRecords(),
+  }).then((data) => {
+    const list = data?.list ?? [];
+    if (data?.total > list.length) {
+      console.warn(
+        `[sitemap] ${entityName} - ${data.total} records, only ${list.length} listed (SITEMAP_MAX_RECORDS)`,
+      );
+    }
+    setCache(cacheKey, list, SITEMAP_CACHE_TTL_SECONDS, entityName);
+    return list;
+  });
+
+  sitemapFetchInflight.set(entityName, task);
+  try {
+    return await task;
+  } finally {
+    sitemapFetchInflight.delete(entityName);
+  }
+}
+
+// The cached list, or the uncapped one when the cached list was cut off
+async function getSitemapRecords(entityName) {
+  const data = await fetchAllRecords(entityName);
+  const list = data?.list ?? [];
+  if (!(data?.total > list.length)) return list;
+
+  return fetchSitemapRecords(
+    entityName,
+    `cached list has ${list.length} of ${data.total} records (ESPO_LIST_MAX_TOTAL)`,
+  );
+}
+
+// <route>.xml or <route>-<part>.xml
+function parseSitemapFile(file) {
+  const match = cleanStr(file).match(/^(.+?)(?:-(\d+))?\.xml$/i);
+  if (!match) return null;
+  return { route: match[1].toLowerCase(), part: match[2] ? Number(match[2]) : 1 };
+}
+
+/**
+ * @param {Array<string>} entityNames - Public entities
+ */
+function createSitemapController(entityNames) {
+  const isListed = (entityName) =>
+    entityNames.includes(entityName) && !!getFrontendBaseUrl(entityName);
+
+  // ✅ <url> entries of one entity, ordered by URL so parts stay stable
+  const getEntityEntries = async (entityName) => {
+    const records = await getSitemapRecords(entityName);
+    const { imageFields } = getEntityConfig(entityName);
+
+    const byLoc = new Map();
+    for (const record of filterPublicRecords(records, entityName)) {
+      const loc = getFrontendUrlForEntity(entityName, record);
+      if (!loc || byLoc.has(loc)) continue;
+
+      const images = new Set(
+        imageFields
+          .map((field) => cleanStr(record[field]))
+          .filter(Boolean)
+          .map((url) => buildCloudinaryUrl(url, "web")),
+      );
+      byLoc.set(loc, {
+        loc,
+        lastmod: toLastmod(record.modifiedAt || record.createdAt),
+        images: Array.from(images),
+      });
+    }
+
+    return Array.from(byLoc.values()).sort((a, b) =>
+      a.loc < b.loc ? -1 : a.loc > b.loc ? 1 : 0,
+    );
+  };
+
+  const splitParts = (entries) => {
+    const size = getMaxUrlsPerSitemap();
+    const parts = [];
+    for (let i = 0; i < entries.length; i += size) {
+      parts.push(entries.slice(i, i + size));
+    }
+    return parts;
+  };
+
+  // Absolute base for the sitemap locations in the index
+  const getSitemapBaseUrl = (req) =>
+    cleanStr(process.env.SITEMAP_BASE_URL).replace(/\/+$/, "") ||
+    `${req.protocol}://${req.get("host")}`;
+
+  // GET /sitemap.xml
+  const getSitemapIndex = async (req, res) => {
+    try {
+      const baseUrl = getSitemapBaseUrl(req);
+      const entities = SITEMAP_ENTITIES.filter(isListed);
+      const entriesByEntity = await Promise.all(entities.map(getEntityEntries));
+
+      const sitemaps = [];
+      entities.forEach((entityName, i) => {
+        const route = getEntityRouteName(entityName);
+        const parts = splitParts(entriesByEntity[i]);
+        parts.forEach((entries, index) => {
+          const file = parts.length > 1 ? `${route}-${index + 1}` : route;
+          sitemaps.push({
+            loc: `${baseUrl}/sitemaps/${file}.xml`,
+            lastmod: latestLastmod(entries),
+          });
+        });
+      });
+
+      res.set("Content-Type", XML_CONTENT_TYPE);
+      res.send(buildSitemapIndex(sitemaps));
+    } catch (e) {
+      res.status(e.status || 500).json({
+        success: false,
+        error: e.data || e.message,
+      });
+    }
+  };
+
+  // GET /sitemaps/:file  (product.xml, product-2.xml)
+  const getEntitySitemap = async (req, res) => {
+    try {
+      const parsed = parseSitemapFile(req.params.file);
+      const entityName = parsed
+        ? SITEMAP_ENTITIES.find(
+            (name) =>
+              isListed(name) &&
+              getEntityRouteName(name).toLowerCase() === parsed.route,
+          )
+        : null;
+
+      if (!entityName) {
+        return res.status(404).json({
+          success: false,
+          error: `Unknown sitemap "${req.params.file}"`,
+        });
+      }
+
+      const parts = splitParts(await getEntityEntries(entityName));
+      const entries = parts[parsed.part - 1];
+      if (!entries && !(parsed.part === 1 && parts.length === 0)) {
+        return res.status(404).json({
+          success: false,
+          error: `Sitemap "${req.params.file}" has ${parts.length} part(s)`,
+        });
+      }
+
+      res.set("Content-Type", XML_CONTENT_TYPE);
+      res.send(buildUrlset(entries || []));
+    } catch (e) {
+      res.status(e.status || 500).json({
+        success: false,
+        error: e.data || e.message,
+      });
+    }
+  };
+
+  // Every page URL in the sitemaps (IndexNow submissions)
+  const collectSitemapUrls = async () => {
+    const entities = SITEMAP_ENTITIES.filter(isListed);
+    const entriesByEntity = await Promise.all(entities.map(getEntityEntries));
+    return entriesByEntity.flat().map((entry) => entry.loc);
+  };
+
+  return { getSitemapIndex, getEntitySitemap, collectSitemapUrls };
+}
+
+module.exports = { createSitemapController, SITEMAP_ENTITIES };
@@ -66,6 +66,17 @@ module.exports = [
       semi: ["error", "always"],
     },
   },
+  {
+    // Static pages served from public/ run in the browser
+    files: ["public/**/*.js"],
+    languageOptions: {
+      sourceType: "script",
+      globals: {
+        document: "readonly",
+        sessionStorage: "readonly",
+      },
+    },
+  },
   {
     ignores: [
       "node_modules/**",
@@ -14,10 +14,22 @@ const chatRoutes = require("./routes/chat");
 const adminChatRoutes = require("./routes/adminChat");
 const indexnowRoutes = require("./routes/indexnow");
 const cacheRoutes = require("./routes/cache");
+const searchDictionaryRoutes = require("./routes/searchDictionary");
+const schemaRoutes = require("./routes/schema");
+const createOpenApiRoutes = require("./routes/openapi");
+const createGraphqlRoutes = require("./routes/graphql");
+const createEventRoutes = require("./routes/events");
+const createSitemapRoutes = require("./routes/sitemap");
 const authRoutes = require("./routes/auth");
 const dynamicSectionRoutes = require("./routes/dynamicSection");
 const { requireAdminToken } = require("./middleware/requireAdminToken");
-const { startIndexNowScheduler } = require("./utils/indexnowScheduler");
+const { loadEntityConfig, getEntityRouteName } = require("./utils/entityConfig");
+const { checkCursorSecret } = require("./utils/cursor");
+const {
+  startIndexNowScheduler,
+  setIndexNowUrlSource,
+} = require("./utils/indexnowScheduler");
+const { createSitemapController } = require("./controller/sitemapController");
 const { warmUpCache, scheduleCacheRefresh } = require("./utils/cacheWarmer");
 
 const app = express();
@@ -60,6 +72,8 @@ app.use(
       callback(new Error(`CORS: origin ${origin} not allowed`));
     },
     credentials: true,
+    // Record version token for If-Match on admin updates/deletes
+    exposedHeaders: ["ETag"],
   }),
 );
 app.use(express.json());
@@ -146,6 +160,10 @@ function shouldRunStartupJobs(mode) {
   return process.env.RUN_STARTUP_JOBS === "true";
 }
 
+// Validate config/entities.json up front: a malformed file stops startup with every problem listed
+loadEntityConfig();
+checkCursorSecret();
+
 // Support separate public/private entity routing while keeping ESPO_ENTITIES as a fallback.
 const legacyEntities = parseCsvEnvList("ESPO_ENTITIES");
 const configuredPrivateEntities = parseCsvEnvList("PRIVATE_ESPO_ENTITIES");
@@ -164,42 +182,80 @@ const privateEntities = configuredPrivateEntities.filter(
 );
 const allConfiguredEntities = mergeEntityLists(publicEntities, privateEntities);
 
+// Every mounted API router, recorded so /api/openapi.json lists what is actually served
+const apiMounts = [];
+
+function mountApi(routePath, handlers, meta = {}) {
+  const tag = meta.tag || routePath.split("/").filter(Boolean).pop();
+  apiMounts.push({ path: routePath, handlers, ...meta, tag });
+  app.use(routePath, ...handlers);
+}
+
 // Register routes for each API base name and entity combination
 apiBaseNames.forEach((baseName) => {
   // Register generic routes for public entities
   publicEntities.forEach((entity) => {
-    const entityRoute = entity.toLowerCase().replace(/^c/, ""); // Remove 'C' prefix and lowercase
-    app.use(`/${baseName}/${entityRoute}`, createEntityRoutes(entity));
+    const entityRoute = getEntityRouteName(entity); // From config (default: lowercase, no "C" prefix)
+    mountApi(`/${baseName}/${entityRoute}`, [createEntityRoutes(entity)], {
+      entity,
+    });
   });
 
   // Register admin-only entity routes
   privateEntities.forEach((entity) => {
-    const entityRoute = entity.toLowerCase().replace(/^c/, "");
-    app.use(
+    const entityRoute = getEntityRouteName(entity);
+    mountApi(
       `/${baseName}/${entityRoute}`,
-      requireAdminToken,
-      createEntityRoutes(entity),
+      [requireAdminToken, createEntityRoutes(entity)],
+      { entity },
     );
   });
 
+  // Read-only GraphQL over the public entities
+  mountApi(`/${baseName}/graphql`, [createGraphqlRoutes(publicEntities)]);
+
+  // Server-Sent Events: record changes and cache refreshes
+  mountApi(`/${baseName}/events`, [createEventRoutes(publicEntities)]);
+
   // Chat assistant endpoint(s)
-  app.use(`/${baseName}/chat`, chatRoutes());
+  mountApi(`/${baseName}/chat`, [chatRoutes()]);
   // Admin audit chat
-  app.use(`/${baseName}/admin-chat`, requireAdminToken, adminChatRoutes());
+  mountApi(`/${baseName}/admin-chat`, [requireAdminToken, adminChatRoutes()]);
 
   // Auth endpoints (OTP)
-  app.use(`/${baseName}/auth`, authRoutes);
+  mountApi(`/${baseName}/auth`, [authRoutes]);
 
   // Dynamic section endpoint
-  app.use(`/${baseName}/dynamicsection`, dynamicSectionRoutes);
+  mountApi(`/${baseName}/dynamicsection`, [dynamicSectionRoutes]);
 
   // IndexNow endpoints
-  app.use(`/${baseName}/indexnow`, indexnowRoutes);
+  mountApi(`/${baseName}/indexnow`, [indexnowRoutes]);
 
   // Cache management endpoints
-  app.use(`/${baseName}/cache`, requireAdminToken, cacheRoutes);
+  mountApi(`/${baseName}/cache`, [requireAdminToken, cacheRoutes]);
+
+  // Search synonyms / stop-words
+  mountApi(`/${baseName}/search-dictionary`, [
+    requireAdminToken,
+    searchDictionaryRoutes,
+  ]);
+
+  // EspoCRM field metadata used to validate admin writes
+  mountApi(`/${baseName}/schema`, [requireAdminToken, schemaRoutes]);
+
+  // OpenAPI document (rendered by public/docs/)
+  mountApi(`/${baseName}`, [createOpenApiRoutes(apiMounts, baseName)], {
+    tag: "docs",
+  });
 });
 
+// XML sitemaps at the site root (/sitemap.xml, /sitemaps/<route>.xml); IndexNow
+// submits the same URLs instead of fetching the frontend's sitemap
+app.use(createSitemapRoutes(publicEntities));
+setIndexNowUrlSource(
+  createSitemapController(publicEntities).collectSitemapUrls,
+);
+
 // Basic health check route
 app.get("/", (req, res) => {
   const availableRoutes = [];
@@ -207,7 +263,7 @@ app.get("/", (req, res) => {
   apiBaseNames.forEach((baseName) => {
     // Add entity routes
     publicEntities.forEach((entity) => {
-      const entityRoute = entity.toLowerCase().replace(/^c/, "");
+      const entityRoute = getEntityRouteName(entity);
       availableRoutes.push(`/${baseName}/${entityRoute}`);
     });
 
@@ -221,28 +277,10 @@ app.get("/", (req, res) => {
     entities: publicEntities,
     availableRoutes: availableRoutes,
     mode: "public-read-admin-write",
-    apiStructure: {
-      "GET /api/dynamicsection": "To get all the dynamic section value",
-      "GET /api/dynamicsection/:merchtag value":
-        "To get all the dynamic section value as dynamic",
-      "GET /:base/:entity": "Get all records",
-      "GET /:base/:entity/:id": "Get record by ID",
-      "POST /:base/:entity": "Create record (admin token required)",
-      "PUT /:base/:entity/:id": "Update record (admin token required)",
-      "DELETE /:base/:entity/:id": "Delete record (admin token required)",
-      "GET /:base/:entity/fieldname/:fieldName": "Get unique field values",
-      "GET /:base/:entity/fieldname/:fieldName/:fieldValue":
-        "Get records by field value",
-      "GET /:entity/search/:searchValue":
-        "Search products by keywords or productTitle",
-    },
-    authEndpoints: {
-      "POST /:base/auth/register":
-        "Register new account (email, firstName, lastName, phoneNumber)",
-      "POST /:base/auth/login": "Login with existing account (email)",
-      "POST /:base/auth/verify-otp": "Verify OTP code (email, otp)",
-      "GET /:base/auth/health": "Auth service health check ok",
-    },
+    // Full route reference, generated from the mounted routers
+    openapi: apiBaseNames.map((baseName) => `/${baseName}/openapi.json`),
+    docs: "/docs/",
+    sitemap: "/sitemap.xml",
   });
 });
 
@@ -335,12 +373,12 @@ if (require.main === module) {
 
     apiBaseNames.forEach((baseName) => {
       publicEntities.forEach((entity) => {
-        const entityRoute = entity.toLowerCase().replace(/^c/, "");
+        const entityRoute = getEntityRouteName(entity);
         console.log(`  - /${baseName}/${entityRoute} (${entity})`);
       });
 
       privateEntities.forEach((entity) => {
-        const entityRoute = entity.toLowerCase().replace(/^c/, "");
+        const entityRoute = getEntityRouteName(entity);
         console.log(`  - /${baseName}/${entityRoute} (${entity}, admin only)`);
       });
     });
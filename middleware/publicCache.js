@@ -0,0 +1,59 @@
+const { shouldUseCache } = require("../utils/cache");
+
+// Public caching for GET responses (Vercel CDN)
+// Goal: cache on Vercel's edge, not the browser.
+// - max-age=0 => browsers revalidate
+// - s-maxage=300 => cache at CDN for 5 minutes
+// - stale-while-revalidate=86400 => serve stale for up to 24h while refreshing
+//
+// entityName (optional) applies that entity's cache policy.
+const publicCache = (entityName) => (req, res, next) => {
+  // ✅ Don't let Vercel CDN cache these entities (NO_CACHE_ENTITIES / config cache policy)
+  if (entityName && shouldUseCache(entityName) !== "timed") {
+    res.set("Cache-Control", "no-store, max-age=0");
+    res.set("Vercel-CDN-Cache-Control", "no-store");
+    res.set("CDN-Cache-Control", "no-store");
+    return next();
+  }
+
+  const TTL = 300;
+  const SWR = 86400;
+
+  // Only enable CDN caching in production
+  if (process.env.NODE_ENV !== "production") return next();
+
+  // Allow bypassing cache when needed: ?nocache=1
+  if (req.query?.nocache === "1") {
+    res.set("Cache-Control", "no-store");
+    return next();
+  }
+
+  // Don’t cache personalized / authenticated requests
+  // (Vercel won't cache these anyway, so skip setting headers)
+  if (req.headers.authorization) return next();
+  if (req.headers["x-admin-token"]) return next();
+  if (req.headers.cookie) return next();
+
+  // Browser: don't store, but allow revalidate
+  // CDN (shared cache): cache for TTL, serve stale while revalidating
+  res.set(
+    "Cache-Control",
+    `public, max-age=0, s-maxage=${TTL}, stale-while-revalidate=${SWR}`,
+  );
+
+  // Vercel edge cache (most reliable header for Vercel caching behavior)
+  res.set(
+    "Vercel-CDN-Cache-Control",
+    `max-age=${TTL}, stale-while-revalidate=${SWR}`,
+  );
+
+  // Optional generic CDN header (harmless; useful on other CDNs)
+  res.set("CDN-Cache-Control", `max-age=${TTL}, stale-while-revalidate=${SWR}`);
+
+  // Admin requests get unredacted records; keep them out of the shared entry
+  res.append("Vary", "X-Admin-Token");
+
+  return next();
+};
+
+module.exports = { publicCache };
@@ -1,7 +1,4 @@
-function cleanStr(value) {
-  if (value === null || value === undefined) return "";
-  return String(value).trim();
-}
+const { cleanStr } = require("../utils/text");
 
 function toPositiveInteger(value, fallback) {
   const n = Number(value);
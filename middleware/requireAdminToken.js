@@ -11,6 +11,26 @@ function tokensMatch(provided, expected) {
   return timingSafeEqual(providedBuffer, expectedBuffer);
 }
 
+function getProvidedToken(req) {
+  const authHeader = String(req.headers.authorization || "");
+  const bearerToken = authHeader.startsWith("Bearer ")
+    ? authHeader.slice(7).trim()
+    : "";
+  const headerToken = String(req.headers["x-admin-token"] || "").trim();
+  return bearerToken || headerToken;
+}
+
+/**
+ * True when the request carries a valid admin token (never throws or responds).
+ * Used by public routes that return more data to admins.
+ */
+function isAdminRequest(req) {
+  const configuredToken = String(process.env.ADMIN_API_TOKEN || "");
+  const providedToken = getProvidedToken(req);
+  if (!configuredToken || !providedToken) return false;
+  return tokensMatch(providedToken, configuredToken);
+}
+
 function requireAdminToken(req, res, next) {
   const configuredToken = String(process.env.ADMIN_API_TOKEN || "");
 
@@ -21,12 +41,7 @@ function requireAdminToken(req, res, next) {
     });
   }
 
-  const authHeader = String(req.headers.authorization || "");
-  const bearerToken = authHeader.startsWith("Bearer ")
-    ? authHeader.slice(7).trim()
-    : "";
-  const headerToken = String(req.headers["x-admin-token"] || "").trim();
-  const providedToken = bearerToken || headerToken;
+  const providedToken = getProvidedToken(req);
 
   if (!providedToken || !tokensMatch(providedToken, configuredToken)) {
     return res.status(401).json({
@@ -38,4 +53,4 @@ function requireAdminToken(req, res, next) {
   return next();
 }
 
-module.exports = { requireAdminToken };
+module.exports = { requireAdminToken, isAdminRequest };
@@ -0,0 +1,173 @@
+/**
+ * Renders /api/openapi.json as a browsable page (no external assets).
+ * The admin token is kept in sessionStorage and sent as X-Admin-Token.
+ */
+(function () {
+  "use strict";
+
+  const SPEC_URL = "/api/openapi.json";
+  const TOKEN_KEY = "docs.adminToken";
+  const METHODS = ["get", "post", "put", "delete", "patch"];
+
+  const content = document.getElementById("content");
+  const tagNav = document.getElementById("tags");
+  const tokenInput = document.getElementById("token");
+
+  function el(tag, attrs, ...children) {
+    const node = document.createElement(tag);
+    for (const [key, value] of Object.entries(attrs || {})) {
+      if (key === "class") node.className = value;
+      else node.setAttribute(key, value);
+    }
+    for (const child of children) {
+      if (child === null || child === undefined) continue;
+      node.append(typeof child === "string" ? document.createTextNode(child) : child);
+    }
+    return node;
+  }
+
+  function resolveRef(spec, schema) {
+    if (!schema || !schema.$ref) return schema;
+    const name = schema.$ref.split("/").pop();
+    return spec.components.schemas[name] || schema;
+  }
+
+  function schemaBlock(spec, schema) {
+    if (!schema) return null;
+    const name = schema.$ref ? schema.$ref.split("/").pop() : null;
+    return el(
+      "div",
+      null,
+      name ? el("p", null, "Schema ", el("a", { href: `#schema-${name}` }, name)) : null,
+      el("pre", null, JSON.stringify(resolveRef(spec, schema), null, 2)),
+    );
+  }
+
+  function parametersTable(parameters) {
+    if (!parameters || parameters.length === 0) return null;
+    return el(
+      "table",
+      null,
+      el("tr", null, el("th", null, "Name"), el("th", null, "In"), el("th", null, "Description")),
+      ...parameters.map((p) =>
+        el(
+          "tr",
+          null,
+          el("td", null, el("code", null, p.name + (p.required ? " *" : ""))),
+          el("td", null, p.in),
+          el("td", null, p.description || (p.schema && p.schema.type) || ""),
+        ),
+      ),
+    );
+  }
+
+  function operationBlock(spec, path, method, operation) {
+    const secured = operation.security
+      ? operation.security.map((s) => Object.keys(s)[0]).join(" or ")
+      : null;
+    const body = operation.requestBody
+      ? operation.requestBody.content["application/json"].schema
+      : null;
+    const okSchema = operation.responses[200]?.content?.["application/json"]?.schema;
+
+    return el(
+      "details",
+      null,
+      el(
+        "summary",
+        null,
+        el("span", { class: `method ${method}` }, method),
+        el("code", null, path),
+        el("span", null, operation.summary || ""),
+        secured ? el("span", { class: "lock" }, `🔒 ${secured}`) : null,
+      ),
+      el(
+        "div",
+        null,
+        parametersTable(operation.parameters),
+        body ? el("h4", null, "Request body") : null,
+        schemaBlock(spec, body),
+        el("h4", null, "Responses"),
+        el(
+          "ul",
+          null,
+          ...Object.entries(operation.responses).map(([status, response]) =>
+            el("li", null, el("code", null, status), " ", response.description),
+          ),
+        ),
+        okSchema && okSchema.properties && okSchema.properties.data
+          ? schemaBlock(spec, okSchema.properties.data.items || okSchema.properties.data)
+          : null,
+      ),
+    );
+  }
+
+  function render(spec) {
+    document.getElementById("title").textContent = `${spec.info.title} ${spec.info.version}`;
+    document.getElementById("description").textContent = spec.info.description || "";
+
+    const byTag = new Map((spec.tags || []).map((t) => [t.name, []]));
+    for (const [path, operations] of Object.entries(spec.paths)) {
+      for (const method of METHODS) {
+        const operation = operations[method];
+        if (!operation) continue;
+        const tag = (operation.tags && operation.tags[0]) || "other";
+        if (!byTag.has(tag)) byTag.set(tag, []);
+        byTag.get(tag).push(operationBlock(spec, path, method, operation));
+      }
+    }
+
+    tagNav.replaceChildren(
+      ...Array.from(byTag.keys()).map((tag) => el("a", { href: `#tag-${tag}` }, tag)),
+      el("a", { href: "#schemas" }, "schemas"),
+    );
+
+    const sections = Array.from(byTag.entries()).map(([tag, blocks]) => {
+      const info = (spec.tags || []).find((t) => t.name === tag);
+      return el(
+        "section",
+        null,
+        el("h2", { id: `tag-${tag}` }, tag),
+        info && info.description ? el("p", null, info.description) : null,
+        ...blocks,
+      );
+    });
+
+    const schemas = Object.entries(spec.components.schemas).map(([name, schema]) =>
+      el(
+        "details",
+        { id: `schema-${name}` },
+        el("summary", null, el("code", null, name)),
+        el("div", null, el("pre", null, JSON.stringify(schema, null, 2))),
+      ),
+    );
+
+    content.replaceChildren(
+      ...sections,
+      el("section", null, el("h2", { id: "schemas" }, "Schemas"), ...schemas),
+    );
+  }
+
+  async function load() {
+    const token = sessionStorage.getItem(TOKEN_KEY) || "";
+    tokenInput.value = token;
+
+    try {
+      const response = await fetch(SPEC_URL, {
+        headers: token ? { "X-Admin-Token": token } : {},
+      });
+      if (!response.ok) throw new Error(`${SPEC_URL} returned ${response.status}`);
+      render(await response.json());
+    } catch (error) {
+      content.replaceChildren(el("p", { class: "error" }, error.message));
+    }
+  }
+
+  document.getElementById("token-form").addEventListener("submit", (event) => {
+    event.preventDefault();
+    sessionStorage.setItem(TOKEN_KEY, tokenInput.value.trim());
+    load();
+  });
+
+  load();
+})();
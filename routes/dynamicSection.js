@@ -1,52 +1,27 @@
 const express = require("express");
+const { requireAdminToken } = require("../middleware/requireAdminToken");
+const { publicCache } = require("../middleware/publicCache");
 const {
   getDynamicSection,
   getAllDynamicSections,
+  previewSectionRule,
 } = require("../controller/genericController");
 
 const router = express.Router();
 
-// Public caching for GET responses (Vercel CDN)
-const publicCache = (req, res, next) => {
-  const TTL = 300;
-  const SWR = 86400;
-
-  // Only enable CDN caching in production
-  if (process.env.NODE_ENV !== "production") return next();
-
-  // Allow bypassing cache when needed: ?nocache=1
-  if (req.query?.nocache === "1") {
-    res.set("Cache-Control", "no-store");
-    return next();
-  }
-
-  // Don't cache personalized / authenticated requests
-  if (req.headers.authorization) return next();
-  if (req.headers.cookie) return next();
-
-  // Browser: don't store, but allow revalidate
-  // CDN (shared cache): cache for TTL, serve stale while revalidating
-  res.set(
-    "Cache-Control",
-    `public, max-age=0, s-maxage=${TTL}, stale-while-revalidate=${SWR}`,
-  );
-
-  // Vercel edge cache
-  res.set(
-    "Vercel-CDN-Cache-Control",
-    `max-age=${TTL}, stale-while-revalidate=${SWR}`,
-  );
-
-  // Optional generic CDN header
-  res.set("CDN-Cache-Control", `max-age=${TTL}, stale-while-revalidate=${SWR}`);
-
-  return next();
-};
-
 // GET /api/dynamicsection - Get all records where TopicPage.slug matches Product.merchTags
-router.get("/", publicCache, getAllDynamicSections);
+// GET /api/dynamicsection?tags=a,b&mode=any|all|exclude - Same as /:merchtag for several tags
+router.get("/", publicCache(), (req, res) =>
+  req.query.tags
+    ? getDynamicSection(req, res)
+    : getAllDynamicSections(req, res),
+);
 
 // GET /api/dynamicsection/:merchtag - Get records from TopicPage (slug) and Product (merchTags)
-router.get("/:merchtag", publicCache, getDynamicSection);
+// (comma-separated tags, page/limit, orderBy/order, select, filter[...], facets)
+router.get("/:merchtag", publicCache(), getDynamicSection);
+
+// POST /api/dynamicsection/preview - Validate a product rule and list the products it selects (admin)
+router.post("/preview", requireAdminToken, previewSectionRule);
 
 module.exports = router;
@@ -0,0 +1,130 @@
+const express = require("express");
+const { isAdminRequest } = require("../middleware/requireAdminToken");
+const { getEntityRouteName } = require("../utils/entityConfig");
+const {
+  getEventsSince,
+  subscribe,
+  getSubscriberCount,
+} = require("../utils/eventStream");
+const { cleanStr } = require("../utils/text");
+
+function envInt(name, fallback) {
+  const n = parseInt(cleanStr(process.env[name]), 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+/**
+ * Server-Sent Events stream of catalogue updates (see utils/eventStream.js)
+ *
+ * Mounted at: /<baseName>/events
+ *
+ * GET /?entity=product,blog
+ *   entity       optional route or entity names to receive events for
+ *   Last-Event-ID header (or ?lastEventId=) resumes from the buffer; when
+ *   that isn't possible the stream starts with a `stream.reset` event
+ *
+ * Public subscribers get events for the public entities only; admin-token
+ * requests get every entity and records outside the public set.
+ *
+ * @param {Array<string>} entityNames - Public entities
+ */
+function createEventRoutes(entityNames) {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    const isAdmin = isAdminRequest(req);
+    const allowed = new Map();
+    for (const entityName of entityNames) {
+      allowed.set(entityName.toLowerCase(), entityName);
+      allowed.set(getEntityRouteName(entityName).toLowerCase(), entityName);
+    }
+
+    const requested = cleanStr(req.query.entity)
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean);
+    const unknown = isAdmin
+      ? []
+      : requested.filter((value) => !allowed.has(value.toLowerCase()));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown entity: ${unknown.join(", ")}`,
+      });
+    }
+
+    const maxClients = envInt("SSE_MAX_CLIENTS", 200);
+    if (getSubscriberCount() >= maxClients) {
+      return res.status(503).json({
+        success: false,
+        error: "Too many event stream connections, retry later",
+      });
+    }
+
+    const filter = new Set(requested.map((value) => value.toLowerCase()));
+    const wants = (event) => {
+      if (!isAdmin && !event.isPublic) return false;
+
+      const { entity, route } = event.data;
+      if (!isAdmin && !entityNames.includes(entity)) return false;
+      return (
+        filter.size === 0 ||
+        filter.has(entity.toLowerCase()) ||
+        filter.has(route.toLowerCase())
+      );
+    };
+
+    res.status(200);
+    res.set({
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(`retry: ${envInt("SSE_RETRY_MS", 5000)}\n\n`);
+
+    // ✅ Resume after Last-Event-ID (EventSource sends it on reconnect)
+    const lastEventId = cleanStr(
+      req.headers["last-event-id"] || req.query.lastEventId,
+    );
+    if (lastEventId) {
+      const missed = getEventsSince(lastEventId);
+      if (missed === null) {
+        res.write(
+          `event: stream.reset\ndata: ${JSON.stringify({
+            reason: "Last-Event-ID can no longer be resumed; re-sync",
+            lastEventId,
+          })}\n\n`,
+        );
+      } else {
+        for (const event of missed) {
+          if (wants(event)) res.write(formatEvent(event));
+        }
+      }
+    }
+
+    const unsubscribe = subscribe((event) => {
+      if (wants(event)) res.write(formatEvent(event));
+    });
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(
+      () => res.write(`: heartbeat ${new Date().toISOString()}\n\n`),
+      envInt("SSE_HEARTBEAT_SECONDS", 25) * 1000,
+    );
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  return router;
+}
+
+module.exports = createEventRoutes;
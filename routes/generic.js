@@ -1,62 +1,7 @@
 const express = require("express");
 const { createEntityController } = require("../controller/genericController");
 const { requireAdminToken } = require("../middleware/requireAdminToken");
-
-// Parse no-cache entities from environment
-const noCacheEntities = String(process.env.NO_CACHE_ENTITIES || "")
-  .split(",")
-  .map((s) => s.trim())
-  .filter(Boolean);
-
-// Public caching for GET responses (Vercel CDN)
-// Goal: cache on Vercel's edge, not the browser.
-// - max-age=0 => browsers revalidate
-// - s-maxage=300 => cache at CDN for 5 minutes
-// - stale-while-revalidate=86400 => serve stale for up to 24h while refreshing
-const publicCache = (entityName) => (req, res, next) => {
-  // ✅ Don't let Vercel CDN cache these entities
-  if (noCacheEntities.includes(entityName)) {
-    res.set("Cache-Control", "no-store, max-age=0");
-    res.set("Vercel-CDN-Cache-Control", "no-store");
-    res.set("CDN-Cache-Control", "no-store");
-    return next();
-  }
-
-  const TTL = 300;
-  const SWR = 86400;
-
-  // Only enable CDN caching in production
-  if (process.env.NODE_ENV !== "production") return next();
-
-  // Allow bypassing cache when needed: ?nocache=1
-  if (req.query?.nocache === "1") {
-    res.set("Cache-Control", "no-store");
-    return next();
-  }
-
-  // Don’t cache personalized / authenticated requests
-  // (Vercel won't cache these anyway, so skip setting headers)
-  if (req.headers.authorization) return next();
-  if (req.headers.cookie) return next();
-
-  // Browser: don't store, but allow revalidate
-  // CDN (shared cache): cache for TTL, serve stale while revalidating
-  res.set(
-    "Cache-Control",
-    `public, max-age=0, s-maxage=${TTL}, stale-while-revalidate=${SWR}`,
-  );
-
-  // Vercel edge cache (most reliable header for Vercel caching behavior)
-  res.set(
-    "Vercel-CDN-Cache-Control",
-    `max-age=${TTL}, stale-while-revalidate=${SWR}`,
-  );
-
-  // Optional generic CDN header (harmless; useful on other CDNs)
-  res.set("CDN-Cache-Control", `max-age=${TTL}, stale-while-revalidate=${SWR}`);
-
-  return next();
-};
+const { publicCache } = require("../middleware/publicCache");
 
 // Generic route factory that creates routes for any entity
 const createEntityRoutes = (entityName) => {
@@ -73,6 +18,12 @@ const createEntityRoutes = (entityName) => {
     controller.getBySearchProduct,
   );
 
+  // GET /:entity/suggest?q=... - Type-ahead suggestions from memory
+  router.get("/suggest", publicCache(entityName), controller.getSuggestions);
+
+  // GET /:entity/facets?fields=color,gsm&filter[...]&buckets[gsm]=50 - Value counts per field
+  router.get("/facets", publicCache(entityName), controller.getFacets);
+
   // GET /:entity/fieldname/:fieldName/:fieldValue - Get records filtered by field and value (MORE SPECIFIC - must come first)
   router.get(
     "/fieldname/:fieldName/:fieldValue",
@@ -87,11 +38,39 @@ const createEntityRoutes = (entityName) => {
     controller.getUniqueFieldValues,
   );
 
+  // GET /:entity/batch?ids=a,b,c - Several records by ID in one call (POST { ids } for long lists)
+  router.get("/batch", publicCache(entityName), controller.getRecordsByIds);
+  router.post("/batch", controller.getRecordsByIds);
+
+  // GET /:entity/compare?ids=a,b,c - Comparison matrix (config `compare`), ?format=xlsx for a download
+  router.get("/compare", publicCache(entityName), controller.compareRecords);
+
+  // GET /:entity/changes?since=<token|timestamp> - Records changed and IDs deleted since a token (not CDN cached)
+  router.get("/changes", controller.getChanges);
+
+  // GET /:entity/slug/:slug - Get single record by its slug (entity config slugField)
+  router.get("/slug/:slug", publicCache(entityName), controller.getRecordBySlug);
+
+  // GET /:entity/:id/similar?limit=8 - Other public records ranked by weighted attribute overlap (config `similar`)
+  router.get(
+    "/:id/similar",
+    publicCache(entityName),
+    controller.getSimilarRecords,
+  );
+
+  // GET /:entity/:id/related/:link - Records linked to one record (links whitelisted in the entity config)
+  router.get(
+    "/:id/related/:link",
+    publicCache(entityName),
+    controller.getRelatedRecords,
+  );
+
   // GET /:entity/:id - Get single record by ID
   router.get("/:id", publicCache(entityName), controller.getRecordById);
 
   // Admin-only write routes
   router.post("/", requireAdminToken, controller.createRecord);
+  router.post("/bulk", requireAdminToken, controller.bulkWrite);
   router.put("/:id", requireAdminToken, controller.updateRecord);
   router.delete("/:id", requireAdminToken, controller.deleteRecord);
 
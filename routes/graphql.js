@@ -0,0 +1,24 @@
+const express = require("express");
+const { createGraphqlHandler } = require("../controller/graphqlController");
+
+/**
+ * GraphQL routes (read-only)
+ *
+ * Mounted at: /<baseName>/graphql
+ *
+ * POST /  body: { query: string, variables?: object, operationName?: string }
+ * GET  /  ?query=...&variables=<json>&operationName=...
+ *
+ * @param {Array<string>} entityNames - Public entities exposed at the root
+ */
+function createGraphqlRoutes(entityNames) {
+  const router = express.Router();
+  const handleGraphqlRequest = createGraphqlHandler(entityNames);
+
+  router.get("/", handleGraphqlRequest);
+  router.post("/", handleGraphqlRequest);
+
+  return router;
+}
+
+module.exports = createGraphqlRoutes;
@@ -5,6 +5,7 @@ const { requireCronSecret } = require("../middleware/requireCronSecret");
 const {
   triggerManualIndexNow,
   testSitemapParsing,
+  describeIndexNowSource,
 } = require("../utils/indexnowScheduler");
 
 async function startIndexNowRun(res, source) {
@@ -36,7 +37,7 @@ async function startIndexNowRun(res, source) {
  */
 router.get("/health", (req, res) => {
   const frontendUrl = String(process.env.FRONTEND_URL || "").trim();
-  const sitemapUrl = frontendUrl ? `${frontendUrl}/sitemap.xml` : null;
+  const sitemapUrl = describeIndexNowSource();
 
   const config = {
     schedulerEnabled: process.env.INDEXNOW_SCHEDULER_ENABLED === "true",
@@ -143,7 +144,7 @@ router.get("/test-sitemap", requireAdminToken, async (req, res) => {
 
     res.json({
       ok: true,
-      sitemapUrl: `${process.env.FRONTEND_URL}/sitemap.xml`,
+      sitemapUrl: describeIndexNowSource(),
       urlsFound: urls.length,
       sampleUrls: urls.slice(0, 10),
       message: `Found ${urls.length} URLs in sitemap`,
@@ -0,0 +1,39 @@
+const express = require("express");
+const { isAdminRequest } = require("../middleware/requireAdminToken");
+const { buildOpenApiDocument } = require("../utils/openapi");
+
+/**
+ * @param {Array<Object>} mounts - Mounted API routers (filled by index.js)
+ * @param {string} baseName - API base the router is mounted under
+ */
+function createOpenApiRoutes(mounts, baseName) {
+  const router = express.Router();
+
+  /**
+   * GET /openapi.json
+   * OpenAPI document for the mounted routes; admin-only entities and
+   * unredacted schemas are included for requests with the admin token
+   */
+  router.get("/openapi.json", async (req, res) => {
+    try {
+      const document = await buildOpenApiDocument({
+        mounts,
+        baseName,
+        admin: isAdminRequest(req),
+      });
+
+      // Differs per admin token and follows EspoCRM metadata reloads
+      res.set("Cache-Control", "no-store");
+      res.json(document);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createOpenApiRoutes;
@@ -0,0 +1,70 @@
+const express = require("express");
+const {
+  describeEntitySchemas,
+  getEntityFieldDefs,
+  reloadEntitySchemas,
+} = require("../utils/entitySchema");
+
+const router = express.Router();
+
+/**
+ * GET /schema
+ * Show when EspoCRM field metadata was loaded and for which entities
+ */
+router.get("/", (req, res) => {
+  res.json({
+    success: true,
+    schema: describeEntitySchemas(),
+  });
+});
+
+/**
+ * POST /schema/reload
+ * Re-read field metadata from EspoCRM (e.g. after adding a field or enum option)
+ */
+router.post("/reload", async (req, res) => {
+  try {
+    await reloadEntitySchemas();
+    const schema = describeEntitySchemas();
+
+    res.status(schema.error ? 502 : 200).json({
+      success: !schema.error,
+      schema,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /schema/:entity
+ * Field definitions used to validate writes to one entity
+ */
+router.get("/:entity", async (req, res) => {
+  try {
+    const fields = await getEntityFieldDefs(req.params.entity);
+
+    if (!fields) {
+      return res.status(404).json({
+        success: false,
+        error: `No field metadata for ${req.params.entity}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      entity: req.params.entity,
+      fields,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require("express");
+const {
+  describeSearchDictionary,
+  ensureSearchDictionary,
+  reloadSearchDictionary,
+} = require("../utils/searchDictionary");
+
+const router = express.Router();
+
+/**
+ * GET /search-dictionary
+ * Show the active synonyms and stop-words
+ */
+router.get("/", async (req, res) => {
+  try {
+    await ensureSearchDictionary();
+
+    res.json({
+      success: true,
+      dictionary: describeSearchDictionary(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /search-dictionary/reload
+ * Re-read the dictionary from its source (file or EspoCRM) without a restart
+ */
+router.post("/reload", async (req, res) => {
+  try {
+    const dictionary = await reloadSearchDictionary();
+
+    res.status(dictionary.error ? 502 : 200).json({
+      success: !dictionary.error,
+      dictionary: describeSearchDictionary(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
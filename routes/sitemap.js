@@ -0,0 +1,52 @@
+const express = require("express");
+const { createSitemapController } = require("../controller/sitemapController");
+
+// Public caching for sitemaps (Vercel CDN); they change with the record cache
+const publicCache = (req, res, next) => {
+  const TTL = 3600;
+  const SWR = 86400;
+
+  // Only enable CDN caching in production
+  if (process.env.NODE_ENV !== "production") return next();
+
+  // Allow bypassing cache when needed: ?nocache=1
+  if (req.query?.nocache === "1") {
+    res.set("Cache-Control", "no-store");
+    return next();
+  }
+
+  res.set(
+    "Cache-Control",
+    `public, max-age=0, s-maxage=${TTL}, stale-while-revalidate=${SWR}`,
+  );
+  res.set(
+    "Vercel-CDN-Cache-Control",
+    `max-age=${TTL}, stale-while-revalidate=${SWR}`,
+  );
+  res.set("CDN-Cache-Control", `max-age=${TTL}, stale-while-revalidate=${SWR}`);
+
+  return next();
+};
+
+/**
+ * XML sitemaps (see controller/sitemapController.js)
+ *
+ * Mounted at the site root:
+ *
+ * GET /sitemap.xml           sitemap index
+ * GET /sitemaps/:file        one entity: product.xml, or product-2.xml when split
+ *
+ * @param {Array<string>} entityNames - Public entities
+ */
+function createSitemapRoutes(entityNames) {
+  const router = express.Router();
+  const { getSitemapIndex, getEntitySitemap } =
+    createSitemapController(entityNames);
+
+  router.get("/sitemap.xml", publicCache, getSitemapIndex);
+  router.get("/sitemaps/:file", publicCache, getEntitySitemap);
+
+  return router;
+}
+
+module.exports = createSitemapRoutes;
@@ -1,4 +1,8 @@
 const NodeCache = require("node-cache");
+const {
+  getEntityConfig,
+  getConfiguredEntityNames,
+} = require("./entityConfig");
 
 /**
  * Cache configuration:
@@ -30,6 +34,20 @@ function getCacheKey(entityName, params = {}) {
     return `${base}:single:${params.id}`;
   }
 
+  // For relationship lists (/:id/related/:link), keyed under the related entity;
+  // deleteCacheByEntity(source) clears them too (see isRelatedFromKey)
+  if (params.type === "related" && params.id && params.link) {
+    const {
+      source = "",
+      page = 1,
+      limit = 20,
+      orderBy = "",
+      order = "",
+      select = "",
+    } = params;
+    return `${base}:related:${source}:${params.id}:${params.link}:p${page}:l${limit}:${orderBy}:${order}:${select}`;
+  }
+
   // For field value queries
   if (params.type === "field" && params.fieldName && params.fieldValue) {
     return `${base}:field:${params.fieldName}:${params.fieldValue}`;
@@ -45,6 +63,11 @@ function getCacheKey(entityName, params = {}) {
     return `${base}:search:${params.searchValue}`;
   }
 
+  // For the uncapped sitemap list (see controller/sitemapController.js)
+  if (params.type === "sitemap") {
+    return `${base}:sitemap`;
+  }
+
   // For all records (used in fetchAllRecords)
   if (params.type === "all") {
     const { orderBy = "", order = "", select = "" } = params;
@@ -58,8 +81,8 @@ function getCacheKey(entityName, params = {}) {
  * Check if an entity should use cache
  * Returns: 'timed' | 'short' | false
  * - 'timed': CACHE_ENTITIES (24-hour TTL)
- * - 'short': NO_CACHE_ENTITIES (5-second TTL for burst protection)
- * - false: Don't cache at all
+ * - 'short': NO_CACHE_ENTITIES or `cache: "short"` in the entity config (5-second TTL for burst protection)
+ * - false: `cache: "none"` in the entity config
  */
 function shouldUseCache(entityName) {
   const noCacheEntities = process.env.NO_CACHE_ENTITIES
@@ -71,8 +94,10 @@ function shouldUseCache(entityName) {
     return "short";
   }
 
-  // Default: timed cache (24-hour TTL) for all other entities
-  return "timed";
+  // Entity config policy (defaults to timed cache, 24-hour TTL)
+  const policy = getEntityConfig(entityName).cache;
+  if (policy === "none") return false;
+  return policy === "short" ? "short" : "timed";
 }
 
 /**
@@ -155,13 +180,25 @@ function deleteCache(key) {
 }
 
 /**
- * Delete all cache keys for a specific entity
+ * True for a relationship list key whose source record is of entityName
+ * (espo:<Related>:related:<Source>:...)
+ */
+function isRelatedFromKey(key, entityName) {
+  const parts = key.split(":");
+  return parts[2] === "related" && parts[3] === entityName;
+}
+
+/**
+ * Delete all cache keys for a specific entity, plus relationship lists read
+ * through its records (a write can change which records are linked)
  */
 function deleteCacheByEntity(entityName) {
   try {
     const keys = cache.keys();
-    const entityKeys = keys.filter((key) =>
-      key.startsWith(`espo:${entityName}:`),
+    const entityKeys = keys.filter(
+      (key) =>
+        key.startsWith(`espo:${entityName}:`) ||
+        isRelatedFromKey(key, entityName),
     );
     cache.del(entityKeys);
     console.log(
@@ -213,6 +250,16 @@ function getNoCacheEntities() {
     ? process.env.NO_CACHE_ENTITIES.split(",").map((e) => e.trim())
     : [];
 
+  // Plus entities whose config asks for a short or no cache
+  for (const entityName of getConfiguredEntityNames()) {
+    if (
+      getEntityConfig(entityName).cache !== "timed" &&
+      !noCacheEntities.includes(entityName)
+    ) {
+      noCacheEntities.push(entityName);
+    }
+  }
+
   return noCacheEntities;
 }
 
@@ -0,0 +1,248 @@
+/**
+ * In-memory change journal for /:entity/changes
+ *
+ * Maintained alongside the default fetchAllRecords list, like the search and
+ * slug indexes: every full or delta refresh hands the merged list to
+ * journalRecords(), which diffs it against the last list it saw (id =>
+ * modifiedAt) and appends one entry per created/modified or deleted record.
+ *
+ * Entries carry a sequence number; a change token is the journal id plus the
+ * last sequence the client has seen:
+ *
+ *   base64url(JSON { v, j, s })
+ *
+ * The journal lives in process memory, so a token from another instance or
+ * from before a restart (different journal id), or one older than the
+ * retained entries (CHANGE_JOURNAL_MAX_ENTRIES), can't be answered
+ * incrementally; readChanges() then reports a reset and the client re-syncs.
+ */
+
+const { randomBytes } = require("crypto");
+const { cleanStr } = require("./text");
+
+const TOKEN_VERSION = 1;
+
+function getMaxEntries() {
+  const n = parseInt(cleanStr(process.env.CHANGE_JOURNAL_MAX_ENTRIES), 10);
+  return Number.isFinite(n) && n > 0 ? n : 10000;
+}
+
+// EspoCRM "YYYY-MM-DD HH:mm:ss" (UTC) or ISO 8601 => ms, null when invalid
+function parseTimestamp(value) {
+  const raw = cleanStr(value);
+  if (!raw) return null;
+  if (/^\d+$/.test(raw)) return Number(raw);
+
+  let iso = raw.includes("T") ? raw : raw.replace(" ", "T");
+  if (!/[zZ]$/.test(iso) && !/[+-]\d{2}:\d{2}$/.test(iso)) iso += "Z";
+
+  const ms = Date.parse(iso);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// entityName => { id, coversFrom, seq, trimmedThrough, entries: [{ seq, id, type, at }], known: Map(id => modifiedAt) }
+// coversFrom: earliest time (ms) from which every change is still in entries
+const journals = new Map();
+
+function createJournal(records) {
+  const known = new Map();
+  for (const record of records || []) {
+    if (record?.id) known.set(record.id, cleanStr(record.modifiedAt));
+  }
+
+  return {
+    id: randomBytes(6).toString("base64url"),
+    coversFrom: Date.now(),
+    seq: 0,
+    trimmedThrough: 0,
+    entries: [],
+    known,
+  };
+}
+
+function append(journal, id, type, at) {
+  journal.seq += 1;
+  journal.entries.push({ seq: journal.seq, id, type, at });
+}
+
+/**
+ * Record what changed between the last list seen and this one.
+ * The first call for an entity only sets the baseline.
+ *
+ * @param {string} entityName
+ * @param {Array<Object>} records - Full merged list (after a full or delta refresh)
+ * @returns {{created: string[], updated: string[], deleted: string[]}} IDs journaled by this call
+ */
+function journalRecords(entityName, records) {
+  const journal = journals.get(entityName);
+  if (!journal) {
+    journals.set(entityName, createJournal(records));
+    return { created: [], updated: [], deleted: [] };
+  }
+
+  const at = Date.now();
+  const seen = new Set();
+  const created = [];
+  const updated = [];
+  const deleted = [];
+
+  for (const record of records || []) {
+    const id = record?.id;
+    if (!id) continue;
+    seen.add(id);
+
+    const modifiedAt = cleanStr(record.modifiedAt);
+    const previous = journal.known.get(id);
+    if (previous === modifiedAt) continue;
+
+    (previous === undefined ? created : updated).push(id);
+    journal.known.set(id, modifiedAt);
+    append(journal, id, "upsert", at);
+  }
+
+  for (const id of Array.from(journal.known.keys())) {
+    if (seen.has(id)) continue;
+    journal.known.delete(id);
+    append(journal, id, "delete", at);
+    deleted.push(id);
+  }
+
+  const overflow = journal.entries.length - getMaxEntries();
+  if (overflow > 0) {
+    const lastDropped = journal.entries[overflow - 1];
+    journal.trimmedThrough = lastDropped.seq;
+    journal.coversFrom = lastDropped.at + 1;
+    journal.entries.splice(0, overflow);
+  }
+
+  const upserted = created.length + updated.length;
+  if (upserted > 0 || deleted.length > 0) {
+    console.log(
+      `[changeJournal] ${entityName} - ${upserted} upserted, ${deleted.length} deleted (seq ${journal.seq})`,
+    );
+  }
+
+  return { created, updated, deleted };
+}
+
+/**
+ * Baseline the journal from the cached list when no refresh has fed it yet
+ */
+function ensureChangeJournal(entityName, records) {
+  if (!journals.has(entityName)) journalRecords(entityName, records);
+  return journals.get(entityName);
+}
+
+function encodeToken(journal) {
+  return Buffer.from(
+    JSON.stringify({ v: TOKEN_VERSION, j: journal.id, s: journal.seq }),
+    "utf8",
+  ).toString("base64url");
+}
+
+function decodeToken(value) {
+  try {
+    const token = JSON.parse(Buffer.from(value, "base64url").toString("utf8"));
+    if (token?.v !== TOKEN_VERSION || typeof token.j !== "string") return null;
+    if (!Number.isInteger(token.s) || token.s < 0) return null;
+    return token;
+  } catch {
+    return null;
+  }
+}
+
+// Last entry per record, in journal order
+function collapse(entries) {
+  const byId = new Map();
+  for (const entry of entries) {
+    byId.delete(entry.id);
+    byId.set(entry.id, entry.type);
+  }
+
+  const upsertedIds = [];
+  const deletedIds = [];
+  for (const [id, type] of byId) {
+    if (type === "delete") deletedIds.push(id);
+    else upsertedIds.push(id);
+  }
+  return { upsertedIds, deletedIds };
+}
+
+/**
+ * Changes since a token from a previous call, or since a timestamp.
+ *
+ * A timestamp (EspoCRM date-time, ISO 8601 or epoch ms) matches records whose
+ * modifiedAt is at or after it, plus journal entries recorded since then; it
+ * needs the journal to have started before that time.
+ *
+ * @param {string} entityName
+ * @param {string} since - Change token or timestamp ("" for a full sync)
+ * @param {Array<Object>} records - Current cached list
+ * @returns {{reset: boolean, reason?: string, upsertedIds: string[], deletedIds: string[], token: string}}
+ */
+function readChanges(entityName, since, records) {
+  const journal = ensureChangeJournal(entityName, records);
+  const token = encodeToken(journal);
+  const reset = (reason) => ({
+    reset: true,
+    reason,
+    upsertedIds: [],
+    deletedIds: [],
+    token,
+  });
+
+  const value = cleanStr(since);
+  if (!value) return reset("no since token");
+
+  const decoded = decodeToken(value);
+  if (decoded) {
+    if (decoded.j !== journal.id || decoded.s > journal.seq) {
+      return reset("token from another journal");
+    }
+    if (decoded.s < journal.trimmedThrough) {
+      return reset("token older than the journal");
+    }
+
+    return {
+      reset: false,
+      ...collapse(journal.entries.filter((entry) => entry.seq > decoded.s)),
+      token,
+    };
+  }
+
+  const sinceMs = parseTimestamp(value);
+  if (sinceMs === null) {
+    const err = new Error("since must be a change token or a timestamp");
+    err.status = 400;
+    throw err;
+  }
+
+  if (sinceMs < journal.coversFrom) {
+    return reset("timestamp older than the journal");
+  }
+
+  const { upsertedIds, deletedIds } = collapse(
+    journal.entries.filter((entry) => entry.at >= sinceMs),
+  );
+  const upserted = new Set(upsertedIds);
+  for (const record of records || []) {
+    const modifiedMs = parseTimestamp(record?.modifiedAt);
+    if (record?.id && modifiedMs !== null && modifiedMs >= sinceMs) {
+      upserted.add(record.id);
+    }
+  }
+
+  const deleted = new Set(deletedIds);
+  return {
+    reset: false,
+    upsertedIds: Array.from(upserted).filter((id) => !deleted.has(id)),
+    deletedIds,
+    token,
+  };
+}
+
+module.exports = {
+  journalRecords,
+  ensureChangeJournal,
+  readChanges,
+};
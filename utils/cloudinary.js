@@ -93,6 +93,22 @@ function buildCloudinaryUrl(baseUrl, variant) {
   }
 }
 
+/**
+ * Attribute names applyCloudinaryVariants adds for an image field
+ *
+ * @param {string} fieldName - e.g. "image1CloudUrl"
+ * @returns {Array<string>} - e.g. ["image1CloudUrlBase", "image1CloudUrlWeb", ...]
+ */
+function getImageVariantFields(fieldName) {
+  return [
+    `${fieldName}Base`,
+    ...Object.keys(CLOUDINARY_TRANSFORMS).map(
+      (variant) =>
+        `${fieldName}${variant.charAt(0).toUpperCase() + variant.slice(1)}`,
+    ),
+  ];
+}
+
 /**
  * Apply Cloudinary variants to all image fields in a record
  *
@@ -132,5 +148,6 @@ function applyCloudinaryVariants(record, imageFields = []) {
 module.exports = {
   buildCloudinaryUrl,
   applyCloudinaryVariants,
+  getImageVariantFields,
   CLOUDINARY_TRANSFORMS,
 };
@@ -0,0 +1,161 @@
+/**
+ * Side-by-side comparison matrix for /:entity/compare
+ *
+ * Rows come from the entity's `compare` config, one per attribute:
+ *   { field, label?, unit?, alt?: { field, unit, factor }, unitField? }
+ *
+ *   field      attribute, or a dotted path into a populated relation ("collection.name")
+ *   unit       unit of `field`, appended to the display value
+ *   alt        the same measure in another unit (alt value * factor = field
+ *              value): used when `field` is empty, and shown next to it, so
+ *              every column reads in both units
+ *   unitField  attribute holding a per-record unit (e.g. MOQ in "uM")
+ *
+ * A row is flagged `differs` when the normalized values (numbers in the
+ * primary unit, lists as case-insensitive sets) are not all the same.
+ */
+
+const { cleanStr } = require("./text");
+
+function readPath(record, path) {
+  let value = record;
+  for (const key of cleanStr(path).split(".")) {
+    if (value === null || value === undefined) return value;
+    value = value[key];
+  }
+  return value;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function formatNumber(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+function isEmpty(value) {
+  if (Array.isArray(value)) return value.length === 0;
+  return cleanStr(value) === "";
+}
+
+// => { value, display, key } for one record and one row
+function compareCell(record, row) {
+  let raw = readPath(record, row.field);
+
+  if (row.alt && toNumber(raw) === null) {
+    const altValue = toNumber(readPath(record, row.alt.field));
+    if (altValue !== null) raw = altValue * row.alt.factor;
+  }
+
+  if (isEmpty(raw)) return { value: null, display: "", key: "" };
+
+  if (row.unit || row.alt) {
+    const n = toNumber(raw);
+    if (n !== null) {
+      const value = Math.round(n * 100) / 100;
+      let display = row.unit ? `${formatNumber(n)} ${row.unit}` : formatNumber(n);
+      if (row.alt) {
+        display += ` (${formatNumber(n / row.alt.factor)} ${row.alt.unit})`;
+      }
+      return { value, display, key: String(value) };
+    }
+  }
+
+  if (row.unitField) {
+    const unit = cleanStr(readPath(record, row.unitField));
+    const value = toNumber(raw) ?? cleanStr(raw);
+    return {
+      value,
+      unit: unit || null,
+      display: unit ? `${value} ${unit}` : String(value),
+      key: `${value}|${unit.toLowerCase()}`,
+    };
+  }
+
+  if (Array.isArray(raw)) {
+    const value = raw.map(cleanStr).filter(Boolean);
+    return {
+      value,
+      display: value.join(", "),
+      key: Array.from(new Set(value.map((v) => v.toLowerCase())))
+        .sort()
+        .join("|"),
+    };
+  }
+
+  if (typeof raw === "boolean") {
+    return { value: raw, display: raw ? "Yes" : "No", key: String(raw) };
+  }
+
+  if (typeof raw === "object") {
+    const display = cleanStr(raw.name ?? raw.title ?? raw.id);
+    return { value: display, display, key: display.toLowerCase() };
+  }
+
+  const value = typeof raw === "number" ? raw : cleanStr(raw);
+  return { value, display: String(value), key: String(value).toLowerCase() };
+}
+
+/**
+ * @param {Array<Object>} records - Public, populated records in column order
+ * @param {Array<Object>} rows - Entity config `compare`
+ * @param {Object} options
+ * @param {string} options.slugField
+ * @param {string} [options.imageField] - First image field; its Card variant heads the column
+ * @returns {{columns: Array<Object>, rows: Array<Object>}}
+ */
+function buildComparison(records, rows, { slugField, imageField }) {
+  const columns = records.map((record) => ({
+    id: record.id,
+    title:
+      cleanStr(record.productTitle || record.name || record.title) || record.id,
+    slug: cleanStr(record[slugField]) || null,
+    image: imageField
+      ? record[`${imageField}Card`] || record[imageField] || null
+      : null,
+  }));
+
+  const matrix = rows.map((row) => {
+    const cells = records.map((record) => compareCell(record, row));
+    const keys = new Set(cells.map((cell) => cell.key));
+
+    return {
+      field: row.field,
+      label: row.label || row.field,
+      unit: row.unit || null,
+      ...(row.alt && { altUnit: row.alt.unit }),
+      differs: keys.size > 1,
+      values: cells.map(({ key: _key, ...cell }) => cell),
+    };
+  });
+
+  return { columns, rows: matrix };
+}
+
+/**
+ * Sheet for utils/excelExport: one row per attribute, one column per record
+ */
+function comparisonSheet({ columns, rows }) {
+  // ExcelJS keys columns by header, so repeated titles get a suffix
+  const seen = new Map();
+  const headers = columns.map((column) => {
+    const count = (seen.get(column.title) || 0) + 1;
+    seen.set(column.title, count);
+    return count > 1 ? `${column.title} (${count})` : column.title;
+  });
+
+  return {
+    name: "Comparison",
+    columns: ["Attribute", ...headers, "Differs"],
+    rows: rows.map((row) => [
+      row.label,
+      ...row.values.map((cell) => cell.display),
+      row.differs ? "yes" : "",
+    ]),
+  };
+}
+
+module.exports = { buildComparison, comparisonSheet };
@@ -0,0 +1,160 @@
+/**
+ * Opaque signed cursors for keyset pagination
+ *
+ * A cursor encodes the position of the last record returned (its sort value
+ * and id) plus a hash of the query it belongs to, signed with HMAC-SHA256:
+ *
+ *   base64url(JSON { v, o, d, k, id, s }) + "." + signature
+ *
+ * Clients pass it back untouched as ?cursor=... to get the next page.
+ */
+
+const { createHash, createHmac, randomBytes, timingSafeEqual } = require("crypto");
+const { cleanStr, badRequest } = require("./text");
+
+const CURSOR_VERSION = 1;
+
+function isProduction() {
+  return process.env.NODE_ENV === "production";
+}
+
+// Every instance must sign with the same key, or page 2 fails on an instance
+// that didn't issue the cursor: production requires CURSOR_SECRET. Locally
+// cursors fall back to a per-process key (stale after a restart).
+let fallbackSecret = null;
+function getCursorSecret() {
+  const secret = cleanStr(process.env.CURSOR_SECRET);
+  if (secret) return secret;
+
+  if (isProduction()) {
+    const err = new Error(
+      "Cursor pagination is unavailable: CURSOR_SECRET is not configured",
+    );
+    err.status = 503;
+    throw err;
+  }
+  if (!fallbackSecret) fallbackSecret = randomBytes(32).toString("hex");
+  return fallbackSecret;
+}
+
+/**
+ * Startup check: warn when production has no CURSOR_SECRET
+ */
+function checkCursorSecret() {
+  if (!isProduction() || cleanStr(process.env.CURSOR_SECRET)) return;
+  console.warn(
+    "[Startup] CURSOR_SECRET is not set; ?cursor= requests will fail with 503",
+  );
+}
+
+function sign(payload) {
+  return createHmac("sha256", getCursorSecret()).update(payload).digest("base64url");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ""), "utf8");
+  const right = Buffer.from(String(b || ""), "utf8");
+  if (left.length !== right.length) return false;
+  return timingSafeEqual(left, right);
+}
+
+/**
+ * Short stable hash of the query a cursor belongs to (entity, filters, sort, ...)
+ */
+function cursorScope(parts) {
+  return createHash("sha256")
+    .update(JSON.stringify(parts))
+    .digest("base64url")
+    .slice(0, 16);
+}
+
+/**
+ * @param {Object} position
+ * @param {string} position.orderBy - Sort field
+ * @param {number} position.direction - 1 (asc) or -1 (desc)
+ * @param {*} position.value - Sort value of the last record returned
+ * @param {string} position.id - Id of the last record returned
+ * @param {string} position.scope - See cursorScope
+ * @returns {string}
+ */
+function encodeCursor({ orderBy, direction, value, id, scope }) {
+  const payload = Buffer.from(
+    JSON.stringify({
+      v: CURSOR_VERSION,
+      o: orderBy,
+      d: direction,
+      k: value === undefined ? null : value,
+      id,
+      s: scope,
+    }),
+    "utf8",
+  ).toString("base64url");
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify and decode a cursor.
+ *
+ * @param {string} raw - The ?cursor= value
+ * @param {string} scope - Scope of the current query; must match the cursor's
+ * @returns {{orderBy: string, direction: number, value: *, id: string}}
+ * @throws {Error} with status 400 when the cursor is malformed, tampered with
+ *                 or was issued for a different query
+ */
+function decodeCursor(raw, scope) {
+  const parts = cleanStr(raw).split(".");
+  if (parts.length !== 2) throw badRequest("Invalid cursor");
+
+  const [payload, signature] = parts;
+  if (!safeEqual(signature, sign(payload))) throw badRequest("Invalid cursor");
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    throw badRequest("Invalid cursor");
+  }
+
+  if (parsed?.v !== CURSOR_VERSION || !cleanStr(parsed?.id)) {
+    throw badRequest("Invalid cursor");
+  }
+
+  if (parsed.s !== scope) {
+    throw badRequest(
+      "Cursor does not match this query (filters, sort or search changed); start again without a cursor value",
+    );
+  }
+
+  return {
+    orderBy: parsed.o,
+    direction: parsed.d === -1 ? -1 : 1,
+    value: parsed.k,
+    id: parsed.id,
+  };
+}
+
+/**
+ * True when the request opted into cursor mode (?cursor= or ?cursor=<value>)
+ */
+function isCursorRequest(query = {}) {
+  return query.cursor !== undefined;
+}
+
+/**
+ * The cursor to continue from, or null for the first page (?cursor= / ?cursor=start)
+ */
+function getRequestCursor(query = {}) {
+  const raw = cleanStr(Array.isArray(query.cursor) ? query.cursor[0] : query.cursor);
+  if (!raw || raw === "start") return null;
+  return raw;
+}
+
+module.exports = {
+  checkCursorSecret,
+  cursorScope,
+  encodeCursor,
+  decodeCursor,
+  isCursorRequest,
+  getRequestCursor,
+};
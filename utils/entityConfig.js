@@ -0,0 +1,683 @@
+/**
+ * Declarative per-entity configuration
+ *
+ * Loaded once from config/entities.json (or ENTITY_CONFIG_FILE, .json or .js)
+ * and validated up front: a malformed file throws at startup with every
+ * problem listed, instead of failing on the first request that needs it.
+ *
+ * Per entity (keyed by EspoCRM entity type, e.g. "CProduct"):
+ *   route             URL segment (default: lowercased name without leading "c")
+ *   where             default filters, same language as ?filter[] (see utils/filterQuery):
+ *                     [{ field, type, op, value }], value "$now" = current time
+ *   populateByDefault populate relations without ?populate=true
+ *   populate          [{ field, entity, idField?, select?, images?, populate? }]
+ *   imageFields       Cloudinary image fields
+ *   imageFallbacks    { imageField: "https://..." | { env: "VAR_NAME" } }
+ *   cache             "timed" | "short" | "none"
+ *   publicFields      allowlist of attributes returned to public requests (default: all)
+ *   hiddenFields      denylist of attributes never returned to public requests
+ *                     (and so never searchable or filterable either)
+ *   slugField         attribute resolved by /slug/:slug (default "slug")
+ *   links             EspoCRM links exposed by /:id/related/:link:
+ *                     { linkName: { entity, select? } } (anything else is 404)
+ *   searchFields      [{ field, boost, code? }] for /search
+ *   filterFields      { field: "string"|"number"|"date"|"array"|"bool" } for ?filter[]
+ *   similar           [{ field, weight, type?: "set"|"number", range?, label? }]
+ *                     for /:id/similar (see utils/similarity); empty = not offered
+ *   compare           [{ field, label?, unit?, alt?: { field, unit, factor }, unitField? }]
+ *                     rows of /compare (see utils/compare); empty = not offered
+ *   suggest           { title?, slug?, code? } field lists for /suggest docs, first
+ *                     non-empty public value wins (slug defaults to [slugField])
+ *
+ * `defaults` holds cache / hiddenFields / slugField / searchFields / filterFields / suggest
+ * applied to every entity (filterFields and hiddenFields are merged, suggest per
+ * list, the others are replaced when an entity sets them).
+ *
+ * `selectFields` (keyed by entity type, configured or not, e.g. "User") lists the
+ * attributes fetched when that entity is populated as a relation without its own
+ * `select`: { fields, env? }, where a non-empty env var (comma-separated) overrides
+ * `fields`. Unlisted entities fetch id and name.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { OPERATORS } = require("./filterQuery");
+const { cleanStr, isPlainObject } = require("./text");
+
+const DEFAULT_FILE = path.join(__dirname, "..", "config", "entities.json");
+
+const CACHE_POLICIES = ["timed", "short", "none"];
+const LIST_OPERATORS = new Set(["in", "nin", "any", "all", "none"]);
+const VALUELESS_OPERATORS = new Set(["isNull", "notNull"]);
+
+const ENTITY_KEYS = new Set([
+  "route",
+  "where",
+  "populateByDefault",
+  "populate",
+  "imageFields",
+  "imageFallbacks",
+  "cache",
+  "publicFields",
+  "hiddenFields",
+  "slugField",
+  "links",
+  "searchFields",
+  "filterFields",
+  "similar",
+  "compare",
+  "suggest",
+]);
+const DEFAULT_KEYS = new Set([
+  "cache",
+  "hiddenFields",
+  "slugField",
+  "searchFields",
+  "filterFields",
+  "suggest",
+]);
+const SUGGEST_KEYS = new Set(["title", "slug", "code"]);
+const SELECT_KEYS = new Set(["fields", "env"]);
+const DEFAULT_SELECT_FIELDS = ["id", "name"];
+const RELATION_KEYS = new Set([
+  "field",
+  "entity",
+  "idField",
+  "select",
+  "images",
+  "populate",
+]);
+const LINK_KEYS = new Set(["entity", "select"]);
+const SIMILAR_KEYS = new Set(["field", "weight", "type", "range", "label"]);
+const SIMILAR_TYPES = ["set", "number"];
+const COMPARE_KEYS = new Set(["field", "label", "unit", "alt", "unitField"]);
+const COMPARE_ALT_KEYS = new Set(["field", "unit", "factor"]);
+
+function isStringList(v) {
+  return Array.isArray(v) && v.every((x) => typeof x === "string" && cleanStr(x));
+}
+
+function defaultRouteName(entityName) {
+  return entityName.toLowerCase().replace(/^c/, "");
+}
+
+/* ------------------------------ Validation ------------------------------ */
+function checkUnknownKeys(obj, allowed, at, errors) {
+  for (const key of Object.keys(obj)) {
+    if (!allowed.has(key)) errors.push(`${at}: unknown key "${key}"`);
+  }
+}
+
+function validateWhere(where, at, errors) {
+  if (!Array.isArray(where)) {
+    errors.push(`${at}: must be an array of { field, type, op, value }`);
+    return;
+  }
+
+  where.forEach((clause, i) => {
+    const here = `${at}[${i}]`;
+    if (!isPlainObject(clause)) {
+      errors.push(`${here}: must be an object`);
+      return;
+    }
+    if (!cleanStr(clause.field)) errors.push(`${here}.field: required`);
+
+    const operators = OPERATORS[clause.type];
+    if (!operators) {
+      errors.push(
+        `${here}.type: must be one of ${Object.keys(OPERATORS).join(", ")}`,
+      );
+      return;
+    }
+    if (!operators[clause.op]) {
+      errors.push(
+        `${here}.op: "${clause.op}" is not valid for ${clause.type} (allowed: ${Object.keys(operators).join(", ")})`,
+      );
+      return;
+    }
+
+    if (VALUELESS_OPERATORS.has(clause.op)) return;
+    if (LIST_OPERATORS.has(clause.op)) {
+      if (!Array.isArray(clause.value) || clause.value.length === 0) {
+        errors.push(`${here}.value: "${clause.op}" needs a non-empty array`);
+      }
+    } else if (clause.value === undefined || clause.value === null) {
+      errors.push(`${here}.value: required`);
+    } else if (clause.type === "bool" && typeof clause.value !== "boolean") {
+      errors.push(`${here}.value: must be true or false`);
+    } else if (clause.type === "number" && !Number.isFinite(clause.value)) {
+      errors.push(`${here}.value: must be a number`);
+    } else if (
+      clause.type === "date" &&
+      clause.value !== "$now" &&
+      !Number.isFinite(Date.parse(cleanStr(clause.value).replace(" ", "T")))
+    ) {
+      errors.push(`${here}.value: must be a date or "$now"`);
+    }
+  });
+}
+
+function validateRelations(relations, at, errors) {
+  if (!Array.isArray(relations)) {
+    errors.push(`${at}: must be an array of relations`);
+    return;
+  }
+
+  const seen = new Set();
+  relations.forEach((relation, i) => {
+    const here = `${at}[${i}]`;
+    if (!isPlainObject(relation)) {
+      errors.push(`${here}: must be an object`);
+      return;
+    }
+    checkUnknownKeys(relation, RELATION_KEYS, here, errors);
+
+    if (!cleanStr(relation.field)) errors.push(`${here}.field: required`);
+    else if (seen.has(relation.field)) {
+      errors.push(`${here}.field: "${relation.field}" is listed twice`);
+    }
+    seen.add(relation.field);
+
+    if (!cleanStr(relation.entity)) errors.push(`${here}.entity: required`);
+    if (relation.idField !== undefined && !cleanStr(relation.idField)) {
+      errors.push(`${here}.idField: must be a non-empty string`);
+    }
+    if (relation.select !== undefined && !isStringList(relation.select)) {
+      errors.push(`${here}.select: must be an array of field names`);
+    }
+    if (relation.images !== undefined && typeof relation.images !== "boolean") {
+      errors.push(`${here}.images: must be true or false`);
+    }
+    if (relation.populate !== undefined) {
+      validateRelations(relation.populate, `${here}.populate`, errors);
+    }
+  });
+}
+
+function validateLinks(links, at, errors) {
+  if (!isPlainObject(links)) {
+    errors.push(`${at}: must be an object of { linkName: { entity, select? } }`);
+    return;
+  }
+  for (const [name, link] of Object.entries(links)) {
+    const here = `${at}.${name}`;
+    if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+      errors.push(`${here}: invalid link name`);
+    }
+    if (!isPlainObject(link)) {
+      errors.push(`${here}: must be an object`);
+      continue;
+    }
+    checkUnknownKeys(link, LINK_KEYS, here, errors);
+    if (!cleanStr(link.entity)) errors.push(`${here}.entity: required`);
+    if (link.select !== undefined && !isStringList(link.select)) {
+      errors.push(`${here}.select: must be an array of field names`);
+    }
+  }
+}
+
+function validateSearchFields(fields, at, errors) {
+  if (!Array.isArray(fields)) {
+    errors.push(`${at}: must be an array of { field, boost, code? }`);
+    return;
+  }
+  fields.forEach((f, i) => {
+    const here = `${at}[${i}]`;
+    if (!isPlainObject(f) || !cleanStr(f.field)) {
+      errors.push(`${here}.field: required`);
+      return;
+    }
+    if (!Number.isFinite(f.boost) || f.boost <= 0) {
+      errors.push(`${here}.boost: must be a positive number`);
+    }
+    if (f.code !== undefined && typeof f.code !== "boolean") {
+      errors.push(`${here}.code: must be true or false`);
+    }
+  });
+}
+
+function validateSimilar(fields, at, errors) {
+  if (!Array.isArray(fields)) {
+    errors.push(`${at}: must be an array of { field, weight, type?, range?, label? }`);
+    return;
+  }
+  fields.forEach((f, i) => {
+    const here = `${at}[${i}]`;
+    if (!isPlainObject(f) || !cleanStr(f.field)) {
+      errors.push(`${here}.field: required`);
+      return;
+    }
+    checkUnknownKeys(f, SIMILAR_KEYS, here, errors);
+    if (!Number.isFinite(f.weight) || f.weight <= 0) {
+      errors.push(`${here}.weight: must be a positive number`);
+    }
+    if (f.type !== undefined && !SIMILAR_TYPES.includes(f.type)) {
+      errors.push(`${here}.type: must be one of ${SIMILAR_TYPES.join(", ")}`);
+    }
+    if (f.type === "number" && (!Number.isFinite(f.range) || f.range <= 0)) {
+      errors.push(`${here}.range: must be a positive number for number fields`);
+    }
+    if (f.label !== undefined && !cleanStr(f.label)) {
+      errors.push(`${here}.label: must be a non-empty string`);
+    }
+  });
+}
+
+function validateCompare(rows, at, errors) {
+  if (!Array.isArray(rows)) {
+    errors.push(`${at}: must be an array of { field, label?, unit?, alt?, unitField? }`);
+    return;
+  }
+  rows.forEach((row, i) => {
+    const here = `${at}[${i}]`;
+    if (!isPlainObject(row) || !cleanStr(row.field)) {
+      errors.push(`${here}.field: required`);
+      return;
+    }
+    checkUnknownKeys(row, COMPARE_KEYS, here, errors);
+    for (const key of ["label", "unit", "unitField"]) {
+      if (row[key] !== undefined && !cleanStr(row[key])) {
+        errors.push(`${here}.${key}: must be a non-empty string`);
+      }
+    }
+    if (row.alt !== undefined) {
+      if (!isPlainObject(row.alt)) {
+        errors.push(`${here}.alt: must be { field, unit, factor }`);
+        return;
+      }
+      checkUnknownKeys(row.alt, COMPARE_ALT_KEYS, `${here}.alt`, errors);
+      if (!cleanStr(row.alt.field)) errors.push(`${here}.alt.field: required`);
+      if (!cleanStr(row.alt.unit)) errors.push(`${here}.alt.unit: required`);
+      if (!Number.isFinite(row.alt.factor) || row.alt.factor <= 0) {
+        errors.push(`${here}.alt.factor: must be a positive number`);
+      }
+    }
+  });
+}
+
+function validateFilterFields(fields, at, errors) {
+  if (!isPlainObject(fields)) {
+    errors.push(`${at}: must be an object of { field: type }`);
+    return;
+  }
+  for (const [field, type] of Object.entries(fields)) {
+    if (!OPERATORS[type]) {
+      errors.push(
+        `${at}.${field}: unknown type "${type}" (allowed: ${Object.keys(OPERATORS).join(", ")})`,
+      );
+    }
+  }
+}
+
+function validateSuggest(suggest, at, errors) {
+  if (!isPlainObject(suggest)) {
+    errors.push(`${at}: must be an object of { title?, slug?, code? }`);
+    return;
+  }
+  checkUnknownKeys(suggest, SUGGEST_KEYS, at, errors);
+  for (const [key, fields] of Object.entries(suggest)) {
+    if (!isStringList(fields)) {
+      errors.push(`${at}.${key}: must be an array of field names`);
+    }
+  }
+}
+
+function validateSelectFields(selectFields, at, errors) {
+  if (!isPlainObject(selectFields)) {
+    errors.push(`${at}: must be an object of { EntityType: { fields, env? } }`);
+    return;
+  }
+  for (const [name, entry] of Object.entries(selectFields)) {
+    const here = `${at}.${name}`;
+    if (!isPlainObject(entry)) {
+      errors.push(`${here}: must be { fields, env? }`);
+      continue;
+    }
+    checkUnknownKeys(entry, SELECT_KEYS, here, errors);
+    if (!isStringList(entry.fields) || entry.fields.length === 0) {
+      errors.push(`${here}.fields: must be a non-empty array of field names`);
+    }
+    if (entry.env !== undefined && !cleanStr(entry.env)) {
+      errors.push(`${here}.env: must be an environment variable name`);
+    }
+  }
+}
+
+function validateCache(value, at, errors) {
+  if (!CACHE_POLICIES.includes(value)) {
+    errors.push(`${at}: must be one of ${CACHE_POLICIES.join(", ")}`);
+  }
+}
+
+function validateEntity(name, entity, errors) {
+  const at = `entities.${name}`;
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+    errors.push(`${at}: invalid entity name`);
+  }
+  if (!isPlainObject(entity)) {
+    errors.push(`${at}: must be an object`);
+    return;
+  }
+  checkUnknownKeys(entity, ENTITY_KEYS, at, errors);
+
+  if (entity.route !== undefined && !/^[a-z0-9][a-z0-9-]*$/.test(cleanStr(entity.route))) {
+    errors.push(`${at}.route: must be lowercase letters, digits or "-"`);
+  }
+  if (entity.where !== undefined) validateWhere(entity.where, `${at}.where`, errors);
+  if (
+    entity.populateByDefault !== undefined &&
+    typeof entity.populateByDefault !== "boolean"
+  ) {
+    errors.push(`${at}.populateByDefault: must be true or false`);
+  }
+  if (entity.populate !== undefined) {
+    validateRelations(entity.populate, `${at}.populate`, errors);
+  }
+  if (entity.imageFields !== undefined && !isStringList(entity.imageFields)) {
+    errors.push(`${at}.imageFields: must be an array of field names`);
+  }
+  if (entity.imageFallbacks !== undefined) {
+    if (!isPlainObject(entity.imageFallbacks)) {
+      errors.push(`${at}.imageFallbacks: must be an object`);
+    } else {
+      const imageFields = new Set(entity.imageFields || []);
+      for (const [field, fallback] of Object.entries(entity.imageFallbacks)) {
+        const here = `${at}.imageFallbacks.${field}`;
+        if (!imageFields.has(field)) {
+          errors.push(`${here}: "${field}" is not listed in imageFields`);
+        }
+        const ok =
+          (typeof fallback === "string" && cleanStr(fallback)) ||
+          (isPlainObject(fallback) && cleanStr(fallback.env));
+        if (!ok) errors.push(`${here}: must be a URL or { "env": "VAR_NAME" }`);
+      }
+    }
+  }
+  if (entity.cache !== undefined) validateCache(entity.cache, `${at}.cache`, errors);
+  if (entity.publicFields !== undefined && !isStringList(entity.publicFields)) {
+    errors.push(`${at}.publicFields: must be an array of field names`);
+  }
+  if (entity.hiddenFields !== undefined && !isStringList(entity.hiddenFields)) {
+    errors.push(`${at}.hiddenFields: must be an array of field names`);
+  }
+  if (isStringList(entity.publicFields) && isStringList(entity.hiddenFields)) {
+    const both = entity.hiddenFields.filter((f) => entity.publicFields.includes(f));
+    if (both.length > 0) {
+      errors.push(`${at}: ${both.join(", ")} listed in both publicFields and hiddenFields`);
+    }
+  }
+  if (entity.slugField !== undefined && !cleanStr(entity.slugField)) {
+    errors.push(`${at}.slugField: must be a field name`);
+  }
+  if (entity.links !== undefined) validateLinks(entity.links, `${at}.links`, errors);
+  if (entity.searchFields !== undefined) {
+    validateSearchFields(entity.searchFields, `${at}.searchFields`, errors);
+  }
+  if (entity.filterFields !== undefined) {
+    validateFilterFields(entity.filterFields, `${at}.filterFields`, errors);
+  }
+  if (entity.similar !== undefined) {
+    validateSimilar(entity.similar, `${at}.similar`, errors);
+  }
+  if (entity.compare !== undefined) {
+    validateCompare(entity.compare, `${at}.compare`, errors);
+  }
+  if (entity.suggest !== undefined) {
+    validateSuggest(entity.suggest, `${at}.suggest`, errors);
+  }
+}
+
+/**
+ * Validate a raw config object.
+ *
+ * @param {Object} raw
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateEntityConfig(raw) {
+  const errors = [];
+
+  if (!isPlainObject(raw)) return ["config: must be an object"];
+  checkUnknownKeys(
+    raw,
+    new Set(["defaults", "selectFields", "entities"]),
+    "config",
+    errors,
+  );
+
+  const defaults = raw.defaults || {};
+  if (!isPlainObject(defaults)) {
+    errors.push("defaults: must be an object");
+  } else {
+    checkUnknownKeys(defaults, DEFAULT_KEYS, "defaults", errors);
+    if (defaults.cache !== undefined) validateCache(defaults.cache, "defaults.cache", errors);
+    if (defaults.hiddenFields !== undefined && !isStringList(defaults.hiddenFields)) {
+      errors.push("defaults.hiddenFields: must be an array of field names");
+    }
+    if (defaults.slugField !== undefined && !cleanStr(defaults.slugField)) {
+      errors.push("defaults.slugField: must be a field name");
+    }
+    if (defaults.searchFields !== undefined) {
+      validateSearchFields(defaults.searchFields, "defaults.searchFields", errors);
+    }
+    if (defaults.filterFields !== undefined) {
+      validateFilterFields(defaults.filterFields, "defaults.filterFields", errors);
+    }
+    if (defaults.suggest !== undefined) {
+      validateSuggest(defaults.suggest, "defaults.suggest", errors);
+    }
+  }
+
+  if (raw.selectFields !== undefined) {
+    validateSelectFields(raw.selectFields, "selectFields", errors);
+  }
+
+  if (!isPlainObject(raw.entities)) {
+    errors.push("entities: must be an object keyed by EspoCRM entity type");
+    return errors;
+  }
+
+  const routes = new Map();
+  for (const [name, entity] of Object.entries(raw.entities)) {
+    validateEntity(name, entity, errors);
+    const route = cleanStr(entity?.route) || defaultRouteName(name);
+    if (routes.has(route)) {
+      errors.push(
+        `entities.${name}.route: "${route}" is already used by ${routes.get(route)}`,
+      );
+    }
+    routes.set(route, name);
+  }
+
+  checkHiddenQueryFields(raw, errors);
+  return errors;
+}
+
+// A hidden field must not be searchable or filterable (filterFields also
+// drive facets): public queries on it would reveal the values it hides
+function checkHiddenQueryFields(raw, errors) {
+  const defaults = isPlainObject(raw.defaults) ? raw.defaults : {};
+  const defaultHidden = isStringList(defaults.hiddenFields)
+    ? defaults.hiddenFields
+    : [];
+
+  for (const [name, entity] of Object.entries(raw.entities)) {
+    if (!isPlainObject(entity)) continue;
+    const hidden = new Set([
+      ...defaultHidden,
+      ...(isStringList(entity.hiddenFields) ? entity.hiddenFields : []),
+    ]);
+
+    const searchFields = entity.searchFields ?? defaults.searchFields;
+    const searched = (Array.isArray(searchFields) ? searchFields : [])
+      .map((f) => (isPlainObject(f) ? cleanStr(f.field) : ""))
+      .filter((field) => hidden.has(field));
+    if (searched.length > 0) {
+      errors.push(
+        `entities.${name}.searchFields: ${searched.join(", ")} listed in hiddenFields`,
+      );
+    }
+
+    const filtered = Object.keys({
+      ...(isPlainObject(defaults.filterFields) ? defaults.filterFields : {}),
+      ...(isPlainObject(entity.filterFields) ? entity.filterFields : {}),
+    }).filter((field) => hidden.has(field));
+    if (filtered.length > 0) {
+      errors.push(
+        `entities.${name}.filterFields: ${filtered.join(", ")} listed in hiddenFields`,
+      );
+    }
+  }
+}
+
+/* ------------------------------ Loading ------------------------------ */
+let config = null;
+let configFile = null;
+
+function resolveConfigFile() {
+  const file = cleanStr(process.env.ENTITY_CONFIG_FILE) || DEFAULT_FILE;
+  return path.isAbsolute(file) ? file : path.join(process.cwd(), file);
+}
+
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Entity config file not found: ${file}`);
+  }
+  if (file.endsWith(".js") || file.endsWith(".cjs")) {
+    return require(file);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Entity config ${file} is not valid JSON: ${error.message}`, {
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Load and validate the config file (once).
+ *
+ * @returns {Object} The validated config
+ * @throws {Error} listing every problem when the file is missing or malformed
+ */
+function loadEntityConfig() {
+  if (config) return config;
+
+  const file = resolveConfigFile();
+  const raw = readConfigFile(file);
+  const errors = validateEntityConfig(raw);
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid entity config ${file}:\n${errors.map((e) => `  - ${e}`).join("\n")}`,
+    );
+  }
+
+  config = {
+    defaults: raw.defaults || {},
+    selectFields: raw.selectFields || {},
+    entities: raw.entities,
+  };
+  configFile = file;
+  console.log(
+    `[entityConfig] Loaded ${Object.keys(config.entities).length} entities from ${file}`,
+  );
+  return config;
+}
+
+// entityName => resolved settings (the config is loaded once, so they never
+// change at runtime; callers must not mutate them)
+const resolved = new Map();
+
+/**
+ * Resolved settings for one entity, with defaults applied.
+ * Entities missing from the file get the defaults only.
+ */
+function getEntityConfig(entityName) {
+  if (!resolved.has(entityName)) {
+    resolved.set(entityName, Object.freeze(resolveEntityConfig(entityName)));
+  }
+  return resolved.get(entityName);
+}
+
+function resolveEntityConfig(entityName) {
+  const { defaults, entities } = loadEntityConfig();
+  const entity = entities[entityName] || {};
+  const slugField =
+    cleanStr(entity.slugField) || cleanStr(defaults.slugField) || "slug";
+  const suggest = { ...(defaults.suggest || {}), ...(entity.suggest || {}) };
+
+  return {
+    name: entityName,
+    route: cleanStr(entity.route) || defaultRouteName(entityName),
+    where: entity.where || [],
+    populateByDefault: entity.populateByDefault === true,
+    populate: entity.populate || [],
+    imageFields: entity.imageFields || [],
+    imageFallbacks: entity.imageFallbacks || {},
+    cache: entity.cache || defaults.cache || "timed",
+    publicFields: entity.publicFields || null,
+    hiddenFields: Array.from(
+      new Set([...(defaults.hiddenFields || []), ...(entity.hiddenFields || [])]),
+    ),
+    slugField,
+    links: entity.links || {},
+    searchFields: entity.searchFields || defaults.searchFields || [],
+    filterFields: { ...(defaults.filterFields || {}), ...(entity.filterFields || {}) },
+    similar: entity.similar || [],
+    compare: entity.compare || [],
+    suggest: {
+      title: suggest.title || [],
+      slug: suggest.slug || [slugField],
+      code: suggest.code || [],
+    },
+  };
+}
+
+/**
+ * Attributes fetched when entityName is populated as a relation without its
+ * own `select` (selectFields entry, its env override, or id + name)
+ */
+function getSelectFields(entityName) {
+  const entry = loadEntityConfig().selectFields[entityName];
+  if (!entry) return DEFAULT_SELECT_FIELDS;
+
+  const fromEnv = entry.env
+    ? cleanStr(process.env[entry.env])
+        .split(",")
+        .map((x) => cleanStr(x))
+        .filter(Boolean)
+    : [];
+  return fromEnv.length > 0 ? Array.from(new Set(fromEnv)) : entry.fields;
+}
+
+function getEntityRouteName(entityName) {
+  return getEntityConfig(entityName).route;
+}
+
+/**
+ * Resolve an image fallback to a URL ({ env } entries are read at call time)
+ */
+function resolveImageFallback(fallback) {
+  if (isPlainObject(fallback)) return cleanStr(process.env[fallback.env]);
+  return cleanStr(fallback);
+}
+
+function getConfiguredEntityNames() {
+  return Object.keys(loadEntityConfig().entities);
+}
+
+function getEntityConfigFile() {
+  return configFile;
+}
+
+module.exports = {
+  loadEntityConfig,
+  validateEntityConfig,
+  getEntityConfig,
+  getEntityRouteName,
+  getSelectFields,
+  resolveImageFallback,
+  getConfiguredEntityNames,
+  getEntityConfigFile,
+};
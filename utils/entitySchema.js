@@ -0,0 +1,490 @@
+/**
+ * EspoCRM field definitions for validating admin writes
+ *
+ * Loaded from EspoCRM's metadata API (GET /Metadata, entityDefs.*.fields),
+ * kept in memory for ESPO_SCHEMA_TTL_SECONDS (default 1 hour) and reloadable
+ * through the admin schema routes. validateWritePayload checks a create/update
+ * body against them before it is forwarded:
+ *
+ *   unknown_field   attribute not defined on the entity (with a suggestion)
+ *   read_only       field marked readOnly
+ *   invalid_type    wrong JSON type / date format for the field type
+ *   invalid_option  value outside enum / multiEnum / checklist options
+ *   required        required field missing (create) or cleared (update)
+ *   too_long        string longer than maxLength
+ *   out_of_range    number outside min / max
+ *
+ * fieldDefsToJsonSchema turns the same definitions into JSON Schema for the
+ * OpenAPI document (utils/openapi).
+ */
+
+const { espoRequest } = require("../controller/espoClient");
+const { editDistance } = require("./searchIndex");
+const { cleanStr, isPlainObject } = require("./text");
+
+function getSchemaTtlMs() {
+  const n = parseInt(cleanStr(process.env.ESPO_SCHEMA_TTL_SECONDS), 10);
+  return (Number.isFinite(n) && n > 0 ? n : 3600) * 1000;
+}
+
+function isSchemaValidationEnabled() {
+  return cleanStr(process.env.ESPO_SCHEMA_VALIDATION).toLowerCase() !== "off";
+}
+
+/* ------------------------------ Loading ------------------------------ */
+let schema = { entities: {}, loadedAt: null, error: null };
+let loadPromise = null;
+
+/**
+ * (Re)load field definitions for every entity from EspoCRM.
+ * On failure the previously loaded definitions stay active.
+ */
+async function reloadEntitySchemas() {
+  if (loadPromise) return loadPromise;
+
+  loadPromise = (async () => {
+    try {
+      const metadata = await espoRequest("/Metadata");
+      const entities = {};
+      for (const [name, defs] of Object.entries(metadata?.entityDefs || {})) {
+        if (isPlainObject(defs?.fields)) entities[name] = defs.fields;
+      }
+
+      schema = { entities, loadedAt: Date.now(), error: null };
+      console.log(
+        `[entitySchema] Loaded field definitions for ${Object.keys(entities).length} entities`,
+      );
+    } catch (error) {
+      console.error("[entitySchema] Metadata load failed:", error.message);
+      schema = { ...schema, error: error.message };
+    }
+    return schema;
+  })();
+
+  try {
+    return await loadPromise;
+  } finally {
+    loadPromise = null;
+  }
+}
+
+/**
+ * Field definitions for one entity (null when EspoCRM has none).
+ *
+ * @throws {Error} 502 when metadata has never loaded successfully
+ */
+async function getEntityFieldDefs(entityName) {
+  const stale =
+    !schema.loadedAt || Date.now() - schema.loadedAt > getSchemaTtlMs();
+  if (stale) await reloadEntitySchemas();
+
+  if (!schema.loadedAt) {
+    const err = new Error(
+      `EspoCRM metadata unavailable, writes can't be validated: ${schema.error}`,
+    );
+    err.status = 502;
+    throw err;
+  }
+
+  return schema.entities[entityName] || null;
+}
+
+function describeEntitySchemas() {
+  return {
+    loadedAt: schema.loadedAt ? new Date(schema.loadedAt).toISOString() : null,
+    error: schema.error,
+    entities: Object.keys(schema.entities).sort(),
+  };
+}
+
+/* ------------------------------ Attributes ------------------------------ */
+// Attribute names a field type accepts in a write body, with the value kind each expects
+function fieldAttributes(name, def) {
+  const cap = name.charAt(0).toUpperCase() + name.slice(1);
+
+  switch (def.type) {
+    case "link":
+    case "linkOne":
+    case "file":
+    case "image":
+      return { [`${name}Id`]: "id", [`${name}Name`]: "string" };
+    case "linkParent":
+      return {
+        [`${name}Id`]: "id",
+        [`${name}Type`]: "string",
+        [`${name}Name`]: "string",
+      };
+    case "linkMultiple":
+    case "attachmentMultiple":
+      return {
+        [`${name}Ids`]: "ids",
+        [`${name}Names`]: "object",
+        [`${name}Columns`]: "object",
+      };
+    case "currency":
+      return { [name]: "value", [`${name}Currency`]: "string" };
+    case "email":
+    case "phone":
+      return { [name]: "value", [`${name}Data`]: "array" };
+    case "personName":
+      return {
+        [`salutation${cap}`]: "string",
+        [`first${cap}`]: "string",
+        [`middle${cap}`]: "string",
+        [`last${cap}`]: "string",
+      };
+    case "address":
+      return Object.fromEntries(
+        ["Street", "City", "State", "Country", "PostalCode"].map((part) => [
+          `${name}${part}`,
+          "string",
+        ]),
+      );
+    default:
+      return { [name]: "value" };
+  }
+}
+
+// attribute => { field, def, kind }
+function buildAttributeMap(fieldDefs) {
+  const map = new Map();
+  for (const [field, def] of Object.entries(fieldDefs)) {
+    if (!isPlainObject(def)) continue;
+    for (const [attribute, kind] of Object.entries(fieldAttributes(field, def))) {
+      map.set(attribute, { field, def, kind });
+    }
+  }
+  return map;
+}
+
+// The attribute that carries a required field's value (collection => collectionId)
+function requiredAttribute(field, def) {
+  const attributes = Object.keys(fieldAttributes(field, def));
+  return (
+    attributes.find(
+      (a) => a === field || a === `${field}Id` || a === `${field}Ids`,
+    ) || attributes[0]
+  );
+}
+
+function closestAttribute(attribute, attributes) {
+  const wanted = attribute.toLowerCase();
+  let best = null;
+  let bestDistance = 3;
+  for (const candidate of attributes) {
+    const distance = editDistance(wanted, candidate.toLowerCase(), 2);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/* ------------------------------ Value checks ------------------------------ */
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/;
+const STRING_TYPES = new Set([
+  "varchar",
+  "text",
+  "wysiwyg",
+  "url",
+  "enum",
+  "colorpicker",
+  "barcode",
+]);
+const LIST_TYPES = new Set(["multiEnum", "array", "checklist", "urlMultiple"]);
+const OPTION_LIST_TYPES = new Set(["multiEnum", "checklist"]);
+
+function isEmpty(value) {
+  return (
+    value === null ||
+    value === undefined ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function options(def) {
+  return Array.isArray(def.options) && def.options.length > 0 ? def.options : null;
+}
+
+function typeError(expected, message) {
+  return { code: "invalid_type", message, expected };
+}
+
+// Problem with one attribute value, or null
+function checkValue(value, { field, def, kind }) {
+  if (value === null) return null;
+
+  if (kind === "id" || kind === "string") {
+    return typeof value === "string" ? null : typeError("string", "must be a string");
+  }
+  if (kind === "ids") {
+    return Array.isArray(value) && value.every((v) => typeof v === "string")
+      ? null
+      : typeError("string[]", "must be an array of ids");
+  }
+  if (kind === "object") {
+    return isPlainObject(value) ? null : typeError("object", "must be an object");
+  }
+  if (kind === "array") {
+    return Array.isArray(value) ? null : typeError("array", "must be an array");
+  }
+
+  const type = def.type;
+
+  if (STRING_TYPES.has(type) || type === "email" || type === "phone") {
+    if (typeof value !== "string") return typeError("string", "must be a string");
+
+    if (type === "enum" && options(def) && !options(def).includes(value)) {
+      return {
+        code: "invalid_option",
+        message: `"${value}" is not an option of ${field}`,
+        allowed: options(def),
+      };
+    }
+    if (Number.isFinite(def.maxLength) && value.length > def.maxLength) {
+      return {
+        code: "too_long",
+        message: `must be at most ${def.maxLength} characters`,
+        maxLength: def.maxLength,
+      };
+    }
+    return null;
+  }
+
+  if (LIST_TYPES.has(type)) {
+    if (!Array.isArray(value) || !value.every((v) => typeof v === "string")) {
+      return typeError("string[]", "must be an array of strings");
+    }
+    const allowed = OPTION_LIST_TYPES.has(type) ? options(def) : null;
+    const invalid = allowed ? value.filter((v) => !allowed.includes(v)) : [];
+    if (invalid.length > 0) {
+      return {
+        code: "invalid_option",
+        message: `${invalid.map((v) => `"${v}"`).join(", ")} not in the options of ${field}`,
+        allowed,
+      };
+    }
+    return null;
+  }
+
+  if (type === "bool") {
+    return typeof value === "boolean"
+      ? null
+      : typeError("boolean", "must be true or false");
+  }
+
+  if (type === "int" || type === "float" || type === "currency") {
+    if (type === "int" && !Number.isInteger(value)) {
+      return typeError("integer", "must be an integer");
+    }
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return typeError("number", "must be a number");
+    }
+    if (Number.isFinite(def.min) && value < def.min) {
+      return { code: "out_of_range", message: `must be at least ${def.min}`, min: def.min };
+    }
+    if (Number.isFinite(def.max) && value > def.max) {
+      return { code: "out_of_range", message: `must be at most ${def.max}`, max: def.max };
+    }
+    return null;
+  }
+
+  if (type === "date") {
+    return typeof value === "string" && DATE_RE.test(value)
+      ? null
+      : typeError("date", "must be a date (YYYY-MM-DD)");
+  }
+
+  if (type === "datetime" || type === "datetimeOptional") {
+    const ok =
+      typeof value === "string" &&
+      (DATETIME_RE.test(value) ||
+        (type === "datetimeOptional" && DATE_RE.test(value)));
+    return ok
+      ? null
+      : typeError("datetime", "must be a datetime (YYYY-MM-DD HH:mm:ss)");
+  }
+
+  if (type === "jsonObject") {
+    return isPlainObject(value) ? null : typeError("object", "must be an object");
+  }
+  if (type === "jsonArray") {
+    return Array.isArray(value) ? null : typeError("array", "must be an array");
+  }
+
+  return null;
+}
+
+/**
+ * Check a write body against the entity's field definitions.
+ *
+ * @param {Object} fieldDefs - From getEntityFieldDefs
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {"create"|"update"} [options.mode="create"]
+ * @returns {Array<{field: string, code: string, message: string}>} Empty when valid
+ */
+function validateWritePayload(fieldDefs, body, { mode = "create" } = {}) {
+  if (!isPlainObject(body)) {
+    return [{ field: null, ...typeError("object", "body must be a JSON object") }];
+  }
+  if (!fieldDefs) return [];
+
+  const attributes = buildAttributeMap(fieldDefs);
+  const errors = [];
+
+  for (const [attribute, value] of Object.entries(body)) {
+    if (attribute === "id") continue;
+
+    const target = attributes.get(attribute);
+    if (!target) {
+      const suggestion = closestAttribute(attribute, attributes.keys());
+      errors.push({
+        field: attribute,
+        code: "unknown_field",
+        message: suggestion
+          ? `unknown field (did you mean "${suggestion}"?)`
+          : "unknown field",
+        ...(suggestion && { suggestion }),
+      });
+      continue;
+    }
+
+    if (target.def.readOnly === true) {
+      errors.push({
+        field: attribute,
+        code: "read_only",
+        message: "field is read-only",
+      });
+      continue;
+    }
+
+    const carriesRequired =
+      target.def.required === true &&
+      requiredAttribute(target.field, target.def) === attribute;
+    if (carriesRequired && isEmpty(value)) {
+      errors.push({ field: attribute, code: "required", message: "field is required" });
+      continue;
+    }
+
+    const problem = checkValue(value, target);
+    if (problem) errors.push({ field: attribute, ...problem });
+  }
+
+  if (mode === "create") {
+    for (const [field, def] of Object.entries(fieldDefs)) {
+      if (!isPlainObject(def) || def.required !== true || def.readOnly) continue;
+
+      const attribute = requiredAttribute(field, def);
+      if (!(attribute in body) && def.default === undefined) {
+        errors.push({ field: attribute, code: "required", message: "field is required" });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/* ------------------------------ JSON Schema ------------------------------ */
+// JSON Schema for one attribute value (used by the OpenAPI document)
+function attributeJsonSchema({ def, kind }) {
+  if (kind === "id" || kind === "string") return { type: "string" };
+  if (kind === "ids") return { type: "array", items: { type: "string" } };
+  if (kind === "object") return { type: "object" };
+  if (kind === "array") return { type: "array" };
+
+  const type = def.type;
+  const schema = {};
+
+  if (STRING_TYPES.has(type) || type === "email" || type === "phone") {
+    schema.type = "string";
+    if (type === "enum" && options(def)) schema.enum = options(def);
+    if (Number.isFinite(def.maxLength)) schema.maxLength = def.maxLength;
+  } else if (LIST_TYPES.has(type)) {
+    const allowed = OPTION_LIST_TYPES.has(type) ? options(def) : null;
+    schema.type = "array";
+    schema.items = allowed ? { type: "string", enum: allowed } : { type: "string" };
+  } else if (type === "bool") {
+    schema.type = "boolean";
+  } else if (type === "int" || type === "float" || type === "currency") {
+    schema.type = type === "int" ? "integer" : "number";
+    if (Number.isFinite(def.min)) schema.minimum = def.min;
+    if (Number.isFinite(def.max)) schema.maximum = def.max;
+  } else if (type === "date") {
+    schema.type = "string";
+    schema.format = "date";
+  } else if (type === "datetime" || type === "datetimeOptional") {
+    schema.type = "string";
+    schema.examples = ["2024-05-01 10:00:00"];
+  } else if (type === "jsonObject") {
+    schema.type = "object";
+  } else if (type === "jsonArray") {
+    schema.type = "array";
+  }
+
+  if (type) schema["x-espo-type"] = type;
+  return schema;
+}
+
+/**
+ * JSON Schema for an entity's records built from its field definitions.
+ *
+ * @param {Object} fieldDefs - From getEntityFieldDefs
+ * @param {Object} [options]
+ * @param {"read"|"create"|"update"} [options.mode="read"] - Write modes drop
+ *   read-only attributes; "create" also lists required ones
+ * @param {Function} [options.include] - (attribute) => boolean, e.g. the public field policy
+ */
+function fieldDefsToJsonSchema(
+  fieldDefs,
+  { mode = "read", include = () => true } = {},
+) {
+  const properties = { id: { type: "string", readOnly: true } };
+  const required = [];
+
+  for (const [attribute, target] of buildAttributeMap(fieldDefs || {})) {
+    if (!include(attribute)) continue;
+    if (mode !== "read" && target.def.readOnly === true) continue;
+
+    const schema = attributeJsonSchema(target);
+    if (target.def.readOnly === true) schema.readOnly = true;
+    properties[attribute] = schema;
+
+    const requiredHere =
+      mode === "create" &&
+      target.def.required === true &&
+      target.def.default === undefined &&
+      requiredAttribute(target.field, target.def) === attribute;
+    if (requiredHere) required.push(attribute);
+  }
+
+  if (mode !== "read") delete properties.id;
+  return {
+    type: "object",
+    properties,
+    ...(required.length > 0 && { required }),
+  };
+}
+
+/**
+ * 422 error carrying the structured field errors (see validateWritePayload)
+ */
+function validationError(entityName, errors) {
+  const err = new Error(`Validation failed for ${entityName}`);
+  err.status = 422;
+  err.errors = errors;
+  return err;
+}
+
+module.exports = {
+  isSchemaValidationEnabled,
+  reloadEntitySchemas,
+  getEntityFieldDefs,
+  describeEntitySchemas,
+  validateWritePayload,
+  validationError,
+  fieldDefsToJsonSchema,
+};
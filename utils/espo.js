@@ -18,6 +18,27 @@ function chunk(arr, size) {
   return out;
 }
 
+// Fetch records by id in chunks (one "in" query per chunk), returns id => record
+async function fetchByIds(entityType, ids, opts = {}) {
+  const { select, chunkSize = 80 } = opts;
+  const byId = Object.create(null);
+
+  // Process in chunks to avoid URL length limits
+  for (const idsChunk of chunk(ids, chunkSize)) {
+    const { list = [] } = await espoList(entityType, {
+      maxSize: idsChunk.length,
+      ...(select ? { select } : {}),
+      where: [{ type: "in", attribute: "id", value: idsChunk }],
+    });
+
+    for (const record of list) {
+      byId[record.id] = record;
+    }
+  }
+
+  return byId;
+}
+
 // MAIN: Bulk attach collections to products
 async function attachCollections(products, opts = {}) {
   const {
@@ -35,21 +56,7 @@ async function attachCollections(products, opts = {}) {
     return products.map((p) => ({ ...p, [targetField]: null }));
   }
 
-  const byId = Object.create(null);
-
-  // Process in chunks to avoid URL length limits
-  for (const idsChunk of chunk(ids, chunkSize)) {
-    const { list = [] } = await espoList(collectionEntity, {
-      maxSize: idsChunk.length,
-      select,
-      where: [{ type: "in", attribute: "id", value: idsChunk }],
-    });
-
-    // Build lookup map
-    for (const c of list) {
-      byId[c.id] = c;
-    }
-  }
+  const byId = await fetchByIds(collectionEntity, ids, { select, chunkSize });
 
   // Attach collections to products
   return products.map((p) => ({
@@ -106,6 +113,7 @@ async function attachRelatedEntities(products, entityConfigs) {
 
 module.exports = {
   espoList,
+  fetchByIds,
   attachCollections,
   attachRelatedEntities,
   chunk,
@@ -0,0 +1,100 @@
+/**
+ * In-process event bus behind GET /api/events (Server-Sent Events)
+ *
+ * Events are published by the generic controller (admin writes) and by
+ * fetchAllRecords refreshes:
+ *
+ *   record.created / record.updated / record.deleted  { entity, route, id, slug, source }
+ *   cache.refreshed                                     { entity, route, refreshType, total, changed, deleted }
+ *
+ * Each event gets an id "<streamId>.<seq>" and is kept in a bounded ring
+ * buffer (SSE_BUFFER_SIZE) so reconnecting clients can resume from their
+ * Last-Event-ID. An id from another instance or process, or one that has
+ * already left the buffer, can't be resumed; getEventsSince() returns null
+ * and the stream tells the client to re-sync.
+ *
+ * `public: false` events (records outside the entity's `where`, private
+ * entities) are only delivered to admin subscribers.
+ */
+
+const { randomBytes } = require("crypto");
+const { cleanStr } = require("./text");
+
+function getBufferSize() {
+  const n = parseInt(cleanStr(process.env.SSE_BUFFER_SIZE), 10);
+  return Number.isFinite(n) && n > 0 ? n : 500;
+}
+
+const streamId = randomBytes(4).toString("hex");
+let seq = 0;
+const buffer = [];
+const listeners = new Set();
+
+/**
+ * @param {string} type - e.g. "record.updated"
+ * @param {Object} data - Event payload (sent as JSON)
+ * @param {Object} [options]
+ * @param {boolean} [options.isPublic=true] - Deliver to non-admin subscribers
+ * @returns {Object} The stored event
+ */
+function publishEvent(type, data, { isPublic = true } = {}) {
+  seq += 1;
+  const event = {
+    id: `${streamId}.${seq}`,
+    seq,
+    type,
+    data: { ...data, at: new Date().toISOString() },
+    isPublic,
+  };
+
+  buffer.push(event);
+  const overflow = buffer.length - getBufferSize();
+  if (overflow > 0) buffer.splice(0, overflow);
+
+  for (const listener of listeners) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.warn(`[eventStream] listener failed for ${type}:`, error.message);
+    }
+  }
+
+  return event;
+}
+
+/**
+ * Buffered events after a Last-Event-ID, in order.
+ * Null when the id can't be resumed (other stream, or older than the buffer).
+ */
+function getEventsSince(lastEventId) {
+  const [id, rawSeq] = cleanStr(lastEventId).split(".");
+  const lastSeq = Number(rawSeq);
+  if (id !== streamId || !Number.isInteger(lastSeq) || lastSeq > seq) {
+    return null;
+  }
+
+  const oldestSeq = buffer.length > 0 ? buffer[0].seq : seq + 1;
+  if (lastSeq < oldestSeq - 1) return null;
+
+  return buffer.filter((event) => event.seq > lastSeq);
+}
+
+/**
+ * @param {Function} listener - Called with every published event
+ * @returns {Function} unsubscribe
+ */
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function getSubscriberCount() {
+  return listeners.size;
+}
+
+module.exports = {
+  publishEvent,
+  getEventsSince,
+  subscribe,
+  getSubscriberCount,
+};
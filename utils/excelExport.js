@@ -0,0 +1,52 @@
+/**
+ * ExcelJS workbook builder shared by the admin chat export and
+ * /:entity/compare?format=xlsx
+ *
+ * A sheet is { name, columns: [header, ...], rows: [...] }; rows are objects
+ * keyed by header or arrays in column order. The header row is bold, frozen
+ * and gets an auto filter.
+ */
+
+const ExcelJS = require("exceljs");
+
+const XLSX_MIME =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+/**
+ * @param {Object} options
+ * @param {Array<Object>} options.sheets
+ * @returns {Promise<Buffer>} The .xlsx file
+ */
+async function buildXlsxBuffer({ sheets }) {
+  const wb = new ExcelJS.Workbook();
+  wb.created = new Date();
+
+  for (const sh of sheets || []) {
+    const ws = wb.addWorksheet(sh.name || "Sheet");
+    ws.columns = (sh.columns || []).map((c) => ({
+      header: c,
+      key: c,
+      width: Math.min(70, Math.max(12, String(c).length + 6)),
+    }));
+
+    for (const row of sh.rows || []) ws.addRow(row);
+
+    ws.getRow(1).font = { bold: true };
+    ws.views = [{ state: "frozen", ySplit: 1 }];
+
+    // nicer filters
+    try {
+      ws.autoFilter = {
+        from: { row: 1, column: 1 },
+        to: { row: 1, column: (sh.columns || []).length || 1 },
+      };
+    } catch {
+      // Ignore autoFilter errors
+    }
+  }
+
+  const arr = await wb.xlsx.writeBuffer();
+  return Buffer.from(arr);
+}
+
+module.exports = { XLSX_MIME, buildXlsxBuffer };
@@ -0,0 +1,147 @@
+/**
+ * Facet counting over cached entity lists
+ *
+ * Drill-down semantics: each facet is counted over the records matching every
+ * applied filter EXCEPT the filters on that facet's own field, so selecting
+ * "navy" still shows the counts for the other colors.
+ */
+
+const { matchesFilters } = require("./filterQuery");
+const { cleanStr, normText, badRequest } = require("./text");
+
+/**
+ * Parse a bucket spec for a numeric facet.
+ *   "50"              => fixed-width buckets of 50
+ *   "0,100,150,200"   => explicit edges
+ */
+function parseBucketSpec(field, raw) {
+  const parts = cleanStr(raw)
+    .split(",")
+    .map((x) => cleanStr(x))
+    .filter(Boolean);
+
+  const nums = parts.map(Number);
+  if (nums.length === 0 || nums.some((n) => !Number.isFinite(n))) {
+    throw badRequest(`Invalid buckets for "${field}": expected a width or comma-separated edges`);
+  }
+
+  if (nums.length === 1) {
+    if (nums[0] <= 0) {
+      throw badRequest(`Bucket width for "${field}" must be greater than 0`);
+    }
+    return { width: nums[0] };
+  }
+
+  return { edges: Array.from(new Set(nums)).sort((a, b) => a - b) };
+}
+
+function bucketFor(value, spec) {
+  if (spec.width) {
+    const from = Math.floor(value / spec.width) * spec.width;
+    return { from, to: from + spec.width };
+  }
+
+  const { edges } = spec;
+  if (value < edges[0]) return { from: null, to: edges[0] };
+  for (let i = 0; i < edges.length - 1; i++) {
+    if (value >= edges[i] && value < edges[i + 1]) {
+      return { from: edges[i], to: edges[i + 1] };
+    }
+  }
+  return { from: edges[edges.length - 1], to: null };
+}
+
+function bucketKey({ from, to }) {
+  if (from === null) return `<${to}`;
+  if (to === null) return `${from}+`;
+  return `${from}-${to}`;
+}
+
+function countValues(records, field, type) {
+  const counts = new Map();
+
+  for (const record of records) {
+    const raw = record?.[field];
+    if (raw === null || raw === undefined) continue;
+
+    // Multi-enum arrays are counted per element (once per record)
+    const items = Array.isArray(raw) ? raw : [raw];
+    const seen = new Set();
+
+    for (const item of items) {
+      const display = type === "bool" ? String(!!item) : cleanStr(item);
+      if (!display || display === "N/A") continue;
+
+      const key = normText(display);
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const entry = counts.get(key);
+      if (entry) entry.count += 1;
+      else counts.set(key, { value: display, count: 1 });
+    }
+  }
+
+  return Array.from(counts.values()).sort(
+    (a, b) =>
+      b.count - a.count ||
+      a.value.localeCompare(b.value, undefined, {
+        numeric: true,
+        sensitivity: "base",
+      }),
+  );
+}
+
+function countBuckets(records, field, spec) {
+  const counts = new Map();
+
+  for (const record of records) {
+    const n = Number(record?.[field]);
+    if (record?.[field] === null || record?.[field] === "" || !Number.isFinite(n)) {
+      continue;
+    }
+
+    const bucket = bucketFor(n, spec);
+    const key = bucketKey(bucket);
+    const entry = counts.get(key);
+    if (entry) entry.count += 1;
+    else counts.set(key, { key, ...bucket, count: 1 });
+  }
+
+  return Array.from(counts.values()).sort(
+    (a, b) => (a.from ?? -Infinity) - (b.from ?? -Infinity),
+  );
+}
+
+/**
+ * Compute drill-down facets.
+ *
+ * @param {Array<Object>} records - Full cached list (already restricted to public records)
+ * @param {Array<Object>} clauses - Parsed filters (see parseFilterQuery)
+ * @param {Array<{field: string, type: string, buckets?: Object}>} facetSpecs
+ * @returns {{ total: number, facets: Object }}
+ */
+function computeFacets(records, clauses, facetSpecs) {
+  const list = Array.isArray(records) ? records : [];
+  const matching = list.filter((record) => matchesFilters(record, clauses));
+
+  const facets = {};
+  for (const { field, type, buckets } of facetSpecs) {
+    const otherClauses = clauses.filter((c) => c.field !== field);
+    const base =
+      otherClauses.length === clauses.length
+        ? matching
+        : list.filter((record) => matchesFilters(record, otherClauses));
+
+    facets[field] = buckets
+      ? { type: "range", buckets: countBuckets(base, field, buckets) }
+      : { type, values: countValues(base, field, type) };
+  }
+
+  return { total: matching.length, facets };
+}
+
+module.exports = {
+  parseBucketSpec,
+  computeFacets,
+};
@@ -0,0 +1,145 @@
+/**
+ * Public field policy for entity responses
+ *
+ * Decides which attributes a public (non-admin) response may contain, from the
+ * entity config (see utils/entityConfig):
+ *   publicFields  allowlist (when set, anything else is dropped)
+ *   hiddenFields  denylist (defaults.hiddenFields + the entity's own)
+ *
+ * Cloudinary variants (image1CloudUrlWeb, ...) follow their base image field.
+ * Populated relations are redacted with the related entity's policy, and a
+ * relation is dropped entirely when its own field is not public.
+ */
+
+const { getEntityConfig } = require("./entityConfig");
+const { CLOUDINARY_TRANSFORMS } = require("./cloudinary");
+const { badRequest } = require("./text");
+
+// Suffixes applyCloudinaryVariants adds to an image field
+const VARIANT_SUFFIXES = [
+  "Base",
+  ...Object.keys(CLOUDINARY_TRANSFORMS).map(
+    (variant) => variant.charAt(0).toUpperCase() + variant.slice(1),
+  ),
+];
+
+// entityName => { allowed: Set|null, hidden: Set, imageFields: Array }
+// (the entity config is loaded once, so policies never change at runtime)
+const policies = new Map();
+
+function getFieldPolicy(entityName) {
+  if (!policies.has(entityName)) {
+    const { publicFields, hiddenFields, imageFields } = getEntityConfig(entityName);
+    policies.set(entityName, {
+      allowed: publicFields ? new Set(["id", ...publicFields]) : null,
+      hidden: new Set(hiddenFields),
+      imageFields,
+    });
+  }
+  return policies.get(entityName);
+}
+
+// image1CloudUrlWeb => image1CloudUrl (when image1CloudUrl is an image field)
+function baseFieldOf(field, imageFields) {
+  for (const imageField of imageFields) {
+    if (!field.startsWith(imageField)) continue;
+    if (VARIANT_SUFFIXES.includes(field.slice(imageField.length))) {
+      return imageField;
+    }
+  }
+  return field;
+}
+
+/**
+ * Whether `field` may appear in a public response for `entityName`
+ */
+function isFieldPublic(entityName, field) {
+  const { allowed, hidden, imageFields } = getFieldPolicy(entityName);
+  const base = baseFieldOf(field, imageFields);
+
+  if (hidden.has(field) || hidden.has(base)) return false;
+  if (allowed && !allowed.has(field) && !allowed.has(base)) return false;
+  return true;
+}
+
+/**
+ * Relations whose target field is public, at every level (hidden ones need not be fetched)
+ */
+function getPublicRelations(entityName, relations = []) {
+  return relations
+    .filter((relation) => isFieldPublic(entityName, relation.field))
+    .map((relation) =>
+      relation.populate
+        ? { ...relation, populate: getPublicRelations(relation.entity, relation.populate) }
+        : relation,
+    );
+}
+
+function redactRecord(record, entityName, relations, keep) {
+  if (!record || typeof record !== "object") return record;
+
+  const out = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (!keep.includes(key) && !isFieldPublic(entityName, key)) continue;
+
+    const relation = relations.find((r) => r.field === key);
+    out[key] =
+      relation && value && typeof value === "object"
+        ? redactRecord(value, relation.entity, relation.populate || [], [])
+        : value;
+  }
+  return out;
+}
+
+/**
+ * Strip non-public attributes from a record or list, including inside
+ * populated relations. Run it last, right before res.json.
+ *
+ * @param {Object|Array<Object>} records
+ * @param {string} entityName
+ * @param {Object} [options]
+ * @param {Array<string>} [options.keep] - Extra top-level keys to keep (e.g. searchScore)
+ * @param {Array<Object>} [options.relations] - Populated relation tree (default: the entity config's)
+ */
+function redactRecords(
+  records,
+  entityName,
+  { keep = [], relations = getEntityConfig(entityName).populate } = {},
+) {
+  const redact = (record) => redactRecord(record, entityName, relations, keep);
+  return Array.isArray(records) ? records.map(redact) : redact(records);
+}
+
+/**
+ * Throw 400 when a public request names non-public fields (select, orderBy, ...)
+ *
+ * @param {string} entityName
+ * @param {Array<string>} fields
+ * @param {string} [param] - Query parameter name for the error message
+ */
+function assertPublicFields(entityName, fields, param = "field") {
+  const denied = Array.from(new Set(fields.filter(Boolean))).filter(
+    (field) => !isFieldPublic(entityName, field),
+  );
+  if (denied.length > 0) {
+    throw badRequest(`${param} not available: ${denied.join(", ")}`);
+  }
+}
+
+/**
+ * Throw 400 when a requested relation tree (?populate=a.b) reaches a hidden field
+ */
+function assertPublicRelations(entityName, relations = [], param = "populate") {
+  assertPublicFields(entityName, relations.map((r) => r.field), param);
+  for (const relation of relations) {
+    assertPublicRelations(relation.entity, relation.populate || [], param);
+  }
+}
+
+module.exports = {
+  isFieldPublic,
+  getPublicRelations,
+  redactRecords,
+  assertPublicFields,
+  assertPublicRelations,
+};
@@ -0,0 +1,339 @@
+/**
+ * Structured filter query language for list endpoints
+ *
+ * Turns query params like:
+ *   filter[color]=navy
+ *   filter[gsm][gte]=120
+ *   filter[merchTags][any]=summer,linen
+ *   filter[name][contains]=twill
+ * into a list of validated clauses, and clauses into EspoCRM `where` items.
+ *
+ * Works with both the "simple" (flat `filter[a][b]` keys) and "extended"
+ * (nested `filter: { a: { b } }`) Express query parsers.
+ */
+
+const { cleanStr, normText, badRequest } = require("./text");
+
+function toMs(value) {
+  let iso = cleanStr(value);
+  if (!iso) return NaN;
+  iso = iso.includes("T") ? iso : iso.replace(" ", "T");
+  if (/^\d{4}-\d{2}-\d{2}T/.test(iso) && !/[zZ]$/.test(iso) && !/[+-]\d{2}:\d{2}$/.test(iso)) {
+    iso += "Z";
+  }
+  return Date.parse(iso);
+}
+
+// Operator => EspoCRM where type, per field type
+const OPERATORS = {
+  string: {
+    eq: "equals",
+    ne: "notEquals",
+    in: "in",
+    nin: "notIn",
+    contains: "contains",
+    startsWith: "startsWith",
+    endsWith: "endsWith",
+    isNull: "isNull",
+    notNull: "isNotNull",
+  },
+  number: {
+    eq: "equals",
+    ne: "notEquals",
+    gt: "greaterThan",
+    gte: "greaterThanOrEquals",
+    lt: "lessThan",
+    lte: "lessThanOrEquals",
+    in: "in",
+    nin: "notIn",
+    isNull: "isNull",
+    notNull: "isNotNull",
+  },
+  date: {
+    eq: "equals",
+    gt: "greaterThan",
+    gte: "greaterThanOrEquals",
+    lt: "lessThan",
+    lte: "lessThanOrEquals",
+    isNull: "isNull",
+    notNull: "isNotNull",
+  },
+  array: {
+    any: "arrayAnyOf",
+    all: "arrayAllOf",
+    none: "arrayNoneOf",
+    isNull: "arrayIsEmpty",
+    notNull: "arrayIsNotEmpty",
+  },
+  bool: {
+    eq: "equals",
+  },
+};
+
+// Operator used when the query omits one (filter[color]=navy)
+const DEFAULT_OPERATORS = {
+  string: "eq",
+  number: "eq",
+  date: "eq",
+  array: "any",
+  bool: "eq",
+};
+
+const LIST_OPERATORS = new Set(["in", "nin", "any", "all", "none"]);
+const VALUELESS_OPERATORS = new Set(["isNull", "notNull"]);
+
+/**
+ * Read a bracketed query param as { key: value } from either parser style,
+ * e.g. buckets[gsm]=50 or { buckets: { gsm: "50" } }
+ */
+function collectBracketParams(query = {}, name) {
+  const out = {};
+
+  const nested = query[name];
+  if (nested && typeof nested === "object" && !Array.isArray(nested)) {
+    Object.assign(out, nested);
+  }
+
+  const prefix = `${name}[`;
+  for (const [key, value] of Object.entries(query)) {
+    if (!key.startsWith(prefix)) continue;
+    const match = key.slice(name.length).match(/^\[([^\]]+)\]$/);
+    if (match) out[match[1]] = value;
+  }
+
+  return out;
+}
+
+/**
+ * Collect raw { field, op, value } entries from req.query
+ */
+function collectRawFilters(query = {}) {
+  const raw = [];
+
+  const push = (field, op, value) => {
+    const values = Array.isArray(value) ? value : [value];
+    for (const v of values) {
+      if (v !== null && typeof v === "object") {
+        throw badRequest(`Invalid filter value for "${field}"`);
+      }
+      raw.push({ field: cleanStr(field), op: cleanStr(op), value: v });
+    }
+  };
+
+  // Extended parser: { filter: { color: "navy", gsm: { gte: "120" } } }
+  const nested = query.filter;
+  if (nested && typeof nested === "object" && !Array.isArray(nested)) {
+    for (const [field, spec] of Object.entries(nested)) {
+      if (spec && typeof spec === "object" && !Array.isArray(spec)) {
+        for (const [op, value] of Object.entries(spec)) push(field, op, value);
+      } else {
+        push(field, "", spec);
+      }
+    }
+  } else if (nested !== undefined) {
+    throw badRequest("filter must be given as filter[field] or filter[field][operator]");
+  }
+
+  // Simple parser: { "filter[color]": "navy", "filter[gsm][gte]": "120" }
+  for (const [key, value] of Object.entries(query)) {
+    if (!key.startsWith("filter[")) continue;
+    const match = key.match(/^filter\[([^\]]+)\](?:\[([^\]]*)\])?$/);
+    if (!match) {
+      throw badRequest(`Malformed filter parameter "${key}"`);
+    }
+    push(match[1], match[2] || "", value);
+  }
+
+  return raw;
+}
+
+function splitList(value) {
+  return cleanStr(value)
+    .split(",")
+    .map((x) => cleanStr(x))
+    .filter(Boolean);
+}
+
+function coerceValue(type, value, field) {
+  if (type === "number") {
+    const n = Number(value);
+    if (cleanStr(value) === "" || !Number.isFinite(n)) {
+      throw badRequest(`Filter "${field}" expects a number, got "${value}"`);
+    }
+    return n;
+  }
+
+  if (type === "bool") {
+    const v = cleanStr(value).toLowerCase();
+    if (["true", "1", "yes"].includes(v)) return true;
+    if (["false", "0", "no"].includes(v)) return false;
+    throw badRequest(`Filter "${field}" expects true or false, got "${value}"`);
+  }
+
+  if (type === "date") {
+    const v = cleanStr(value);
+    if (!v || !Number.isFinite(Date.parse(v.includes("T") ? v : v.replace(" ", "T")))) {
+      throw badRequest(`Filter "${field}" expects a date, got "${value}"`);
+    }
+    return v;
+  }
+
+  const v = cleanStr(value);
+  if (!v) throw badRequest(`Filter "${field}" needs a value`);
+  return v;
+}
+
+/**
+ * Parse and validate filters from req.query against an entity's filterable fields.
+ *
+ * @param {Object} query - req.query
+ * @param {Object} fieldTypes - { fieldName: "string"|"number"|"date"|"array"|"bool" }
+ * @returns {Array<{field: string, op: string, type: string, value: *}>}
+ * @throws {Error} with status 400 on unknown fields/operators or bad values
+ */
+function parseFilterQuery(query, fieldTypes = {}) {
+  const clauses = [];
+
+  for (const { field, op: rawOp, value } of collectRawFilters(query)) {
+    const type = fieldTypes[field];
+    if (!type) {
+      const allowed = Object.keys(fieldTypes).sort().join(", ");
+      throw badRequest(
+        `Unknown filter field "${field}"${allowed ? ` (allowed: ${allowed})` : ""}`,
+      );
+    }
+
+    const op = rawOp || DEFAULT_OPERATORS[type];
+    const operators = OPERATORS[type] || {};
+    if (!operators[op]) {
+      throw badRequest(
+        `Unknown operator "${op}" for filter "${field}" (allowed: ${Object.keys(operators).join(", ")})`,
+      );
+    }
+
+    let parsed;
+    if (VALUELESS_OPERATORS.has(op)) {
+      parsed = null;
+    } else if (LIST_OPERATORS.has(op)) {
+      const items = splitList(value);
+      if (items.length === 0) {
+        throw badRequest(`Filter "${field}" needs at least one value`);
+      }
+      parsed = items.map((item) => coerceValue(type, item, field));
+    } else {
+      parsed = coerceValue(type, value, field);
+    }
+
+    clauses.push({ field, op, type, value: parsed });
+  }
+
+  return clauses;
+}
+
+/**
+ * Translate parsed clauses into EspoCRM `where` items
+ */
+function toEspoWhere(clauses = []) {
+  return clauses.map(({ field, op, type, value }) => {
+    if (type === "bool") {
+      return { type: value ? "isTrue" : "isFalse", attribute: field };
+    }
+
+    const where = { type: OPERATORS[type][op], attribute: field };
+    if (value !== null) where.value = value;
+    return where;
+  });
+}
+
+/* ------------------------------ In-memory matching ------------------------------ */
+function compareTyped(type, left, right) {
+  if (type === "number") return Number(left) - Number(right);
+  if (type === "date") return toMs(left) - toMs(right);
+  return normText(left).localeCompare(normText(right));
+}
+
+function isEmptyValue(v) {
+  if (v === null || v === undefined) return true;
+  if (Array.isArray(v)) return v.length === 0;
+  return cleanStr(v) === "";
+}
+
+function matchesClause(record, { field, op, type, value }) {
+  const actual = record?.[field];
+
+  if (op === "isNull") return isEmptyValue(actual);
+  if (op === "notNull") return !isEmptyValue(actual);
+
+  if (type === "array") {
+    const have = new Set((Array.isArray(actual) ? actual : [actual]).map(normText));
+    const want = value.map(normText);
+    if (op === "any") return want.some((v) => have.has(v));
+    if (op === "all") return want.every((v) => have.has(v));
+    if (op === "none") return !want.some((v) => have.has(v));
+    return false;
+  }
+
+  if (type === "bool") return !!actual === value;
+
+  if (isEmptyValue(actual)) return op === "ne" || op === "nin";
+  if (type === "number" && !Number.isFinite(Number(actual))) return false;
+  if (type === "date" && !Number.isFinite(toMs(actual))) return false;
+
+  const equal = (v) => compareTyped(type, actual, v) === 0;
+
+  switch (op) {
+    case "eq":
+      return equal(value);
+    case "ne":
+      return !equal(value);
+    case "in":
+      return value.some(equal);
+    case "nin":
+      return !value.some(equal);
+    case "gt":
+      return compareTyped(type, actual, value) > 0;
+    case "gte":
+      return compareTyped(type, actual, value) >= 0;
+    case "lt":
+      return compareTyped(type, actual, value) < 0;
+    case "lte":
+      return compareTyped(type, actual, value) <= 0;
+    case "contains":
+      return normText(actual).includes(normText(value));
+    case "startsWith":
+      return normText(actual).startsWith(normText(value));
+    case "endsWith":
+      return normText(actual).endsWith(normText(value));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate parsed clauses against a cached record (same semantics as toEspoWhere,
+ * but with loose, Unicode-normalized string comparison)
+ */
+function matchesFilters(record, clauses = []) {
+  return clauses.every((clause) => matchesClause(record, clause));
+}
+
+/**
+ * Short human-readable summary, e.g. "gsm gte 120 AND color any navy"
+ */
+function describeFilters(clauses = []) {
+  return clauses
+    .map(({ field, op, value }) => {
+      if (value === null) return `${field} ${op}`;
+      return `${field} ${op} ${Array.isArray(value) ? value.join(",") : value}`;
+    })
+    .join(" AND ");
+}
+
+module.exports = {
+  OPERATORS,
+  parseFilterQuery,
+  toEspoWhere,
+  matchesFilters,
+  describeFilters,
+  collectBracketParams,
+};
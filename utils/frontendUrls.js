@@ -0,0 +1,74 @@
+/**
+ * Frontend page URLs for EspoCRM records
+ *
+ * Built from the record's slug and a per-entity base URL:
+ *
+ *   CProduct     AGE_FRONTEND_URL    productslug
+ *   CCollection  AGE_COLLECTION_URL  collectionslug | slug | productslug
+ *   CBlog        AGE_BLOG_URL        slug | blogslug
+ *   CAuthor      AGE_AUTHOR_URL      slug | authorslug
+ *   CTopicPage   AGE_TOPIC_URL       slug
+ *   CLocation    AGE_LOCATION_URL    locationslug | slug
+ *
+ * Used for chat answer links and the XML sitemaps. An empty string means the
+ * entity has no base configured or the record has no slug.
+ */
+
+const { cleanStr, pickFirstNonEmpty } = require("./text");
+
+function joinUrl(base, slug) {
+  const b = cleanStr(base);
+  const s = cleanStr(slug);
+  if (!b || !s) return "";
+  const bb = b.endsWith("/") ? b.slice(0, -1) : b;
+  const ss = s.startsWith("/") ? s.slice(1) : s;
+  return `${bb}/${ss}`;
+}
+
+// entity => [base URL env var, slug fields (first non-empty wins)]
+const FRONTEND_PAGES = {
+  CProduct: ["AGE_FRONTEND_URL", ["productslug"]],
+  CCollection: ["AGE_COLLECTION_URL", ["collectionslug", "slug", "productslug"]],
+  CBlog: ["AGE_BLOG_URL", ["slug", "blogslug"]],
+  CAuthor: ["AGE_AUTHOR_URL", ["slug", "authorslug"]],
+  CTopicPage: ["AGE_TOPIC_URL", ["slug"]],
+  CLocation: ["AGE_LOCATION_URL", ["locationslug", "slug"]],
+};
+
+/**
+ * @param {string} entity - EspoCRM entity type
+ * @returns {string} The base URL for the entity's pages, or ""
+ */
+function getFrontendBaseUrl(entity) {
+  const page = FRONTEND_PAGES[cleanStr(entity)];
+  return page ? cleanStr(process.env[page[0]]) : "";
+}
+
+/**
+ * @param {string} entity - EspoCRM entity type
+ * @returns {Array<string>} Attributes a page URL is built from ([] if none)
+ */
+function getFrontendSlugFields(entity) {
+  const page = FRONTEND_PAGES[cleanStr(entity)];
+  return page ? page[1] : [];
+}
+
+/**
+ * @param {string} entity - EspoCRM entity type
+ * @param {Object} rec
+ * @returns {string} The record's frontend URL, or ""
+ */
+function getFrontendUrlForEntity(entity, rec) {
+  const base = getFrontendBaseUrl(entity);
+  const slug = pickFirstNonEmpty(
+    ...getFrontendSlugFields(entity).map((field) => rec?.[field]),
+  );
+  return base && slug ? joinUrl(base, slug) : "";
+}
+
+module.exports = {
+  joinUrl,
+  getFrontendBaseUrl,
+  getFrontendSlugFields,
+  getFrontendUrlForEntity,
+};
@@ -0,0 +1,165 @@
+/**
+ * Depth and complexity limits for /api/graphql
+ *
+ * Both are computed from the parsed query before anything is resolved:
+ *   depth       deepest field nesting (productList { collection { name } } = 3)
+ *   complexity  one point per field, with a list field's selection counted
+ *               once per item it can return (its `limit` argument, or the
+ *               default page size)
+ *
+ * Introspection fields (__schema, __type, ...) are not counted.
+ */
+
+const {
+  Kind,
+  getNamedType,
+  getNullableType,
+  isListType,
+  isObjectType,
+} = require("graphql");
+const { cleanStr, badRequest } = require("./text");
+
+function envInt(name, fallback) {
+  const n = parseInt(cleanStr(process.env[name]), 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function getGraphqlLimits() {
+  return {
+    maxDepth: envInt("GRAPHQL_MAX_DEPTH", 6),
+    maxComplexity: envInt("GRAPHQL_MAX_COMPLEXITY", 5000),
+  };
+}
+
+// Literal or variable value of an argument
+function argumentValue(node, variables) {
+  if (!node) return undefined;
+  if (node.kind === Kind.VARIABLE) return variables?.[node.name.value];
+  if (node.kind === Kind.INT || node.kind === Kind.FLOAT) {
+    return Number(node.value);
+  }
+  return undefined;
+}
+
+/**
+ * Measure the selected operation.
+ *
+ * @param {GraphQLSchema} schema
+ * @param {DocumentNode} document
+ * @param {Object} options
+ * @param {string} [options.operationName]
+ * @param {Object} [options.variables]
+ * @param {number} options.defaultListSize - Items assumed when `limit` is not given
+ * @param {number} options.maxListSize - Upper bound for `limit`
+ * @returns {{depth: number, complexity: number}}
+ */
+function analyzeQuery(
+  schema,
+  document,
+  { operationName, variables = {}, defaultListSize, maxListSize },
+) {
+  const fragments = {};
+  const operations = [];
+  for (const definition of document.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      fragments[definition.name.value] = definition;
+    } else if (definition.kind === Kind.OPERATION_DEFINITION) {
+      operations.push(definition);
+    }
+  }
+
+  const operation = operationName
+    ? operations.find((op) => op.name?.value === operationName)
+    : operations[0];
+  if (!operation) return { depth: 0, complexity: 0 };
+
+  const listSize = (fieldNode) => {
+    const limitArg = fieldNode.arguments?.find((a) => a.name.value === "limit");
+    const limit = argumentValue(limitArg?.value, variables);
+    return Number.isFinite(limit)
+      ? Math.min(Math.max(Math.floor(limit), 1), maxListSize)
+      : defaultListSize;
+  };
+
+  // => { depth, complexity } of a selection set on parentType
+  const measure = (selectionSet, parentType, visited) => {
+    let depth = 0;
+    let complexity = 0;
+
+    for (const selection of selectionSet?.selections || []) {
+      let result = null;
+
+      if (selection.kind === Kind.FIELD) {
+        if (selection.name.value.startsWith("__")) continue;
+
+        const fieldDef = isObjectType(parentType)
+          ? parentType.getFields()[selection.name.value]
+          : null;
+        if (!fieldDef) continue; // unknown fields are reported by validation
+
+        const child = measure(
+          selection.selectionSet,
+          getNamedType(fieldDef.type),
+          visited,
+        );
+        const multiplier = isListType(getNullableType(fieldDef.type))
+          ? listSize(selection)
+          : 1;
+        result = {
+          depth: child.depth + 1,
+          complexity: 1 + multiplier * child.complexity,
+        };
+      } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+        const typeName = selection.typeCondition?.name.value;
+        result = measure(
+          selection.selectionSet,
+          typeName ? schema.getType(typeName) : parentType,
+          visited,
+        );
+      } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+        const name = selection.name.value;
+        const fragment = fragments[name];
+        if (!fragment || visited.has(name)) continue; // cycles are a validation error
+
+        result = measure(
+          fragment.selectionSet,
+          schema.getType(fragment.typeCondition.name.value),
+          new Set([...visited, name]),
+        );
+      }
+
+      if (result) {
+        depth = Math.max(depth, result.depth);
+        complexity += result.complexity;
+      }
+    }
+
+    return { depth, complexity };
+  };
+
+  return measure(operation.selectionSet, schema.getQueryType(), new Set());
+}
+
+/**
+ * Throw 400 when the operation is deeper or more complex than allowed
+ */
+function assertQueryLimits(schema, document, options) {
+  const { maxDepth, maxComplexity } = getGraphqlLimits();
+  const { depth, complexity } = analyzeQuery(schema, document, options);
+
+  if (depth > maxDepth) {
+    throw badRequest(`Query depth ${depth} exceeds the limit of ${maxDepth}`);
+  }
+  if (complexity > maxComplexity) {
+    throw badRequest(
+      `Query complexity ${complexity} exceeds the limit of ${maxComplexity}`,
+    );
+  }
+  return { depth, complexity };
+}
+
+module.exports = {
+  getGraphqlLimits,
+  analyzeQuery,
+  assertQueryLimits,
+};
@@ -1,5 +1,10 @@
 /**
- * IndexNow Scheduler - Automatically fetch URLs from sitemap.xml and submit to IndexNow
+ * IndexNow Scheduler - Automatically collect sitemap URLs and submit to IndexNow
+ *
+ * URLs come from the backend's own sitemaps (registered with
+ * setIndexNowUrlSource, see controller/sitemapController.js), so submission
+ * no longer depends on the frontend's /sitemap.xml, which is itself built
+ * from this API. Set INDEXNOW_SITEMAP_URL to fetch an external sitemap instead.
  */
 
 const cron = require("node-cron");
@@ -67,8 +72,56 @@ async function fetchSitemapUrls(sitemapUrl) {
   }
 }
 
+let urlSource = null;
+
+/**
+ * Register the in-process URL source (the backend sitemaps)
+ * @param {Function} source - async () => Array of URLs
+ */
+function setIndexNowUrlSource(source) {
+  urlSource = source;
+}
+
+function getExternalSitemapUrl() {
+  return String(process.env.INDEXNOW_SITEMAP_URL || "").trim();
+}
+
+/**
+ * Where URLs are read from, for logs and /indexnow/health
+ * @returns {string|null}
+ */
+function describeIndexNowSource() {
+  const sitemapUrl = getExternalSitemapUrl();
+  if (sitemapUrl) return sitemapUrl;
+  return urlSource ? "backend sitemaps (/sitemap.xml)" : null;
+}
+
 /**
- * Fetch URLs from sitemap and submit to IndexNow
+ * Collect the URLs to submit: INDEXNOW_SITEMAP_URL when set, else the backend sitemaps
+ * @returns {Promise<Array>} Array of URLs
+ */
+async function collectIndexNowUrls() {
+  const sitemapUrl = getExternalSitemapUrl();
+  if (sitemapUrl) return fetchSitemapUrls(sitemapUrl);
+
+  if (!urlSource) return [];
+  try {
+    const urls = await urlSource();
+    console.log(
+      `[IndexNow Scheduler] Collected ${urls.length} URLs from the backend sitemaps`,
+    );
+    return urls;
+  } catch (error) {
+    console.error(
+      "[IndexNow Scheduler] Error collecting sitemap URLs:",
+      error.message,
+    );
+    return [];
+  }
+}
+
+/**
+ * Collect sitemap URLs and submit to IndexNow
  */
 async function runScheduledIndexNow() {
   if (process.env.INDEXNOW_SCHEDULER_ENABLED !== "true") {
@@ -80,16 +133,13 @@ async function runScheduledIndexNow() {
   console.log(`[IndexNow Scheduler] Starting at ${startTime.toISOString()}`);
 
   try {
-    // Get sitemap URL
-    const sitemapUrl = `${process.env.FRONTEND_URL}/sitemap.xml`;
-
-    if (!sitemapUrl) {
-      console.error("[IndexNow Scheduler] ❌ No sitemap URL configured");
+    if (!describeIndexNowSource()) {
+      console.error("[IndexNow Scheduler] ❌ No sitemap source configured");
       return;
     }
 
-    // Fetch all URLs from sitemap
-    const urls = await fetchSitemapUrls(sitemapUrl);
+    // Collect all URLs from the sitemaps
+    const urls = await collectIndexNowUrls();
 
     if (urls.length === 0) {
       console.log("[IndexNow Scheduler] ⚠️ No URLs found in sitemap");
@@ -146,10 +196,9 @@ function startIndexNowScheduler() {
   }
 
   const schedule = process.env.INDEXNOW_SCHEDULE || "0 2 * * *"; // Default: 2 AM daily
-  const sitemapUrl = `${process.env.FRONTEND_URL}/sitemap.xml`;
 
   console.log(`[IndexNow Scheduler] Starting with schedule: ${schedule}`);
-  console.log(`[IndexNow Scheduler] Sitemap URL: ${sitemapUrl}`);
+  console.log(`[IndexNow Scheduler] Sitemap source: ${describeIndexNowSource()}`);
   console.log(
     `[IndexNow Scheduler] Host: ${process.env.FRONTEND_URL.replace(/^https?:\/\//, "")}`,
   );
@@ -189,11 +238,11 @@ async function triggerManualIndexNow() {
  * Test sitemap parsing (for debugging)
  */
 async function testSitemapParsing() {
-  const sitemapUrl = `${process.env.FRONTEND_URL}/sitemap.xml`;
-
-  console.log(`[IndexNow Test] Testing sitemap parsing for: ${sitemapUrl}`);
+  console.log(
+    `[IndexNow Test] Testing sitemap URLs from: ${describeIndexNowSource()}`,
+  );
 
-  const urls = await fetchSitemapUrls(sitemapUrl);
+  const urls = await collectIndexNowUrls();
 
   console.log(`[IndexNow Test] Found ${urls.length} URLs:`);
   urls.slice(0, 10).forEach((url, index) => {
@@ -208,6 +257,8 @@ async function testSitemapParsing() {
 }
 
 module.exports = {
+  setIndexNowUrlSource,
+  describeIndexNowSource,
   startIndexNowScheduler,
   triggerManualIndexNow,
   runScheduledIndexNow,
@@ -0,0 +1,36 @@
+/**
+ * Simple concurrency limiter (no deps)
+ *
+ *   const limit = createLimiter(5);
+ *   await Promise.all(items.map((item) => limit(() => work(item))));
+ */
+function createLimiter(max) {
+  const limit = Number(max);
+  const n = Number.isFinite(limit) && limit > 0 ? Math.floor(limit) : 3;
+
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= n) return;
+    const job = queue.shift();
+    if (!job) return;
+
+    active++;
+    Promise.resolve()
+      .then(job.fn)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (fn) =>
+    new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+}
+
+module.exports = { createLimiter };
@@ -0,0 +1,642 @@
+/**
+ * OpenAPI 3.1 document for GET /api/openapi.json
+ *
+ * Built from the routers index.js actually mounts (see mountApi there): each
+ * mounted router's stack gives the methods and paths, so a route added to a
+ * router is listed without touching this file. Security follows the
+ * middleware on the mount or the route (requireAdminToken, requireCronSecret).
+ *
+ * Summaries, query parameters and bodies come from ROUTE_DOCS below; routes
+ * without an entry are still listed with a generic response. Entity record
+ * schemas are built from EspoCRM field metadata (utils/entitySchema) and, for
+ * public documents, the public field policy (utils/fieldPolicy).
+ */
+
+const { version: packageVersion } = require("../package.json");
+const {
+  getEntityFieldDefs,
+  fieldDefsToJsonSchema,
+} = require("./entitySchema");
+const { isFieldPublic } = require("./fieldPolicy");
+
+/* ------------------------------ Route docs ------------------------------ */
+const QUERY_PARAMS = {
+  page: { schema: { type: "integer", minimum: 1 }, description: "Page number" },
+  limit: {
+    schema: { type: "integer", minimum: 1 },
+    description: "Page size (clamped to PUBLIC_API_MAX_LIMIT)",
+  },
+  orderBy: { schema: { type: "string" }, description: "Sort field" },
+  order: { schema: { type: "string", enum: ["asc", "desc"] } },
+  select: {
+    schema: { type: "string" },
+    description: "Comma-separated attributes to return",
+  },
+  populate: {
+    schema: { type: "string" },
+    description: "true, false, or dotted relation paths (collection,product.collection)",
+  },
+  cursor: {
+    schema: { type: "string" },
+    description: "Keyset pagination cursor (empty or `start` for the first page)",
+  },
+  filter: {
+    style: "deepObject",
+    explode: true,
+    schema: { type: "object" },
+    description: "filter[field][op]=value (see the entity's filterFields)",
+  },
+  q: { schema: { type: "string" }, description: "Text typed so far" },
+  fields: {
+    schema: { type: "string" },
+    description: "Comma-separated fields to count values for",
+  },
+  buckets: {
+    style: "deepObject",
+    explode: true,
+    schema: { type: "object" },
+    description: "buckets[field]=width or comma-separated edges for numeric fields",
+  },
+  ids: { schema: { type: "string" }, description: "Comma-separated record IDs" },
+  since: {
+    schema: { type: "string" },
+    description: "Token from the previous /changes response, or a timestamp (omit for a full sync)",
+  },
+  include: {
+    schema: { type: "string", enum: ["meta"] },
+    description: "meta: section counts, titles and images, orphan tags and empty topic pages",
+  },
+  tags: { schema: { type: "string" }, description: "Comma-separated merch tags" },
+  mode: {
+    schema: { type: "string", enum: ["any", "all", "exclude"] },
+    description: "exclude: the first tag and none of the others",
+  },
+  facets: {
+    schema: { type: "string" },
+    description: "Comma-separated product fields to count values for",
+  },
+  dryRun: { schema: { type: "boolean" } },
+  format: { schema: { type: "string", enum: ["json", "xlsx"] } },
+  query: { schema: { type: "string" }, description: "GraphQL query document" },
+  variables: { schema: { type: "string" }, description: "JSON-encoded variables" },
+  operationName: { schema: { type: "string" } },
+  entity: {
+    schema: { type: "string" },
+    description: "Comma-separated routes or entity names to receive events for",
+  },
+  lastEventId: {
+    schema: { type: "string" },
+    description: "Resume after this event id (same as the Last-Event-ID header)",
+  },
+};
+
+const LIST_PARAMS = ["page", "limit", "orderBy", "order", "select", "populate"];
+
+// Entity routes, relative to the entity mount ("GET /:id" => /api/product/{id})
+const ENTITY_ROUTE_DOCS = {
+  "GET /": {
+    summary: "List records",
+    query: [...LIST_PARAMS, "cursor", "filter"],
+    response: "list",
+  },
+  "GET /search/:searchValue": {
+    summary: "Relevance-ranked search with synonyms and stop-words",
+    query: [...LIST_PARAMS, "cursor"],
+    response: "list",
+  },
+  "GET /suggest": {
+    summary: "Type-ahead suggestions served from memory",
+    query: ["q", "limit"],
+  },
+  "GET /facets": {
+    summary: "Value counts per field for drill-down filters",
+    query: ["fields", "filter", "buckets"],
+  },
+  "GET /fieldname/:fieldName/:fieldValue": {
+    summary: "Records whose field matches a value",
+    query: [...LIST_PARAMS, "cursor"],
+    response: "list",
+  },
+  "GET /fieldname/:fieldName": {
+    summary: "Unique values of a field",
+  },
+  "GET /batch": {
+    summary: "Several records by ID, in the requested order",
+    query: ["ids", "select", "populate"],
+    response: "list",
+  },
+  "POST /batch": {
+    summary: "Several records by ID (IDs in the body)",
+    query: ["select", "populate"],
+    body: {
+      type: "object",
+      required: ["ids"],
+      properties: { ids: { type: "array", items: { type: "string" } } },
+    },
+    response: "list",
+  },
+  "GET /compare": {
+    summary: "Comparison matrix: one row per attribute, one column per record (`format=xlsx` downloads it)",
+    query: ["ids", "format", "populate"],
+  },
+  "GET /changes": {
+    summary: "Records created or modified and IDs deleted since a change token",
+    query: ["since", "select", "populate"],
+    response: "list",
+  },
+  "GET /slug/:slug": {
+    summary: "Record by slug (404 with suggestions for near misses)",
+    query: ["select", "populate"],
+    response: "record",
+  },
+  "GET /:id/similar": {
+    summary: "Other public records ranked by weighted attribute overlap, with a `similarity` breakdown",
+    query: ["limit", "select", "populate"],
+    response: "list",
+  },
+  "GET /:id/related/:link": {
+    summary: "Records linked through a whitelisted EspoCRM link",
+    query: ["page", "limit", "orderBy", "order", "select"],
+  },
+  "GET /:id": {
+    summary: "Record by ID (version token in `version` and the ETag header)",
+    query: ["select", "populate"],
+    response: "record",
+  },
+  "POST /": {
+    summary: "Create a record",
+    body: "create",
+    response: "record",
+  },
+  "POST /bulk": {
+    summary: "Create / update / delete many records with per-item results",
+    query: ["dryRun"],
+    body: {
+      type: "object",
+      required: ["operations"],
+      properties: {
+        dryRun: { type: "boolean" },
+        operations: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["op"],
+            properties: {
+              op: { type: "string", enum: ["create", "update", "delete"] },
+              id: { type: "string" },
+              data: { type: "object" },
+            },
+          },
+        },
+      },
+    },
+  },
+  "PUT /:id": {
+    summary: "Update a record (If-Match / expectedModifiedAt for 409 on conflicts)",
+    headers: ["If-Match"],
+    body: "update",
+    response: "record",
+  },
+  "DELETE /:id": {
+    summary: "Delete a record (If-Match for 409 on conflicts)",
+    headers: ["If-Match"],
+  },
+};
+
+const messageBody = {
+  type: "object",
+  required: ["message"],
+  properties: { message: { type: "string" } },
+};
+
+// Other routes, relative to the API base ("POST /chat/message" => /api/chat/message)
+const ROUTE_DOCS = {
+  "GET /openapi.json": { summary: "This OpenAPI document" },
+  "GET /events": {
+    summary: "Server-Sent Events stream (text/event-stream) of record changes and cache refreshes",
+    query: ["entity", "lastEventId"],
+  },
+  "GET /graphql": {
+    summary: "Read-only GraphQL query (query, variables, operationName in the query string)",
+    query: ["query", "variables", "operationName"],
+  },
+  "POST /graphql": {
+    summary: "Read-only GraphQL query over the public entities",
+    body: {
+      type: "object",
+      required: ["query"],
+      properties: {
+        query: { type: "string" },
+        variables: { type: "object" },
+        operationName: { type: "string" },
+      },
+    },
+  },
+  "GET /chat/health": { summary: "Chat service health" },
+  "POST /chat/message": {
+    summary: "Send a message to the catalogue assistant",
+    body: {
+      ...messageBody,
+      properties: {
+        ...messageBody.properties,
+        mode: { type: "string" },
+        sessionId: { type: "string" },
+        context: { type: "object" },
+      },
+    },
+  },
+  "GET /admin-chat/health": { summary: "Admin chat health" },
+  "POST /admin-chat/message": {
+    summary: "Ask the admin audit assistant (may answer with an Excel file)",
+    body: messageBody,
+  },
+  "POST /auth/register": {
+    summary: "Register an account and send an OTP",
+    body: {
+      type: "object",
+      required: ["email"],
+      properties: {
+        email: { type: "string", format: "email" },
+        firstName: { type: "string" },
+        lastName: { type: "string" },
+        phoneNumber: { type: "string" },
+      },
+    },
+  },
+  "POST /auth/login": {
+    summary: "Send a login OTP",
+    body: {
+      type: "object",
+      required: ["email"],
+      properties: { email: { type: "string", format: "email" } },
+    },
+  },
+  "POST /auth/verify-otp": {
+    summary: "Verify an OTP",
+    body: {
+      type: "object",
+      required: ["email", "otp"],
+      properties: {
+        email: { type: "string", format: "email" },
+        otp: { type: "string" },
+      },
+    },
+  },
+  "GET /auth/health": { summary: "Auth service health" },
+  "GET /dynamicsection": {
+    summary: "All dynamic section names, or one section query with ?tags=",
+    query: [
+      "include",
+      "tags",
+      "mode",
+      ...LIST_PARAMS,
+      "filter",
+      "facets",
+      "buckets",
+    ],
+  },
+  "GET /dynamicsection/:merchtag": {
+    summary: "Topic pages and paginated products for one or more merch tags",
+    query: ["mode", ...LIST_PARAMS, "filter", "facets", "buckets"],
+  },
+  "POST /dynamicsection/preview": {
+    summary: "Validate a product rule and list the products it selects",
+    query: ["select"],
+    body: {
+      type: "object",
+      properties: {
+        rule: {
+          oneOf: [{ type: "object" }, { type: "string" }],
+          description: "{ all | any | not } groups of { field, op, value }",
+        },
+        tag: { type: "string" },
+        limit: { type: "integer", minimum: 1 },
+      },
+    },
+  },
+  "GET /indexnow/health": { summary: "IndexNow configuration status" },
+  "GET /indexnow/key": { summary: "IndexNow key details" },
+  "POST /indexnow/trigger": { summary: "Submit sitemap URLs to IndexNow now" },
+  "GET /indexnow/cron": { summary: "Scheduled IndexNow submission (Vercel cron)" },
+  "GET /indexnow/test-sitemap": { summary: "Parse the sitemap without submitting" },
+  "GET /cache/stats": { summary: "Cache statistics" },
+  "GET /cache/keys": { summary: "Cached keys" },
+  "DELETE /cache/all": { summary: "Clear the whole cache" },
+  "DELETE /cache/entity/:entityName": { summary: "Clear one entity's cache keys" },
+  "DELETE /cache/key": {
+    summary: "Delete one cache key",
+    body: {
+      type: "object",
+      required: ["key"],
+      properties: { key: { type: "string" } },
+    },
+  },
+  "GET /search-dictionary": { summary: "Active synonyms and stop-words" },
+  "POST /search-dictionary/reload": { summary: "Reload synonyms and stop-words" },
+  "GET /schema": { summary: "EspoCRM field metadata status" },
+  "POST /schema/reload": { summary: "Reload EspoCRM field metadata" },
+  "GET /schema/:entity": { summary: "Field definitions used to validate writes" },
+};
+
+/* ------------------------------ Route listing ------------------------------ */
+const SECURITY_MIDDLEWARE = {
+  requireAdminToken: "admin",
+  requireCronSecret: "cron",
+};
+
+function securityOf(handlers) {
+  for (const handler of handlers) {
+    const security = SECURITY_MIDDLEWARE[handler?.name];
+    if (security) return security;
+  }
+  return null;
+}
+
+function joinPath(base, path) {
+  if (!path || path === "/") return base || "/";
+  return `${base.replace(/\/$/, "")}${path}`;
+}
+
+/**
+ * Every route under the mounted routers
+ *
+ * @param {Array<{path: string, handlers: Array<Function>, entity?: string, tag?: string}>} mounts
+ * @returns {Array<{method: string, path: string, routePath: string, mount: Object, security: "admin"|"cron"|null}>}
+ */
+function listMountedRoutes(mounts) {
+  const routes = [];
+
+  for (const mount of mounts) {
+    const router = mount.handlers[mount.handlers.length - 1];
+    const mountSecurity = securityOf(mount.handlers.slice(0, -1));
+
+    for (const layer of router?.stack || []) {
+      if (!layer.route || typeof layer.route.path !== "string") continue;
+
+      const routeSecurity = securityOf(layer.route.stack.map((l) => l.handle));
+      for (const method of Object.keys(layer.route.methods)) {
+        if (method === "_all") continue;
+        routes.push({
+          method: method.toUpperCase(),
+          path: joinPath(mount.path, layer.route.path),
+          routePath: layer.route.path,
+          mount,
+          security: mountSecurity || routeSecurity,
+        });
+      }
+    }
+  }
+
+  return routes;
+}
+
+/* ------------------------------ Document ------------------------------ */
+const SECURITY_REQUIREMENTS = {
+  admin: [{ adminBearer: [] }, { adminTokenHeader: [] }],
+  cron: [{ cronSecret: [] }],
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+function jsonContent(schema) {
+  return { "application/json": { schema } };
+}
+
+function envelope(data) {
+  return {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      ...(data && { data }),
+    },
+    additionalProperties: true,
+  };
+}
+
+function docsFor(route, baseName) {
+  if (route.mount.entity) {
+    return ENTITY_ROUTE_DOCS[`${route.method} ${route.routePath}`] || null;
+  }
+  const relative = route.path.slice(`/${baseName}`.length) || "/";
+  return ROUTE_DOCS[`${route.method} ${relative}`] || null;
+}
+
+function buildOperation(route, docs, schemaNames) {
+  const pathParams = Array.from(route.path.matchAll(/:(\w+)/g), ([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: { type: "string" },
+  }));
+  const queryParams = (docs?.query || []).map((name) => ({
+    name,
+    in: "query",
+    ...QUERY_PARAMS[name],
+  }));
+  const headerParams = (docs?.headers || []).map((name) => ({
+    name,
+    in: "header",
+    schema: { type: "string" },
+    description: "Version token (ETag) from GET by ID",
+  }));
+
+  const names = schemaNames[route.mount.entity] || null;
+  const recordSchema = names ? ref(names.record) : { type: "object" };
+  const dataSchema =
+    docs?.response === "list"
+      ? { type: "array", items: recordSchema }
+      : docs?.response === "record"
+        ? recordSchema
+        : null;
+
+  let requestSchema = null;
+  if (docs?.body === "create" || docs?.body === "update") {
+    requestSchema = names ? ref(names[docs.body]) : { type: "object" };
+  } else if (docs?.body) {
+    requestSchema = docs.body;
+  }
+
+  const operation = {
+    tags: [route.mount.tag],
+    summary: docs?.summary || `${route.method} ${route.path}`,
+    ...(route.mount.entity && { "x-espo-entity": route.mount.entity }),
+    parameters: [...pathParams, ...queryParams, ...headerParams],
+    ...(requestSchema && {
+      requestBody: { required: true, content: jsonContent(requestSchema) },
+    }),
+    responses: {
+      200: { description: "OK", content: jsonContent(envelope(dataSchema)) },
+      ...(requestSchema && { 400: errorResponse("Invalid request") }),
+      ...(docs?.body === "create" || docs?.body === "update"
+        ? { 422: errorResponse("Body does not match the entity's fields") }
+        : {}),
+      ...(docs?.headers && {
+        409: errorResponse("Record changed since it was read"),
+      }),
+    },
+  };
+
+  if (route.security) {
+    operation.security = SECURITY_REQUIREMENTS[route.security];
+    operation.responses[401] = errorResponse("Missing or invalid token");
+  }
+  if (operation.parameters.length === 0) delete operation.parameters;
+
+  return operation;
+}
+
+function errorResponse(description) {
+  return { description, content: jsonContent(ref("Error")) };
+}
+
+// Record / create / update schemas for one entity from EspoCRM metadata
+async function buildEntitySchemas(entityName, { admin }) {
+  let fieldDefs = null;
+  let error = null;
+  try {
+    fieldDefs = await getEntityFieldDefs(entityName);
+  } catch (e) {
+    error = e.message;
+  }
+
+  if (!fieldDefs) {
+    const fallback = {
+      type: "object",
+      additionalProperties: true,
+      description: error
+        ? `EspoCRM metadata unavailable: ${error}`
+        : `No EspoCRM field metadata for ${entityName}`,
+    };
+    return { record: fallback, create: fallback, update: fallback };
+  }
+
+  // The public document describes no hidden field (nor its options or
+  // lengths), in read and write schemas alike
+  const include = admin ? () => true : (field) => isFieldPublic(entityName, field);
+  const update = fieldDefsToJsonSchema(fieldDefs, { mode: "update", include });
+  return {
+    record: fieldDefsToJsonSchema(fieldDefs, { mode: "read", include }),
+    create: fieldDefsToJsonSchema(fieldDefs, { mode: "create", include }),
+    update: {
+      ...update,
+      properties: {
+        ...update.properties,
+        expectedModifiedAt: {
+          type: "string",
+          description: "Version token from GET by ID; 409 when the record changed",
+        },
+      },
+    },
+  };
+}
+
+/**
+ * @param {Object} options
+ * @param {Array<Object>} options.mounts - Mounted routers from index.js
+ * @param {string} [options.baseName="api"]
+ * @param {boolean} [options.admin=false] - Include admin-only mounts (private
+ *   entities) and unredacted record / write schemas
+ */
+async function buildOpenApiDocument({ mounts, baseName = "api", admin = false }) {
+  const visibleMounts = mounts.filter(
+    (mount) => admin || !(mount.entity && securityOf(mount.handlers.slice(0, -1))),
+  );
+  const routes = listMountedRoutes(visibleMounts);
+
+  const schemas = {
+    Error: {
+      type: "object",
+      properties: {
+        success: { type: "boolean", const: false },
+        error: {},
+        errors: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              field: { type: "string" },
+              code: { type: "string" },
+              message: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+  };
+
+  // entityName => { record, create, update } component names
+  const schemaNames = {};
+  for (const mount of visibleMounts) {
+    if (!mount.entity || schemaNames[mount.entity]) continue;
+
+    const built = await buildEntitySchemas(mount.entity, { admin });
+    schemaNames[mount.entity] = {
+      record: mount.entity,
+      create: `${mount.entity}Create`,
+      update: `${mount.entity}Update`,
+    };
+    schemas[mount.entity] = built.record;
+    schemas[`${mount.entity}Create`] = built.create;
+    schemas[`${mount.entity}Update`] = built.update;
+  }
+
+  const paths = {};
+  for (const route of routes) {
+    const openApiPath = route.path.replace(/:(\w+)/g, "{$1}");
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][route.method.toLowerCase()] = buildOperation(
+      route,
+      docsFor(route, baseName),
+      schemaNames,
+    );
+  }
+
+  const tags = Array.from(new Set(visibleMounts.map((m) => m.tag))).map(
+    (name) => {
+      const mount = visibleMounts.find((m) => m.tag === name);
+      return mount.entity
+        ? { name, description: `EspoCRM entity ${mount.entity}` }
+        : { name };
+    },
+  );
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "EspoCRM Node.js Backend API",
+      version: packageVersion,
+      description:
+        "Generated from the mounted routes and EspoCRM field metadata." +
+        (admin ? "" : " Admin-only entities are listed for admin requests only."),
+    },
+    servers: [{ url: "/" }],
+    tags,
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        adminBearer: {
+          type: "http",
+          scheme: "bearer",
+          description: "ADMIN_API_TOKEN as a Bearer token",
+        },
+        adminTokenHeader: {
+          type: "apiKey",
+          in: "header",
+          name: "X-Admin-Token",
+          description: "ADMIN_API_TOKEN in the X-Admin-Token header",
+        },
+        cronSecret: {
+          type: "http",
+          scheme: "bearer",
+          description: "CRON_SECRET as a Bearer token (sent by Vercel cron)",
+        },
+      },
+    },
+  };
+}
+
+module.exports = {
+  listMountedRoutes,
+  buildOpenApiDocument,
+};
@@ -0,0 +1,131 @@
+/**
+ * ?populate= parsing for multi-level relation paths
+ *
+ *   ?populate=true   the entity's configured relations (entity config `populate`)
+ *   ?populate=false  nothing (also turns off populateByDefault)
+ *   ?populate=collection,product.collection,location
+ *                    exactly these dotted paths, resolved level by level
+ *
+ * Each segment must be a relation of the entity at that level: one listed
+ * inline under the parent relation's `populate`, or in that entity's own
+ * `populate` config. Paths deeper than POPULATE_MAX_DEPTH (default 3) are
+ * rejected with 400.
+ */
+
+const { getEntityConfig } = require("./entityConfig");
+const { cleanStr, badRequest } = require("./text");
+
+function getPopulateMaxDepth() {
+  const n = parseInt(cleanStr(process.env.POPULATE_MAX_DEPTH), 10);
+  return Number.isFinite(n) && n >= 1 ? Math.min(n, 10) : 3;
+}
+
+/**
+ * @param {*} value - req.query.populate
+ * @returns {{mode: "unset"|"default"|"none"|"paths", paths: Array<Array<string>>}}
+ */
+function parsePopulateParam(value) {
+  const raw = Array.isArray(value) ? value.join(",") : cleanStr(value);
+  const lower = raw.toLowerCase();
+
+  if (!raw) return { mode: "unset", paths: [] };
+  if (lower === "true" || lower === "1") return { mode: "default", paths: [] };
+  if (lower === "false" || lower === "0") return { mode: "none", paths: [] };
+
+  const seen = new Set();
+  const paths = [];
+  for (const part of raw.split(",")) {
+    const path = cleanStr(part);
+    if (!path || seen.has(path)) continue;
+    seen.add(path);
+
+    const segments = path.split(".").map(cleanStr);
+    if (segments.some((s) => !s)) {
+      throw badRequest(`Invalid populate path "${path}"`);
+    }
+    paths.push(segments);
+  }
+
+  return { mode: "paths", paths };
+}
+
+// Relation definition for `field` on `entityName`, inline definitions first
+function findRelation(entityName, field, inline = []) {
+  return (
+    inline.find((r) => r.field === field) ||
+    getEntityConfig(entityName).populate.find((r) => r.field === field) ||
+    null
+  );
+}
+
+/**
+ * Resolve dotted paths into a relation tree for populateRelatedDataBulk:
+ * [{ field, entity, idField, select?, images?, populate: [...] }]
+ *
+ * @param {string} entityName
+ * @param {Array<Array<string>>} paths - From parsePopulateParam
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth]
+ * @throws {Error} 400 on unknown relations or paths deeper than maxDepth
+ */
+function resolvePopulatePaths(
+  entityName,
+  paths,
+  { maxDepth = getPopulateMaxDepth() } = {},
+) {
+  const tree = [];
+
+  for (const segments of paths) {
+    const path = segments.join(".");
+    if (segments.length > maxDepth) {
+      throw badRequest(
+        `populate path "${path}" is deeper than ${maxDepth} levels`,
+      );
+    }
+
+    let level = tree;
+    let levelEntity = entityName;
+    let inline = [];
+
+    for (const field of segments) {
+      const relation = findRelation(levelEntity, field, inline);
+      if (!relation) {
+        const available = Array.from(
+          new Set(
+            [...inline, ...getEntityConfig(levelEntity).populate].map(
+              (r) => r.field,
+            ),
+          ),
+        );
+        throw badRequest(
+          `Unknown populate path "${path}": ${levelEntity} has no relation "${field}"` +
+            (available.length ? ` (available: ${available.join(", ")})` : ""),
+        );
+      }
+
+      let node = level.find((n) => n.field === field);
+      if (!node) {
+        const { populate: nested, ...definition } = relation;
+        node = { ...definition, populate: [], inline: nested || [] };
+        level.push(node);
+      }
+
+      level = node.populate;
+      levelEntity = node.entity;
+      inline = node.inline;
+    }
+  }
+
+  const strip = (nodes) =>
+    nodes.map(({ inline: _inline, populate, ...node }) => ({
+      ...node,
+      populate: strip(populate),
+    }));
+  return strip(tree);
+}
+
+module.exports = {
+  getPopulateMaxDepth,
+  parsePopulateParam,
+  resolvePopulatePaths,
+};
@@ -1,7 +1,4 @@
-function cleanStr(value) {
-  if (value === null || value === undefined) return "";
-  return String(value).trim();
-}
+const { cleanStr } = require("./text");
 
 function buildPrimaryRevalidateUrl() {
   const frontendUrl = cleanStr(process.env.FRONTEND_URL);
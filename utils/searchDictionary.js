@@ -0,0 +1,291 @@
+/**
+ * Search synonyms and stop-words
+ *
+ * Loaded from a JSON file (default: config/searchDictionary.json) or from an
+ * EspoCRM entity, and used to expand query terms before matching in the
+ * generic search route and the chat product scorer.
+ *
+ * JSON format:
+ *   {
+ *     "synonyms": [["twill", "denim"], ["polyester", "poly"]],  // two-way groups
+ *     "oneWay": { "tee": ["t-shirt", "jersey"] },              // term => extra terms
+ *     "stopWords": ["the", "fabric"]
+ *   }
+ *
+ * EspoCRM entity (SEARCH_DICTIONARY_ENTITY): one record per group with
+ *   type:  "synonym" | "oneWay" | "stopWord"
+ *   name:  the term (oneWay source / stop-word)
+ *   terms: array or comma-separated string of equivalent terms
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { espoRequest } = require("../controller/espoClient");
+const { cleanStr, normText } = require("./text");
+
+function toTermList(v) {
+  const list = Array.isArray(v) ? v : cleanStr(v).split(",");
+  return list.map(normText).filter(Boolean);
+}
+
+const DEFAULT_FILE = path.join(__dirname, "..", "config", "searchDictionary.json");
+
+function getSource() {
+  return cleanStr(process.env.SEARCH_DICTIONARY_ENTITY) ? "espo" : "file";
+}
+
+function emptyDictionary(source) {
+  return {
+    source,
+    synonyms: new Map(), // term => Set(terms)
+    stopWords: new Set(),
+    groups: [],
+    oneWay: {},
+    loadedAt: null,
+    error: null,
+  };
+}
+
+let dictionary = emptyDictionary(getSource());
+let loadPromise = null;
+let loaded = false;
+
+/**
+ * Build the lookup structures from a plain { synonyms, oneWay, stopWords } object
+ */
+function buildDictionary(raw, source) {
+  const dict = emptyDictionary(source);
+
+  const link = (from, to) => {
+    if (!from || !to || from === to) return;
+    if (!dict.synonyms.has(from)) dict.synonyms.set(from, new Set());
+    dict.synonyms.get(from).add(to);
+  };
+
+  for (const group of Array.isArray(raw?.synonyms) ? raw.synonyms : []) {
+    const terms = Array.from(new Set(toTermList(group)));
+    if (terms.length < 2) continue;
+    dict.groups.push(terms);
+    for (const a of terms) for (const b of terms) link(a, b);
+  }
+
+  for (const [term, targets] of Object.entries(raw?.oneWay || {})) {
+    const from = normText(term);
+    const to = toTermList(targets);
+    if (!from || to.length === 0) continue;
+    dict.oneWay[from] = to;
+    to.forEach((t) => link(from, t));
+  }
+
+  for (const word of toTermList(raw?.stopWords || [])) {
+    dict.stopWords.add(word);
+  }
+
+  dict.loadedAt = new Date().toISOString();
+  return dict;
+}
+
+function readDictionaryFile() {
+  const file = cleanStr(process.env.SEARCH_DICTIONARY_FILE) || DEFAULT_FILE;
+  const resolved = path.isAbsolute(file) ? file : path.join(process.cwd(), file);
+
+  if (!fs.existsSync(resolved)) {
+    console.warn(`[searchDictionary] File not found: ${resolved}`);
+    return {};
+  }
+
+  return JSON.parse(fs.readFileSync(resolved, "utf8"));
+}
+
+async function readDictionaryEntity() {
+  const entity = cleanStr(process.env.SEARCH_DICTIONARY_ENTITY);
+  const raw = { synonyms: [], oneWay: {}, stopWords: [] };
+
+  let offset = 0;
+  while (true) {
+    const data = await espoRequest(`/${entity}`, {
+      query: {
+        searchParams: JSON.stringify({ maxSize: 200, offset }),
+      },
+    });
+
+    const list = data?.list ?? [];
+    for (const record of list) {
+      const type = normText(record.type);
+      const terms = toTermList(record.terms);
+
+      if (type === "stopword") {
+        raw.stopWords.push(record.name, ...terms);
+      } else if (type === "oneway") {
+        if (record.name) raw.oneWay[record.name] = terms;
+      } else {
+        raw.synonyms.push([record.name, ...terms].filter(Boolean));
+      }
+    }
+
+    offset += list.length;
+    if (list.length < 200) break;
+    if (typeof data?.total === "number" && offset >= data.total) break;
+  }
+
+  return raw;
+}
+
+/**
+ * (Re)load the dictionary from its configured source.
+ * On failure the previously loaded dictionary stays active.
+ */
+async function reloadSearchDictionary() {
+  const source = getSource();
+
+  loadPromise = (async () => {
+    try {
+      const raw =
+        source === "espo" ? await readDictionaryEntity() : readDictionaryFile();
+      dictionary = buildDictionary(raw, source);
+      console.log(
+        `[searchDictionary] Loaded from ${source}: ${dictionary.groups.length} synonym groups, ${Object.keys(dictionary.oneWay).length} one-way, ${dictionary.stopWords.size} stop-words`,
+      );
+    } catch (error) {
+      console.error(`[searchDictionary] Load from ${source} failed:`, error.message);
+      dictionary = { ...dictionary, error: error.message };
+    }
+    loaded = true;
+    return dictionary;
+  })();
+
+  try {
+    return await loadPromise;
+  } finally {
+    loadPromise = null;
+  }
+}
+
+/**
+ * Load once (first call), then return the in-memory dictionary
+ */
+async function ensureSearchDictionary() {
+  if (loaded) return dictionary;
+  if (loadPromise) return loadPromise;
+  return reloadSearchDictionary();
+}
+
+function getSearchDictionary() {
+  return dictionary;
+}
+
+function isStopWord(term) {
+  return dictionary.stopWords.has(normText(term));
+}
+
+/**
+ * Expand one term into [{ term, synonym }] (the term itself first).
+ */
+function expandTerm(term) {
+  const t = normText(term);
+  if (!t) return [];
+  const out = [{ term: t, synonym: false }];
+  for (const s of dictionary.synonyms.get(t) || []) {
+    out.push({ term: s, synonym: true });
+  }
+  return out;
+}
+
+// Longest phrase (in words) looked up in the dictionary when grouping query tokens
+const MAX_PHRASE_WORDS = 3;
+
+function splitWords(text) {
+  return normText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Group query tokens into search units for the search index: adjacent tokens
+ * forming a known phrase ("off white") become one unit, stop-words are dropped
+ * (unless that would drop everything) and each unit lists its synonyms.
+ *
+ * @param {Array<string>} tokens - Normalized query tokens
+ * @returns {Array<{text: string, alternatives: Array<{words: string[], synonym: boolean}>}>}
+ */
+function expandQueryUnits(tokens) {
+  const units = [];
+  let i = 0;
+
+  while (i < tokens.length) {
+    let size = 1;
+    for (let n = Math.min(MAX_PHRASE_WORDS, tokens.length - i); n > 1; n--) {
+      if (dictionary.synonyms.has(tokens.slice(i, i + n).join(" "))) {
+        size = n;
+        break;
+      }
+    }
+
+    const text = tokens.slice(i, i + size).join(" ");
+    i += size;
+
+    if (size === 1 && isStopWord(text)) continue;
+
+    const alternatives = [];
+    const seen = new Set();
+    for (const { term, synonym } of expandTerm(text)) {
+      const words = splitWords(term);
+      const key = words.join(" ");
+      if (!words.length || seen.has(key)) continue;
+      seen.add(key);
+      alternatives.push({ words, synonym });
+    }
+
+    units.push({ text, alternatives });
+  }
+
+  if (units.length === 0 && tokens.length > 0) {
+    return tokens.map((token) => ({
+      text: token,
+      alternatives: [{ words: [token], synonym: false }],
+    }));
+  }
+
+  return units;
+}
+
+/**
+ * Drop stop-words and add synonyms to a flat term list.
+ * If every term is a stop-word, the original terms are kept.
+ */
+function expandSearchTerms(terms) {
+  const normalized = (terms || []).map(normText).filter(Boolean);
+  const kept = normalized.filter((t) => !isStopWord(t));
+  const base = kept.length > 0 ? kept : normalized;
+
+  const out = new Set();
+  for (const t of base) {
+    for (const { term } of expandTerm(t)) out.add(term);
+  }
+  return Array.from(out);
+}
+
+/**
+ * Plain JSON view for the admin endpoint
+ */
+function describeSearchDictionary() {
+  return {
+    source: dictionary.source,
+    loadedAt: dictionary.loadedAt,
+    error: dictionary.error,
+    synonyms: dictionary.groups,
+    oneWay: dictionary.oneWay,
+    stopWords: Array.from(dictionary.stopWords).sort(),
+  };
+}
+
+module.exports = {
+  ensureSearchDictionary,
+  reloadSearchDictionary,
+  getSearchDictionary,
+  describeSearchDictionary,
+  isStopWord,
+  expandTerm,
+  expandSearchTerms,
+  expandQueryUnits,
+};
@@ -0,0 +1,496 @@
+/**
+ * In-process inverted search index
+ *
+ * One index per entity, built from the cached `fetchAllRecords` list and kept
+ * current by its delta refresh (see genericController). Supports:
+ * - tokenization with Unicode/hyphen normalization and HTML stripping
+ * - prefix matching ("twil" => "twill")
+ * - typo tolerance (Damerau-Levenshtein distance 1, or 2 for long words)
+ * - per-field boosts (e.g. fabric code > title > keywords > description)
+ *
+ * /search and /suggest are public, so query cost is bounded: queries over
+ * MAX_QUERY_LENGTH characters are rejected by the routes, only the first
+ * MAX_QUERY_TOKENS tokens are used, and typo candidates come from the terms
+ * within the token's length band.
+ */
+
+const { cleanStr, normText: normPlainText } = require("./text");
+
+// normText with HTML tags stripped (descriptions are rich text)
+function normText(v) {
+  return normPlainText(cleanStr(v).replace(/<[^>]*>/g, " "));
+}
+
+// Match weights per match type (multiplied by the field boost)
+const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.7,
+  typo: 0.4,
+};
+
+const MIN_PREFIX_LENGTH = 2;
+const MIN_TYPO_LENGTH = 4;
+const MAX_TYPO_TERMS = 50;
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TOKENS = 8;
+
+function tokenize(value) {
+  const values = Array.isArray(value) ? value : [value];
+  const tokens = [];
+
+  for (const v of values) {
+    const text = normText(v);
+    if (!text) continue;
+    for (const token of text.split(/[^\p{L}\p{N}]+/u)) {
+      if (token) tokens.push(token);
+    }
+  }
+
+  return tokens;
+}
+
+// Codes like "NK-607" also index as "nk607" so "nk607" and "nk 607" both hit
+function compactToken(value) {
+  return normText(value).replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+function maxTypoDistance(token) {
+  if (token.length < MIN_TYPO_LENGTH) return 0;
+  return token.length >= 8 ? 2 : 1;
+}
+
+// Damerau-Levenshtein (optimal string alignment) with early exit above max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(
+        prev[j] + 1,
+        current[j - 1] + 1,
+        prev[j - 1] + cost,
+      );
+
+      if (
+        prevPrev &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      current[j] = value;
+      if (value < rowMin) rowMin = value;
+    }
+
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+}
+
+// Lower bound of `prefix` in a sorted array
+function lowerBound(sorted, prefix) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/* ------------------------------ Index store ------------------------------ */
+// entityName => { fields, postings, docs, sortedTerms, source, builtAt }
+const indexes = new Map();
+
+function emptyIndex(fields) {
+  return {
+    fields,
+    postings: new Map(), // term => Map(docId => Set(field))
+    docs: new Map(), // docId => Map(term => Set(field))
+    fieldTexts: new Map(), // docId => { field: normalized text } (phrase bonus)
+    sortedTerms: null,
+    termsByLength: null, // length => terms (typo candidates)
+    source: null,
+    builtAt: 0,
+  };
+}
+
+function invalidateTerms(index) {
+  index.sortedTerms = null;
+  index.termsByLength = null;
+}
+
+function removeDoc(index, id) {
+  const terms = index.docs.get(id);
+  if (!terms) return;
+
+  for (const term of terms.keys()) {
+    const posting = index.postings.get(term);
+    if (!posting) continue;
+    posting.delete(id);
+    if (posting.size === 0) {
+      index.postings.delete(term);
+      invalidateTerms(index);
+    }
+  }
+
+  index.docs.delete(id);
+  index.fieldTexts.delete(id);
+}
+
+function addDoc(index, record) {
+  const id = record?.id;
+  if (!id) return;
+
+  removeDoc(index, id);
+
+  const terms = new Map();
+  const texts = {};
+
+  for (const { field, code } of index.fields) {
+    const value = record[field];
+    if (value === null || value === undefined || value === "") continue;
+
+    const fieldTokens = tokenize(value);
+    if (code) {
+      const values = Array.isArray(value) ? value : [value];
+      for (const v of values) {
+        const compact = compactToken(v);
+        if (compact) fieldTokens.push(compact);
+      }
+    }
+
+    for (const token of fieldTokens) {
+      if (!terms.has(token)) terms.set(token, new Set());
+      terms.get(token).add(field);
+    }
+
+    texts[field] = normText(Array.isArray(value) ? value.join(" ") : value);
+  }
+
+  for (const [term, fields] of terms) {
+    if (!index.postings.has(term)) {
+      index.postings.set(term, new Map());
+      invalidateTerms(index);
+    }
+    index.postings.get(term).set(id, fields);
+  }
+
+  index.docs.set(id, terms);
+  index.fieldTexts.set(id, texts);
+}
+
+function getSortedTerms(index) {
+  if (!index.sortedTerms) {
+    index.sortedTerms = Array.from(index.postings.keys()).sort();
+  }
+  return index.sortedTerms;
+}
+
+function getTermsByLength(index) {
+  if (!index.termsByLength) {
+    index.termsByLength = new Map();
+    for (const term of index.postings.keys()) {
+      if (!index.termsByLength.has(term.length)) {
+        index.termsByLength.set(term.length, []);
+      }
+      index.termsByLength.get(term.length).push(term);
+    }
+  }
+  return index.termsByLength;
+}
+
+/**
+ * (Re)build the index for an entity from a full record list
+ *
+ * @param {string} entityName
+ * @param {Array<Object>} records - Full (unselected) cached records
+ * @param {Array<{field: string, boost: number, code?: boolean}>} fields
+ */
+function rebuildSearchIndex(entityName, records, fields) {
+  const index = emptyIndex(fields);
+  for (const record of records || []) addDoc(index, record);
+  index.source = records;
+  index.builtAt = Date.now();
+  indexes.set(entityName, index);
+
+  console.log(
+    `[searchIndex] ${entityName} - built: ${index.docs.size} docs, ${index.postings.size} terms`,
+  );
+  return index;
+}
+
+/**
+ * Apply changed records (delta refresh) to an existing index
+ *
+ * @param {string} entityName
+ * @param {Array<Object>} changedRecords
+ * @param {Array<Object>} mergedList - The list now stored in cache
+ */
+function updateSearchIndex(entityName, changedRecords, mergedList) {
+  const index = indexes.get(entityName);
+  if (!index) return null;
+
+  for (const record of changedRecords || []) addDoc(index, record);
+  index.source = mergedList;
+  return index;
+}
+
+/**
+ * Return an index for `records`, rebuilding it if it was built from a
+ * different list (e.g. cache warmed outside fetchAllRecords)
+ */
+function ensureSearchIndex(entityName, records, fields) {
+  const index = indexes.get(entityName);
+  if (index && index.source === records) return index;
+  return rebuildSearchIndex(entityName, records, fields);
+}
+
+function dropSearchIndex(entityName) {
+  indexes.delete(entityName);
+}
+
+/* ------------------------------ Query ------------------------------ */
+// Synonym matches count a little less than the word the user typed
+const SYNONYM_WEIGHT = 0.8;
+
+// Candidate terms for one query token: [{ term, type }]
+function expandToken(index, token, { fuzzy = true } = {}) {
+  const out = [];
+  const seen = new Set();
+  const push = (term, type) => {
+    if (seen.has(term)) return;
+    seen.add(term);
+    out.push({ term, type });
+  };
+
+  if (index.postings.has(token)) push(token, "exact");
+
+  const sorted = getSortedTerms(index);
+
+  if (token.length >= MIN_PREFIX_LENGTH) {
+    for (let i = lowerBound(sorted, token); i < sorted.length; i++) {
+      if (!sorted[i].startsWith(token)) break;
+      push(sorted[i], "prefix");
+    }
+  }
+
+  const maxDistance = fuzzy ? maxTypoDistance(token) : 0;
+  if (maxDistance > 0) {
+    const byLength = getTermsByLength(index);
+    let typos = 0;
+    for (
+      let length = token.length - maxDistance;
+      length <= token.length + maxDistance && typos < MAX_TYPO_TERMS;
+      length++
+    ) {
+      for (const term of byLength.get(length) || []) {
+        if (seen.has(term)) continue;
+        if (editDistance(token, term, maxDistance) <= maxDistance) {
+          push(term, "typo");
+          if (++typos >= MAX_TYPO_TERMS) break;
+        }
+      }
+    }
+  }
+
+  return out;
+}
+
+// docId => { contribution, fields } for one word (best term per doc)
+function matchWord(index, word, boosts, options) {
+  const perDoc = new Map();
+
+  for (const { term, type } of expandToken(index, word, options)) {
+    const weight = MATCH_WEIGHTS[type];
+    for (const [docId, fields] of index.postings.get(term) || []) {
+      let contribution = 0;
+      for (const field of fields) contribution += (boosts[field] || 1) * weight;
+
+      const best = perDoc.get(docId);
+      if (!best || contribution > best.contribution) {
+        perDoc.set(docId, { contribution, fields });
+      }
+    }
+  }
+
+  return perDoc;
+}
+
+// docId => { contribution, fields } for a (possibly multi-word) alternative
+function matchAlternative(index, { words, synonym }, boosts) {
+  const weight = synonym ? SYNONYM_WEIGHT : 1;
+  const options = { fuzzy: !synonym && words.length === 1 };
+
+  let combined = null;
+  for (const word of words) {
+    const matches = matchWord(index, word, boosts, options);
+    if (!combined) {
+      combined = new Map(
+        Array.from(matches, ([id, m]) => [
+          id,
+          { contribution: m.contribution, fields: new Set(m.fields) },
+        ]),
+      );
+    } else {
+      for (const id of Array.from(combined.keys())) {
+        const m = matches.get(id);
+        if (!m) {
+          combined.delete(id);
+          continue;
+        }
+        const entry = combined.get(id);
+        entry.contribution += m.contribution;
+        m.fields.forEach((f) => entry.fields.add(f));
+      }
+    }
+    if (combined.size === 0) break;
+  }
+
+  const out = new Map();
+  for (const [id, entry] of combined || []) {
+    out.set(id, {
+      contribution: (entry.contribution / words.length) * weight,
+      fields: entry.fields,
+    });
+  }
+  return out;
+}
+
+// Default units: one per query token, no synonyms
+function defaultUnits(tokens) {
+  return tokens.map((token) => ({
+    text: token,
+    alternatives: [{ words: [token], synonym: false }],
+  }));
+}
+
+/**
+ * Search an entity index.
+ *
+ * The query is split into units (a token, or a multi-word phrase known to the
+ * synonym dictionary), each with alternatives (the text itself plus synonyms).
+ * Every unit must match (exact, prefix or typo) in at least one field; if
+ * nothing matches all units, documents matching any unit are returned.
+ * Tokens after the first MAX_QUERY_TOKENS are ignored.
+ *
+ * @param {Object} index
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {Function} [options.expandUnits] - (tokens) => [{ text, alternatives: [{ words, synonym }] }]
+ * @returns {Array<{id: string, score: number, matchedFields: string[]}>} sorted by score desc
+ */
+function querySearchIndex(index, query, { expandUnits = defaultUnits } = {}) {
+  const queryTokens = Array.from(new Set(tokenize(query))).slice(
+    0,
+    MAX_QUERY_TOKENS,
+  );
+  if (!index || queryTokens.length === 0) return [];
+
+  const units = expandUnits(queryTokens);
+  if (units.length === 0) return [];
+  const requiredUnits = units.length;
+
+  // The compacted whole query ("nk 607" => "nk607") is an optional extra unit
+  const compactQuery = queryTokens.join("");
+  if (compactQuery && queryTokens.length > 1) {
+    units.push({
+      text: compactQuery,
+      alternatives: [{ words: [compactQuery], synonym: false }],
+    });
+  }
+
+  const boosts = Object.fromEntries(index.fields.map((f) => [f.field, f.boost]));
+  const hits = new Map(); // docId => { score, units: Set, fields: Set }
+
+  units.forEach((unit, unitIdx) => {
+    const perDoc = new Map(); // docId => best alternative for this unit
+
+    for (const alternative of unit.alternatives) {
+      for (const [docId, match] of matchAlternative(index, alternative, boosts)) {
+        const best = perDoc.get(docId);
+        if (!best || match.contribution > best.contribution) {
+          perDoc.set(docId, match);
+        }
+      }
+    }
+
+    for (const [docId, { contribution, fields }] of perDoc) {
+      if (!hits.has(docId)) {
+        hits.set(docId, { score: 0, units: new Set(), fields: new Set() });
+      }
+      const hit = hits.get(docId);
+      hit.score += contribution;
+      hit.units.add(unitIdx);
+      fields.forEach((f) => hit.fields.add(f));
+    }
+  });
+
+  const phrase = normText(query);
+
+  let results = Array.from(hits.entries()).map(([id, hit]) => {
+    const matchedRequired = Array.from(hit.units).filter(
+      (u) => u < requiredUnits,
+    ).length;
+
+    // Phrase bonus: the whole (multi-word) query appears verbatim in a field
+    let phraseBonus = 0;
+    const texts = index.fieldTexts.get(id) || {};
+    for (const [field, text] of Object.entries(texts)) {
+      if (queryTokens.length > 1 && text.includes(phrase)) {
+        phraseBonus = Math.max(phraseBonus, boosts[field] || 1);
+      }
+    }
+
+    return {
+      id,
+      score: Math.round((hit.score + phraseBonus) * 1000) / 1000,
+      matchedFields: Array.from(hit.fields),
+      complete: matchedRequired >= requiredUnits,
+    };
+  });
+
+  const complete = results.filter((r) => r.complete);
+  if (complete.length > 0) results = complete;
+
+  return results
+    .map(({ id, score, matchedFields }) => ({ id, score, matchedFields }))
+    .sort((a, b) => b.score - a.score);
+}
+
+function getSearchIndexStats() {
+  return Array.from(indexes.entries()).map(([entityName, index]) => ({
+    entity: entityName,
+    docs: index.docs.size,
+    terms: index.postings.size,
+    builtAt: index.builtAt ? new Date(index.builtAt).toISOString() : null,
+  }));
+}
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  MAX_QUERY_TOKENS,
+  tokenize,
+  editDistance,
+  rebuildSearchIndex,
+  updateSearchIndex,
+  ensureSearchIndex,
+  dropSearchIndex,
+  querySearchIndex,
+  getSearchIndexStats,
+};
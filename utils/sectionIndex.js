@@ -0,0 +1,182 @@
+/**
+ * Precomputed dynamic section index for GET /api/dynamicsection
+ *
+ * A section is a CTopicPage whose slug matches at least one public
+ * CProduct's merchTags, or whose product rule (see utils/sectionRules.js)
+ * selects at least one public CProduct. The index is built from the cached default lists of
+ * both entities and rebuilt whenever either list is refreshed (or replaced:
+ * like the slug index, list identity is the change signal).
+ *
+ *   sections         { tag, title, productCount, sortOrder, topicPageId, hasRule, image }
+ *   orphanTags       merchTags used by products with no topic page
+ *   emptyTopicPages  topic pages no product is tagged with or selected by rule
+ *   invalidRules     topic pages whose rule doesn't validate (ignored)
+ *
+ * Sections are ordered by the topic page's sort field (unset last), then title.
+ */
+
+const { buildCloudinaryUrl, CLOUDINARY_TRANSFORMS } = require("./cloudinary");
+const { matchesSectionRule } = require("./sectionRules");
+const { cleanStr, normText } = require("./text");
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function byTitle(a, b) {
+  return a.title.localeCompare(b.title, undefined, { sensitivity: "base" });
+}
+
+// First image field with a URL => { field, base, web, card, hero, ... }
+function heroImage(record, imageFields) {
+  const field = imageFields.find((name) => cleanStr(record[name]));
+  if (!field) return null;
+
+  const base = cleanStr(record[field]);
+  const image = { field, base };
+  for (const variant of Object.keys(CLOUDINARY_TRANSFORMS)) {
+    image[variant] = buildCloudinaryUrl(base, variant);
+  }
+  return image;
+}
+
+let current = null;
+
+/**
+ * Build the index from the public topic pages and products
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.topicPages - Public CTopicPage records
+ * @param {Array<Object>} options.products - Public CProduct records
+ * @param {Array<Array>} options.sources - The cached lists they came from
+ * @param {Array<string>} [options.imageFields] - CTopicPage imageFields
+ * @param {string} [options.sortField="sortOrder"]
+ * @param {Array<string>} [options.ignoreTags] - Tags never reported as orphans (e.g. the visibility tag)
+ * @param {Map<string, Object>} [options.rules] - Topic page id => compiled product rule
+ * @param {Array<Object>} [options.invalidRules] - { id, slug, errors } per rejected rule
+ * @returns {Object} The new index
+ */
+function rebuildSectionIndex({
+  topicPages,
+  products,
+  sources,
+  imageFields = [],
+  sortField = "sortOrder",
+  ignoreTags = [],
+  rules = new Map(),
+  invalidRules = [],
+}) {
+  // normalized tag => { tag, count }
+  const tagCounts = new Map();
+  for (const product of products || []) {
+    const tags = Array.isArray(product?.merchTags) ? product.merchTags : [];
+    for (const key of new Set(tags.map(normText))) {
+      if (!key) continue;
+      const entry = tagCounts.get(key);
+      if (entry) entry.count += 1;
+      else {
+        const tag = cleanStr(tags.find((t) => normText(t) === key));
+        tagCounts.set(key, { tag, count: 1 });
+      }
+    }
+  }
+
+  const sections = [];
+  const emptyTopicPages = [];
+  const pageSlugs = new Set();
+  const rulesByTag = new Map();
+
+  for (const page of topicPages || []) {
+    const key = normText(page?.slug);
+    if (!key || pageSlugs.has(key)) continue;
+    pageSlugs.add(key);
+
+    const title = cleanStr(page.name) || cleanStr(page.slug);
+    const rule = rules.get(page.id) || null;
+    if (rule) rulesByTag.set(key, rule);
+
+    // Tagged with the slug, or selected by the page's rule
+    const count = rule
+      ? (products || []).filter(
+          (product) =>
+            (Array.isArray(product?.merchTags) &&
+              product.merchTags.some((tag) => normText(tag) === key)) ||
+            matchesSectionRule(rule, product),
+        ).length
+      : tagCounts.get(key)?.count || 0;
+    if (count === 0) {
+      emptyTopicPages.push({ id: page.id, slug: cleanStr(page.slug), title });
+      continue;
+    }
+
+    sections.push({
+      tag: cleanStr(page.slug),
+      title,
+      productCount: count,
+      sortOrder: toNumber(page[sortField]),
+      topicPageId: page.id,
+      hasRule: !!rule,
+      image: heroImage(page, imageFields),
+    });
+  }
+
+  sections.sort((a, b) => {
+    if (a.sortOrder !== b.sortOrder) {
+      if (a.sortOrder === null) return 1;
+      if (b.sortOrder === null) return -1;
+      return a.sortOrder - b.sortOrder;
+    }
+    return byTitle(a, b);
+  });
+
+  const ignored = new Set(ignoreTags.map(normText));
+  const orphanTags = Array.from(tagCounts, ([key, { tag, count }]) => ({
+    key,
+    tag,
+    productCount: count,
+  }))
+    .filter(({ key }) => !pageSlugs.has(key) && !ignored.has(key))
+    .map(({ key: _key, ...entry }) => entry)
+    .sort(
+      (a, b) => b.productCount - a.productCount || a.tag.localeCompare(b.tag),
+    );
+
+  current = {
+    sources: sources || [],
+    builtAt: new Date().toISOString(),
+    counts: {
+      topicPages: (topicPages || []).length,
+      products: (products || []).length,
+    },
+    sections,
+    orphanTags,
+    emptyTopicPages: emptyTopicPages.sort(byTitle),
+    invalidRules,
+    rulesByTag,
+  };
+  return current;
+}
+
+/**
+ * The current index when it was built from exactly these cached lists, else null
+ *
+ * @param {Array<Array>} sources
+ */
+function getSectionIndex(sources) {
+  if (!current) return null;
+  const same =
+    current.sources.length === sources.length &&
+    current.sources.every((list, i) => list === sources[i]);
+  return same ? current : null;
+}
+
+/**
+ * The compiled product rule of the section for `tag`, or null
+ */
+function getSectionRule(index, tag) {
+  return index?.rulesByTag.get(normText(tag)) || null;
+}
+
+module.exports = { rebuildSectionIndex, getSectionIndex, getSectionRule };
@@ -0,0 +1,236 @@
+/**
+ * Rule-based dynamic sections
+ *
+ * A CTopicPage can carry a JSON rule (DYNAMIC_SECTION_RULES_FIELD, default
+ * "productRules") that selects products from the cached CProduct list, in
+ * addition to the products tagged with the page's slug:
+ *
+ *   {
+ *     "all": [
+ *       { "field": "content", "op": "any", "value": ["linen"] },
+ *       { "field": "gsm", "op": "between", "value": [100, 160] },
+ *       { "field": "color", "op": "any", "value": ["white", "ecru"] }
+ *     ]
+ *   }
+ *
+ * Groups are { all: [...] }, { any: [...] } and { not: rule }; conditions
+ * are { field, op, value } over CProduct's filterFields, with the operators
+ * of ?filter[] (see utils/filterQuery) plus "between" ([min, max], both
+ * inclusive) for number and date fields. Conditions are evaluated like
+ * in-memory filters: case-insensitive, Unicode-normalized.
+ */
+
+const { OPERATORS, matchesFilters, describeFilters } = require("./filterQuery");
+const { cleanStr, isPlainObject } = require("./text");
+
+const LIST_OPERATORS = new Set(["in", "nin", "any", "all", "none"]);
+const VALUELESS_OPERATORS = new Set(["isNull", "notNull"]);
+const RANGE_TYPES = new Set(["number", "date"]);
+
+const MAX_DEPTH = 6;
+const MAX_CONDITIONS = 50;
+
+// => [value, problem]
+function coerceValue(type, value) {
+  if (type === "number") {
+    const n = typeof value === "number" ? value : Number(cleanStr(value));
+    if (cleanStr(value) === "" || !Number.isFinite(n)) {
+      return [null, "must be a number"];
+    }
+    return [n, null];
+  }
+
+  if (type === "bool") {
+    if (typeof value === "boolean") return [value, null];
+    const v = cleanStr(value).toLowerCase();
+    if (v === "true" || v === "false") return [v === "true", null];
+    return [null, "must be true or false"];
+  }
+
+  if (isPlainObject(value) || Array.isArray(value)) {
+    return [null, "must be a single value"];
+  }
+
+  const v = cleanStr(value);
+  if (!v) return [null, "must not be empty"];
+  if (type === "date" && !Number.isFinite(Date.parse(v.replace(" ", "T")))) {
+    return [null, "must be a date"];
+  }
+  return [v, null];
+}
+
+function compileCondition(node, at, fieldTypes, errors) {
+  for (const key of Object.keys(node)) {
+    if (!["field", "op", "value"].includes(key)) {
+      errors.push(`${at}: unknown key "${key}"`);
+    }
+  }
+
+  const field = cleanStr(node.field);
+  const type = fieldTypes[field];
+  if (!type) {
+    errors.push(
+      `${at}.field: ${field ? `unknown field "${field}"` : "required"} (allowed: ${Object.keys(fieldTypes).sort().join(", ")})`,
+    );
+    return null;
+  }
+
+  const op = cleanStr(node.op);
+  const operators = Object.keys(OPERATORS[type] || {});
+  if (RANGE_TYPES.has(type)) operators.push("between");
+  if (!operators.includes(op)) {
+    errors.push(
+      `${at}.op: "${op}" is not valid for ${type} field "${field}" (allowed: ${operators.join(", ")})`,
+    );
+    return null;
+  }
+
+  if (VALUELESS_OPERATORS.has(op)) {
+    return { clauses: [{ field, op, type, value: null }] };
+  }
+
+  const isList = LIST_OPERATORS.has(op) || op === "between";
+  const raw = isList && !Array.isArray(node.value) ? [node.value] : node.value;
+  if (raw === undefined || raw === null) {
+    errors.push(`${at}.value: required`);
+    return null;
+  }
+  if (op === "between" && raw.length !== 2) {
+    errors.push(`${at}.value: "between" needs [min, max]`);
+    return null;
+  }
+  if (isList && raw.length === 0) {
+    errors.push(`${at}.value: "${op}" needs at least one value`);
+    return null;
+  }
+
+  const values = [];
+  const items = isList ? raw : [raw];
+  for (let i = 0; i < items.length; i++) {
+    const [value, problem] = coerceValue(type, items[i]);
+    if (problem) {
+      errors.push(`${at}.value${isList ? `[${i}]` : ""}: ${problem}`);
+      return null;
+    }
+    values.push(value);
+  }
+
+  if (op === "between") {
+    return {
+      clauses: [
+        { field, op: "gte", type, value: values[0] },
+        { field, op: "lte", type, value: values[1] },
+      ],
+    };
+  }
+  return { clauses: [{ field, op, type, value: isList ? values : values[0] }] };
+}
+
+function compileNode(node, at, depth, fieldTypes, state) {
+  const { errors } = state;
+
+  if (!isPlainObject(node)) {
+    errors.push(`${at}: must be a group ({ all | any | not }) or a condition`);
+    return null;
+  }
+  if (depth > MAX_DEPTH) {
+    errors.push(`${at}: rules can be nested at most ${MAX_DEPTH} levels deep`);
+    return null;
+  }
+
+  const groupKeys = ["all", "any", "not"].filter((key) => key in node);
+  if (groupKeys.length === 0) {
+    state.conditions += 1;
+    if (state.conditions === MAX_CONDITIONS + 1) {
+      errors.push(`${at}: rules can have at most ${MAX_CONDITIONS} conditions`);
+    }
+    return compileCondition(node, at, fieldTypes, errors);
+  }
+
+  if (groupKeys.length > 1 || Object.keys(node).length > 1) {
+    errors.push(`${at}: a group has exactly one of "all", "any" or "not"`);
+    return null;
+  }
+
+  const key = groupKeys[0];
+  if (key === "not") {
+    const rule = compileNode(node.not, `${at}.not`, depth + 1, fieldTypes, state);
+    return rule && { not: rule };
+  }
+
+  if (!Array.isArray(node[key]) || node[key].length === 0) {
+    errors.push(`${at}.${key}: must be a non-empty array`);
+    return null;
+  }
+  const rules = node[key].map((child, i) =>
+    compileNode(child, `${at}.${key}[${i}]`, depth + 1, fieldTypes, state),
+  );
+  return rules.every(Boolean) ? { [key]: rules } : null;
+}
+
+/**
+ * Parse and validate a rule definition
+ *
+ * @param {string|Object|null} raw - JSON text (as stored on the topic page) or an object
+ * @param {Object} fieldTypes - CProduct filterFields
+ * @returns {{rule: Object|null, errors: Array<string>}} rule is null when empty or invalid
+ */
+function compileSectionRule(raw, fieldTypes) {
+  let definition = raw;
+  if (typeof raw === "string") {
+    if (!raw.trim()) return { rule: null, errors: [] };
+    try {
+      definition = JSON.parse(raw);
+    } catch (error) {
+      return { rule: null, errors: [`rule: invalid JSON (${error.message})`] };
+    }
+  }
+  if (definition === null || definition === undefined) {
+    return { rule: null, errors: [] };
+  }
+  if (isPlainObject(definition) && Object.keys(definition).length === 0) {
+    return { rule: null, errors: [] };
+  }
+
+  const state = { errors: [], conditions: 0 };
+  const rule = compileNode(definition, "rule", 1, fieldTypes || {}, state);
+  return state.errors.length > 0
+    ? { rule: null, errors: state.errors }
+    : { rule, errors: [] };
+}
+
+/**
+ * Does a record satisfy a compiled rule?
+ */
+function matchesSectionRule(rule, record) {
+  if (!rule) return false;
+  if (rule.all) return rule.all.every((child) => matchesSectionRule(child, record));
+  if (rule.any) return rule.any.some((child) => matchesSectionRule(child, record));
+  if (rule.not) return !matchesSectionRule(rule.not, record);
+  return matchesFilters(record, rule.clauses);
+}
+
+/**
+ * Readable form, e.g. "content any linen AND (gsm gte 100 AND gsm lte 160)"
+ */
+function describeSectionRule(rule, nested = false) {
+  if (!rule) return "";
+  if (rule.not) return `NOT (${describeSectionRule(rule.not)})`;
+
+  const parts = rule.all || rule.any;
+  if (!parts) {
+    const text = describeFilters(rule.clauses);
+    return nested && rule.clauses.length > 1 ? `(${text})` : text;
+  }
+
+  const text = parts
+    .map((child) => describeSectionRule(child, true))
+    .join(rule.all ? " AND " : " OR ");
+  return nested && parts.length > 1 ? `(${text})` : text;
+}
+
+module.exports = {
+  compileSectionRule,
+  matchesSectionRule,
+  describeSectionRule,
+};
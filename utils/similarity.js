@@ -0,0 +1,128 @@
+/**
+ * "You may also like" ranking over cached entity lists
+ *
+ * Each candidate is scored against the source record with the entity's
+ * `similar` config: [{ field, weight, type?, range?, label? }]
+ *
+ *   set     (default) overlap of the values, as |shared| / |either|; single
+ *           values (category, collectionId) count as one-element sets
+ *   number  proximity, 1 at the same value down to 0 at `range` apart
+ *
+ * score = sum(weight * match) / sum(weight), so 1 means identical on every
+ * configured field. Each result carries a short `why` breakdown of the
+ * fields that contributed.
+ */
+
+const { cleanStr, normText } = require("./text");
+
+function round(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+// normalized value => original text
+function toValueMap(value) {
+  const values = Array.isArray(value) ? value : [value];
+  const map = new Map();
+  for (const v of values) {
+    const key = normText(v);
+    if (key && !map.has(key)) map.set(key, cleanStr(v));
+  }
+  return map;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function compareSet(sourceValues, value) {
+  const candidateValues = toValueMap(value);
+  if (sourceValues.size === 0 || candidateValues.size === 0) return null;
+
+  const shared = [];
+  for (const [key, text] of candidateValues) {
+    if (sourceValues.has(key)) shared.push(text);
+  }
+  if (shared.length === 0) return null;
+
+  const union = new Set([...sourceValues.keys(), ...candidateValues.keys()]);
+  return { match: shared.length / union.size, shared };
+}
+
+function compareNumber(sourceValue, value, range) {
+  const candidateValue = toNumber(value);
+  if (sourceValue === null || candidateValue === null) return null;
+
+  const difference = Math.abs(sourceValue - candidateValue);
+  const match = Math.max(0, 1 - difference / range);
+  if (match === 0) return null;
+
+  return { match, difference: round(difference, 2) };
+}
+
+/**
+ * Rank candidates by similarity to a source record.
+ *
+ * @param {Object} source
+ * @param {Array<Object>} candidates - Records to rank (the source is skipped by id)
+ * @param {Array<Object>} fields - Entity config `similar`
+ * @param {Object} [options]
+ * @param {number} [options.limit=8]
+ * @param {Function} [options.showValues] - (field) => false to leave values out of `why`
+ * @returns {Array<{record: Object, score: number, why: Array<Object>}>}
+ */
+function rankSimilar(source, candidates, fields, { limit = 8, showValues } = {}) {
+  const totalWeight = fields.reduce((sum, f) => sum + f.weight, 0);
+  if (!source || totalWeight <= 0) return [];
+
+  // Source values are normalized once, not per candidate
+  const prepared = fields.map((f) => ({
+    ...f,
+    label: f.label || f.field,
+    reveal: showValues ? showValues(f.field) : true,
+    source:
+      f.type === "number"
+        ? toNumber(source[f.field])
+        : toValueMap(source[f.field]),
+  }));
+
+  const ranked = [];
+  for (const record of candidates || []) {
+    if (!record?.id || record.id === source.id) continue;
+
+    let points = 0;
+    const why = [];
+    for (const f of prepared) {
+      const result =
+        f.type === "number"
+          ? compareNumber(f.source, record[f.field], f.range)
+          : compareSet(f.source, record[f.field]);
+      if (!result) continue;
+
+      const fieldPoints = f.weight * result.match;
+      points += fieldPoints;
+
+      const reason = { field: f.label, points: round(fieldPoints, 2) };
+      if (f.reveal && result.shared) reason.shared = result.shared;
+      if (f.reveal && result.difference !== undefined) {
+        reason.difference = result.difference;
+      }
+      why.push(reason);
+    }
+
+    if (points <= 0) continue;
+    why.sort((a, b) => b.points - a.points);
+    ranked.push({ record, score: round(points / totalWeight, 3), why });
+  }
+
+  ranked.sort(
+    (a, b) =>
+      b.score - a.score ||
+      cleanStr(a.record.id).localeCompare(cleanStr(b.record.id)),
+  );
+  return ranked.slice(0, limit);
+}
+
+module.exports = { rankSimilar };
@@ -0,0 +1,112 @@
+/**
+ * XML for /sitemap.xml (sitemap index) and the per-entity sitemaps
+ *
+ *   buildUrlset([{ loc, lastmod?, images? }])   <urlset> with image:image entries
+ *   buildSitemapIndex([{ loc, lastmod? }])      <sitemapindex>
+ *
+ * The sitemap protocol allows at most 50,000 URLs per file; longer lists are
+ * split into parts (SITEMAP_MAX_URLS, capped at 50,000).
+ */
+
+const { cleanStr } = require("./text");
+
+const SITEMAP_LIMIT = 50000;
+
+function getMaxUrlsPerSitemap() {
+  const n = parseInt(cleanStr(process.env.SITEMAP_MAX_URLS), 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, SITEMAP_LIMIT) : SITEMAP_LIMIT;
+}
+
+function escapeXml(value) {
+  return cleanStr(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * W3C datetime for <lastmod> from an EspoCRM timestamp ("2024-05-01 10:00:00", UTC)
+ *
+ * @returns {string|null}
+ */
+function toLastmod(value) {
+  let iso = cleanStr(value);
+  if (!iso) return null;
+  iso = iso.includes("T") ? iso : iso.replace(" ", "T");
+  if (/^\d{4}-\d{2}-\d{2}T/.test(iso) && !/[zZ]$|[+-]\d{2}:\d{2}$/.test(iso)) {
+    iso += "Z";
+  }
+
+  const ms = Date.parse(iso);
+  return Number.isFinite(ms)
+    ? new Date(ms).toISOString().replace(/\.\d{3}Z$/, "Z")
+    : null;
+}
+
+// Latest lastmod of a list (ISO strings compare in order)
+function latestLastmod(entries) {
+  return (entries || []).reduce(
+    (latest, entry) =>
+      entry.lastmod && (!latest || entry.lastmod > latest) ? entry.lastmod : latest,
+    null,
+  );
+}
+
+/**
+ * @param {Array<{loc: string, lastmod?: string, images?: Array<string>}>} entries
+ * @returns {string}
+ */
+function buildUrlset(entries) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+  ];
+
+  for (const entry of entries || []) {
+    lines.push("  <url>", `    <loc>${escapeXml(entry.loc)}</loc>`);
+    if (entry.lastmod) lines.push(`    <lastmod>${entry.lastmod}</lastmod>`);
+    for (const image of entry.images || []) {
+      lines.push(
+        "    <image:image>",
+        `      <image:loc>${escapeXml(image)}</image:loc>`,
+        "    </image:image>",
+      );
+    }
+    lines.push("  </url>");
+  }
+
+  lines.push("</urlset>");
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * @param {Array<{loc: string, lastmod?: string}>} sitemaps
+ * @returns {string}
+ */
+function buildSitemapIndex(sitemaps) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ];
+
+  for (const sitemap of sitemaps || []) {
+    lines.push("  <sitemap>", `    <loc>${escapeXml(sitemap.loc)}</loc>`);
+    if (sitemap.lastmod) {
+      lines.push(`    <lastmod>${sitemap.lastmod}</lastmod>`);
+    }
+    lines.push("  </sitemap>");
+  }
+
+  lines.push("</sitemapindex>");
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  getMaxUrlsPerSitemap,
+  toLastmod,
+  latestLastmod,
+  buildUrlset,
+  buildSitemapIndex,
+};
@@ -0,0 +1,204 @@
+/**
+ * In-memory slug => record index for /:entity/slug/:slug
+ *
+ * Maintained alongside the default fetchAllRecords list, like the search
+ * index: rebuilt on full refresh, patched on delta refresh, and rebuilt lazily
+ * when the cached list came from elsewhere (identity is the change signal).
+ *
+ * The slug field is per entity (entity config `slugField`, default "slug").
+ * Slugs are matched case-insensitively. Records sharing a slug are all kept
+ * (in list order) and lookups take the first one the caller accepts, so a
+ * hidden duplicate can't shadow the public record.
+ *
+ * 404s are public, so suggestion cost is bounded: slugs over MAX_SLUG_LENGTH
+ * get no suggestions (the route rejects them first) and at most
+ * MAX_SUGGEST_COMPARISONS slugs are compared by edit distance.
+ */
+
+const { editDistance } = require("./searchIndex");
+const { cleanStr } = require("./text");
+
+function normSlug(v) {
+  return cleanStr(v)
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/^\/+|\/+$/g, "");
+}
+
+function slugWords(slug) {
+  return slug.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// entityName => { field, source, bySlug: Map(slug => [record, ...]), slugById: Map(id => slug), duplicates }
+const indexes = new Map();
+
+function addRecord(index, record) {
+  const id = cleanStr(record?.id);
+  if (!id) return;
+
+  const slug = normSlug(record[index.field]);
+  if (!slug) return;
+
+  const candidates = index.bySlug.get(slug);
+  if (!candidates) {
+    index.bySlug.set(slug, [record]);
+  } else {
+    candidates.push(record);
+    index.duplicates.add(slug);
+  }
+  index.slugById.set(id, slug);
+}
+
+function removeRecord(index, id) {
+  const slug = index.slugById.get(id);
+  if (slug === undefined) return;
+
+  index.slugById.delete(id);
+  const candidates = (index.bySlug.get(slug) || []).filter(
+    (record) => cleanStr(record.id) !== id,
+  );
+  if (candidates.length > 0) index.bySlug.set(slug, candidates);
+  else index.bySlug.delete(slug);
+}
+
+function firstAccepted(candidates, accept) {
+  return (candidates || []).find((record) => accept(record)) || null;
+}
+
+/**
+ * Build the index for an entity from its cached list
+ *
+ * @param {string} entityName
+ * @param {Array<Object>} records
+ * @param {string} field - Slug attribute (e.g. "productslug")
+ */
+function rebuildSlugIndex(entityName, records, field) {
+  const index = {
+    field,
+    source: records,
+    bySlug: new Map(),
+    slugById: new Map(),
+    duplicates: new Set(),
+    builtAt: Date.now(),
+  };
+  for (const record of records || []) addRecord(index, record);
+  indexes.set(entityName, index);
+
+  if (index.duplicates.size > 0) {
+    console.warn(
+      `[slugIndex] ${entityName} - ${index.duplicates.size} duplicate ${field} values (first visible record wins): ${Array.from(index.duplicates).slice(0, 5).join(", ")}`,
+    );
+  }
+  return index;
+}
+
+/**
+ * Apply changed records (delta refresh) to an existing index
+ *
+ * @param {string} entityName
+ * @param {Array<Object>} changedRecords
+ * @param {Array<Object>} mergedList - The list now stored in cache
+ */
+function updateSlugIndex(entityName, changedRecords, mergedList) {
+  const index = indexes.get(entityName);
+  if (!index) return null;
+
+  for (const record of changedRecords || []) {
+    removeRecord(index, cleanStr(record?.id));
+    addRecord(index, record);
+  }
+  index.source = mergedList;
+  return index;
+}
+
+/**
+ * Return the index for `records`, rebuilding it when it was built from a
+ * different list or for a different slug field
+ */
+function ensureSlugIndex(entityName, records, field) {
+  const index = indexes.get(entityName);
+  if (index && index.source === records && index.field === field) return index;
+  return rebuildSlugIndex(entityName, records, field);
+}
+
+/**
+ * The first record whose slug matches and that `accept` allows, or null
+ *
+ * @param {Object} index
+ * @param {string} slug
+ * @param {Object} [options]
+ * @param {Function} [options.accept] - (record) => boolean, e.g. public visibility
+ * @returns {Object|null}
+ */
+function lookupSlug(index, slug, { accept = () => true } = {}) {
+  if (!index) return null;
+  return firstAccepted(index.bySlug.get(normSlug(slug)), accept);
+}
+
+// Minimum similarity (0..1) for a "did you mean" suggestion
+const MIN_SIMILARITY = 0.5;
+
+const MAX_SLUG_LENGTH = 200;
+const MAX_SUGGEST_COMPARISONS = 5000;
+
+/**
+ * Near-miss slugs for a 404, best first: close by edit distance (typos,
+ * truncation) or sharing most of their words ("navy-cotton-twill" for
+ * "cotton-twill-blue").
+ *
+ * @param {Object} index
+ * @param {string} slug
+ * @param {Object} [options]
+ * @param {number} [options.limit=5]
+ * @param {Function} [options.accept] - (record) => boolean, e.g. public visibility
+ * @returns {Array<{slug: string, record: Object, similarity: number}>}
+ */
+function suggestSlugs(index, slug, { limit = 5, accept = () => true } = {}) {
+  const wanted = normSlug(slug);
+  if (!index || !wanted || wanted.length > MAX_SLUG_LENGTH) return [];
+
+  const wantedWords = new Set(slugWords(wanted));
+  const out = [];
+  let comparisons = 0;
+
+  for (const [candidate, records] of index.bySlug) {
+    const longest = Math.max(candidate.length, wanted.length);
+    const maxDistance = Math.floor(longest * (1 - MIN_SIMILARITY));
+
+    // Only slugs within the length band cost an edit-distance comparison
+    let byDistance = 0;
+    if (
+      Math.abs(candidate.length - wanted.length) <= maxDistance &&
+      comparisons < MAX_SUGGEST_COMPARISONS
+    ) {
+      comparisons += 1;
+      const distance = editDistance(wanted, candidate, maxDistance);
+      if (distance <= maxDistance) byDistance = 1 - distance / longest;
+    }
+
+    const words = slugWords(candidate);
+    const shared = words.filter((w) => wantedWords.has(w)).length;
+    const union = new Set([...words, ...wantedWords]).size;
+    const byWords = union > 0 ? shared / union : 0;
+
+    const similarity = Math.max(byDistance, byWords);
+    if (similarity < MIN_SIMILARITY) continue;
+    const record = firstAccepted(records, accept);
+    if (!record) continue;
+
+    out.push({ slug: cleanStr(record[index.field]), record, similarity });
+  }
+
+  return out
+    .sort((a, b) => b.similarity - a.similarity || a.slug.localeCompare(b.slug))
+    .slice(0, limit);
+}
+
+module.exports = {
+  rebuildSlugIndex,
+  updateSlugIndex,
+  ensureSlugIndex,
+  lookupSlug,
+  suggestSlugs,
+  MAX_SLUG_LENGTH,
+};
@@ -0,0 +1,206 @@
+/**
+ * In-memory prefix index for type-ahead suggestions
+ *
+ * Built lazily from the cached entity list (never calls EspoCRM) and rebuilt
+ * whenever the cached list object changes (full or delta refresh).
+ *
+ * Two kinds of results:
+ * - records:     lightweight docs whose title / code / slug words start with the query
+ * - completions: keyword and collection-name phrases that complete the query
+ */
+
+const { cleanStr, normText } = require("./text");
+const { MAX_QUERY_TOKENS } = require("./searchIndex");
+
+function words(value) {
+  return normText(value)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function compact(value) {
+  return normText(value).replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+function lowerBound(sorted, prefix) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// All keys in `sorted` starting with `prefix`
+function prefixRange(sorted, prefix) {
+  const out = [];
+  for (let i = lowerBound(sorted, prefix); i < sorted.length; i++) {
+    if (!sorted[i].startsWith(prefix)) break;
+    out.push(sorted[i]);
+  }
+  return out;
+}
+
+// entityName => { source, docs, terms, sortedTerms, phrases, sortedPhraseKeys }
+const indexes = new Map();
+
+/**
+ * Build an index from suggestion docs
+ *
+ * @param {Array<{id, title, slug, code, image, completions: Array<{text, kind}>}>} docs
+ */
+function buildSuggestIndex(docs) {
+  const byId = new Map();
+  const terms = new Map(); // word prefix key => Set(docId)
+  const phrases = new Map(); // normalized phrase => { text, kind, count }
+  const phraseKeys = new Map(); // word key => Set(normalized phrase)
+
+  const addTerm = (key, id) => {
+    if (!key) return;
+    if (!terms.has(key)) terms.set(key, new Set());
+    terms.get(key).add(id);
+  };
+
+  for (const doc of docs) {
+    if (!doc?.id) continue;
+    byId.set(doc.id, doc);
+
+    for (const w of words(doc.title)) addTerm(w, doc.id);
+    for (const w of words(doc.code)) addTerm(w, doc.id);
+    addTerm(compact(doc.code), doc.id);
+    addTerm(compact(doc.slug), doc.id);
+
+    const seenPhrases = new Set();
+    for (const { text, kind } of doc.completions || []) {
+      const key = normText(text);
+      if (!key || seenPhrases.has(key)) continue;
+      seenPhrases.add(key);
+
+      const phrase = phrases.get(key);
+      if (phrase) phrase.count += 1;
+      else phrases.set(key, { text: cleanStr(text), kind, count: 1 });
+
+      for (const w of [key, ...words(key)]) {
+        if (!phraseKeys.has(w)) phraseKeys.set(w, new Set());
+        phraseKeys.get(w).add(key);
+      }
+    }
+  }
+
+  return {
+    docs: byId,
+    terms,
+    sortedTerms: Array.from(terms.keys()).sort(),
+    phrases,
+    phraseKeys,
+    sortedPhraseKeys: Array.from(phraseKeys.keys()).sort(),
+    builtAt: Date.now(),
+  };
+}
+
+/**
+ * Return the index for `source`, rebuilding only when the cached list changed
+ *
+ * @param {string} entityName
+ * @param {Array<Object>} source - Cached list (identity is the change signal)
+ * @param {Function} toDocs - (source) => suggestion docs, called on rebuild only
+ */
+function ensureSuggestIndex(entityName, source, toDocs) {
+  const existing = indexes.get(entityName);
+  if (existing && existing.source === source) return existing;
+
+  const index = buildSuggestIndex(toDocs(source) || []);
+  index.source = source;
+  indexes.set(entityName, index);
+
+  console.log(
+    `[suggestIndex] ${entityName} - built: ${index.docs.size} docs, ${index.phrases.size} completions`,
+  );
+  return index;
+}
+
+function rankDoc(doc, q) {
+  const code = compact(doc.code);
+  const title = normText(doc.title);
+  if (code && code.startsWith(compact(q))) return 0;
+  if (title.startsWith(q)) return 1;
+  return 2;
+}
+
+/**
+ * Query the index
+ *
+ * Every query word must prefix-match a word of the doc (the last word is the
+ * one being typed, earlier words are usually complete). Only the first
+ * MAX_QUERY_TOKENS words are used.
+ *
+ * @returns {{ records: Array<Object>, completions: Array<Object> }}
+ */
+function querySuggestIndex(index, query, { limit = 8 } = {}) {
+  const q = normText(query);
+  const qWords = words(q).slice(0, MAX_QUERY_TOKENS);
+  if (!index || qWords.length === 0) return { records: [], completions: [] };
+
+  // Records
+  let candidates = null;
+  const qCompact = compact(q);
+  const compactHits = new Set();
+  if (qWords.length > 1 && qCompact) {
+    for (const key of prefixRange(index.sortedTerms, qCompact)) {
+      index.terms.get(key).forEach((id) => compactHits.add(id));
+    }
+  }
+
+  for (const w of qWords) {
+    const ids = new Set();
+    for (const key of prefixRange(index.sortedTerms, w)) {
+      index.terms.get(key).forEach((id) => ids.add(id));
+    }
+    candidates = candidates
+      ? new Set([...candidates].filter((id) => ids.has(id)))
+      : ids;
+    if (candidates.size === 0) break;
+  }
+
+  const recordIds = new Set([...(candidates || []), ...compactHits]);
+  const records = Array.from(recordIds)
+    .map((id) => index.docs.get(id))
+    .filter(Boolean)
+    .sort(
+      (a, b) =>
+        rankDoc(a, q) - rankDoc(b, q) ||
+        cleanStr(a.title).length - cleanStr(b.title).length ||
+        cleanStr(a.title).localeCompare(cleanStr(b.title)),
+    )
+    .slice(0, limit)
+    .map(({ completions: _completions, ...doc }) => doc);
+
+  // Completions: phrases starting with the query, or containing a word starting with its last word
+  const lastWord = qWords[qWords.length - 1];
+  const phraseMatches = new Set();
+  for (const key of prefixRange(index.sortedPhraseKeys, lastWord)) {
+    index.phraseKeys.get(key).forEach((p) => phraseMatches.add(p));
+  }
+
+  const completions = Array.from(phraseMatches)
+    .filter((p) => p.startsWith(q) || qWords.every((w) => p.includes(w)))
+    .filter((p) => p !== q)
+    .map((p) => ({ ...index.phrases.get(p), startsWith: p.startsWith(q) }))
+    .sort(
+      (a, b) =>
+        Number(b.startsWith) - Number(a.startsWith) ||
+        b.count - a.count ||
+        a.text.localeCompare(b.text),
+    )
+    .slice(0, limit)
+    .map(({ text, kind, count }) => ({ text, kind, count }));
+
+  return { records, completions };
+}
+
+module.exports = {
+  ensureSuggestIndex,
+  querySuggestIndex,
+};
@@ -0,0 +1,50 @@
+/**
+ * Small string helpers shared by the controllers and utils
+ *
+ *   cleanStr(v)           String, trimmed; "" for null/undefined
+ *   normText(v)           cleanStr + NFKC, hyphen-like chars => "-",
+ *                         collapsed whitespace, lower case (for matching)
+ *   pickFirstNonEmpty()   first argument that is non-empty after cleanStr
+ *   isPlainObject(v)      object that is not an array (or null)
+ *   badRequest(message)   Error with status 400
+ */
+
+function cleanStr(v) {
+  if (v === null || v === undefined) return "";
+  return String(v).trim();
+}
+
+function normText(v) {
+  return cleanStr(v)
+    .normalize("NFKC")
+    .replace(/[\u2010-\u2015\u2212\uFE58\uFE63\uFF0D]/g, "-") // all hyphen-like chars => "-"
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+function pickFirstNonEmpty(...vals) {
+  for (const v of vals) {
+    const s = cleanStr(v);
+    if (s) return s;
+  }
+  return "";
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+module.exports = {
+  cleanStr,
+  normText,
+  pickFirstNonEmpty,
+  isPlainObject,
+  badRequest,
+};